@@ -0,0 +1,164 @@
+/**
+ * DASH Manifest Rewriter for IPFS HLS Player
+ * Makes MPEG-DASH manifests inside IPFS directories playable through VHS
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * A DASH folder added to IPFS (/ipfs/<dirCID>/manifest.mpd) addresses its
+ * segments through BaseURL elements and SegmentTemplate/SegmentList
+ * attributes, relative to the manifest URL by default. Like HLS playlists
+ * (see PlaylistRewriter), those break once a request fails over or the
+ * source was an ipfs:// URI, and ipfs:// or foreign-gateway URLs in the
+ * manifest are not fetchable at all. The rewriter pins the manifest to the
+ * directory CID on the serving gateway with an absolute top-level BaseURL,
+ * and resolves ipfs:// and foreign-gateway references to that gateway.
+ * Segment templates keep their $Number$/$Time$ identifiers.
+ */
+
+import IPFSResolver from './ipfs-resolver.js';
+import PlaylistRewriter from './playlist-rewriter.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('rewrite');
+
+/**
+ * Attributes that hold segment URLs or URL templates
+ */
+const URL_ATTRIBUTES = {
+  SegmentTemplate: ['media', 'initialization', 'index'],
+  SegmentURL: ['media', 'index'],
+  Initialization: ['sourceURL'],
+  RepresentationIndex: ['sourceURL']
+};
+
+/**
+ * DASH Rewriter Service
+ */
+class DashRewriter {
+  /**
+   * MIME type of DASH manifests
+   */
+  static MIME_TYPE = 'application/dash+xml';
+
+  /**
+   * Check if text is a DASH manifest
+   * @param {string} text - Response text
+   * @returns {boolean} True if the root element is MPD
+   */
+  static isManifest(text) {
+    return typeof text === 'string' && /<MPD[\s>]/.test(text);
+  }
+
+  /**
+   * Check if DOM parsing is available (not in workers or SSR)
+   * @returns {boolean} True if DOMParser and XMLSerializer exist
+   */
+  static isSupported() {
+    return typeof DOMParser !== 'undefined' && typeof XMLSerializer !== 'undefined';
+  }
+
+  /**
+   * Check if an absolute reference must be moved to the serving gateway
+   * @param {string} uri - URL or template from the manifest
+   * @param {string} gateway - Gateway origin the manifest should use
+   * @returns {boolean} True for ipfs:// / ipns:// URIs and foreign-gateway URLs
+   */
+  static needsResolution(uri, gateway) {
+    return /^ip[fn]s:/i.test(uri) || PlaylistRewriter.isRetargetable(uri, gateway);
+  }
+
+  /**
+   * Rewrite the references of a parsed manifest in place
+   * @param {Document} doc - Parsed MPD
+   * @param {string} baseURL - URL the manifest was served from
+   * @param {string} gateway - Gateway origin to build URLs for
+   * @returns {boolean} True if anything changed
+   */
+  static rewriteDocument(doc, baseURL, gateway) {
+    const mpd = doc.documentElement;
+    let changed = false;
+
+    // Absolute references anywhere in the manifest
+    Array.from(doc.getElementsByTagName('BaseURL')).forEach(element => {
+      const uri = element.textContent.trim();
+      const isTopLevel = element.parentNode === mpd;
+      if (this.needsResolution(uri, gateway) || (isTopLevel && PlaylistRewriter.isRelative(uri))) {
+        element.textContent = PlaylistRewriter.resolveURI(uri, baseURL, gateway);
+        changed = true;
+      }
+    });
+
+    Object.entries(URL_ATTRIBUTES).forEach(([tag, attributes]) => {
+      Array.from(doc.getElementsByTagName(tag)).forEach(element => {
+        attributes.forEach(name => {
+          const uri = element.getAttribute(name);
+          if (uri && this.needsResolution(uri, gateway)) {
+            element.setAttribute(name, PlaylistRewriter.resolveURI(uri, baseURL, gateway));
+            changed = true;
+          }
+        });
+      });
+    });
+
+    // Without a top-level BaseURL everything else is relative to the
+    // manifest URL, which a blob: manifest no longer has
+    const hasBaseURL = Array.from(mpd.childNodes).some(child => child.nodeName === 'BaseURL');
+    if (!hasBaseURL) {
+      const element = doc.createElementNS(mpd.namespaceURI, 'BaseURL');
+      element.textContent = PlaylistRewriter.resolveURI('./', baseURL, gateway);
+      mpd.insertBefore(element, mpd.firstChild);
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Fetch and rewrite an IPFS DASH source
+   * @param {string} src - Manifest URL
+   * @param {Object} options - Rewrite options
+   * @param {boolean} options.verified - Verify the manifest against its CID
+   * @param {string} options.format - 'blob' (default) or 'data'
+   * @returns {Promise<Object|null>} { url, original, gateway, revoke } where
+   *   `url` is a blob: or data: URL for the rewritten manifest. Null if the
+   *   response is not an MPD or DOM parsing is unavailable.
+   */
+  static async rewriteSource(src, options = {}) {
+    if (!this.isSupported()) return null;
+
+    const main = await PlaylistRewriter.fetchPlaylist(src, options);
+    const gateway = main.gateway || IPFSResolver.getPreferredGateway();
+    if (!this.isManifest(main.text)) return null;
+
+    const doc = new DOMParser().parseFromString(main.text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error(`Invalid DASH manifest: ${src}`);
+    }
+    if (!this.rewriteDocument(doc, main.url, gateway)) return null;
+
+    const text = new XMLSerializer().serializeToString(doc);
+
+    log.debug(`Rewrote DASH manifest URLs for ${gateway}:`, src);
+
+    if (options.format === 'data') {
+      return {
+        url: `data:${this.MIME_TYPE},${encodeURIComponent(text)}`,
+        original: src,
+        gateway,
+        revoke: () => {}
+      };
+    }
+
+    const url = URL.createObjectURL(new Blob([text], { type: this.MIME_TYPE }));
+    return {
+      url,
+      original: src,
+      gateway,
+      revoke: () => URL.revokeObjectURL(url)
+    };
+  }
+}
+
+export default DashRewriter;
+export { DashRewriter };
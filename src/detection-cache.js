@@ -0,0 +1,298 @@
+/**
+ * Detection Cache for IPFS HLS Player
+ * Remembers detected formats by CID and coalesces concurrent detections
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Content under /ipfs/<cid> never changes, so its format only has to be
+ * sniffed once. Results are keyed by CIDv1 + path (the same content on any
+ * gateway, as a v0 or v1 CID, shares one entry), kept in memory for the
+ * session and in localStorage across page loads. Concurrent detections of
+ * the same content share one request. IPNS names are mutable, so their
+ * results are only shared while a detection is in flight.
+ */
+
+import IPFSResolver from './ipfs-resolver.js';
+import FormatDetector, { DetectionError } from './format-detector.js';
+import CID from './utils/cid.js';
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('detect');
+
+/**
+ * Detection Cache Service
+ */
+class DetectionCache {
+  /**
+   * localStorage key for persisted results
+   */
+  static STORAGE_KEY = 'ipfs_hls_detection_cache';
+
+  /**
+   * Most entries kept in localStorage (oldest are dropped first)
+   */
+  static MAX_ENTRIES = 200;
+
+  /**
+   * How long a failed detection is remembered for this session (30 seconds)
+   * Keeps both detection paths of one initialization from retrying a
+   * gateway that just failed, without pinning a transient error.
+   */
+  static FAILURE_TTL = 30 * 1000;
+
+  // Results for this page session, keyed like the persisted entries
+  static memory = new Map();
+
+  // In-flight detections, shared by concurrent callers
+  static pending = new Map();
+
+  // In-memory copy of persisted results
+  static entries = null;
+
+  /**
+   * Check if results should be persisted
+   * @returns {boolean} True unless disabled via config
+   */
+  static isPersistent() {
+    const config = PlayerConfig.get();
+    return config.detectionCache !== false;
+  }
+
+  /**
+   * Build the cache key for a source
+   * @param {string|Object} src - IPFS source in any supported form
+   * @returns {Object|null} { key, immutable } or null if not IPFS content
+   */
+  static getKey(src) {
+    const resolved = IPFSResolver.resolve(src);
+    if (!resolved) return null;
+
+    const path = resolved.path.split('?')[0];
+    if (resolved.namespace === 'ipfs' && CID.isValid(resolved.cid)) {
+      return { key: CID.toV1(resolved.cid) + path, immutable: true };
+    }
+    return { key: `${resolved.namespace}/${resolved.cid}${path}`, immutable: false };
+  }
+
+  /**
+   * Load persisted results from localStorage
+   * @returns {Object} Results keyed by CIDv1 + path
+   */
+  static getEntries() {
+    if (this.entries) return this.entries;
+
+    this.entries = {};
+    if (!this.isPersistent()) return this.entries;
+
+    try {
+      if (typeof localStorage !== 'undefined') {
+        this.entries = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+      }
+    } catch (error) {
+      log.warn('Failed to read detection cache:', error);
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Persist results to localStorage, dropping the oldest beyond MAX_ENTRIES
+   */
+  static saveEntries() {
+    if (!this.isPersistent()) return;
+
+    const entries = this.getEntries();
+    const keys = Object.keys(entries);
+    if (keys.length > this.MAX_ENTRIES) {
+      keys
+        .sort((a, b) => entries[a].updatedAt - entries[b].updatedAt)
+        .slice(0, keys.length - this.MAX_ENTRIES)
+        .forEach(key => delete entries[key]);
+    }
+
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+      }
+    } catch (error) {
+      // Quota exceeded or storage disabled - results stay in memory only
+    }
+  }
+
+  /**
+   * Get the cached format of a source
+   * @param {string|Object} src - IPFS source
+   * @returns {Object|null} Format (see FormatDetector), or null if not cached
+   */
+  static get(src) {
+    const id = this.getKey(src);
+    if (!id || !id.immutable) return null;
+
+    const cached = this.memory.get(id.key);
+    if (cached && cached.format) return cached.format;
+
+    const stored = this.getEntries()[id.key];
+    if (!stored) return null;
+
+    // Playability depends on this browser, so it is checked again
+    const format = { ...stored.format, playable: FormatDetector.canPlay(stored.format) };
+    this.memory.set(id.key, { format });
+    return format;
+  }
+
+  /**
+   * Store the format of a source
+   * @param {string|Object} src - IPFS source
+   * @param {Object} format - Format (see FormatDetector)
+   */
+  static set(src, format) {
+    const id = this.getKey(src);
+    if (!id || !id.immutable || !format) return;
+
+    this.memory.set(id.key, { format });
+
+    // Low-confidence results only come from Content-Type headers, which
+    // differ between gateways - they are not worth keeping across loads
+    if (format.confidence !== 'low') {
+      const { playable, ...stored } = format;
+      this.getEntries()[id.key] = { format: stored, updatedAt: Date.now() };
+      this.saveEntries();
+    }
+  }
+
+  /**
+   * Detect the format of a source through the cache
+   * Cached results are returned without a request, concurrent calls for
+   * the same content share one detection, and failures (including
+   * timeouts) are remembered for FAILURE_TTL. A caller that aborts stops
+   * waiting at once; the shared request is only cancelled when every
+   * caller waiting on it has aborted.
+   * @param {string} src - IPFS source URL
+   * @param {Function} detect - (signal) => Promise<Object|null> that sniffs the content
+   * @param {Object} options - { signal } to stop waiting
+   * @returns {Promise<Object|null>} Format or null. Rejects with a
+   *   DetectionError for timeouts and aborts.
+   */
+  static async detect(src, detect, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) throw new DetectionError('aborted', { url: src });
+
+    const id = this.getKey(src);
+    if (!id) return detect(signal);
+
+    const cached = this.get(src);
+    if (cached) {
+      log.debug('Detection cache hit:', id.key, cached.mimeType);
+      return cached;
+    }
+
+    const failed = this.memory.get(id.key);
+    if (failed && failed.failedAt && Date.now() - failed.failedAt < this.FAILURE_TTL) {
+      if (failed.error) throw failed.error;
+      return null;
+    }
+
+    let entry = this.pending.get(id.key);
+    if (!entry) {
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      entry = { key: id.key, controller, waiters: 0 };
+      entry.promise = (async () => {
+        try {
+          const format = await detect(controller && controller.signal);
+          if (format) {
+            this.set(src, format);
+          } else if (id.immutable) {
+            this.memory.set(id.key, { failedAt: Date.now() });
+          }
+          return format;
+        } catch (error) {
+          if (error.reason === 'timeout' && id.immutable) {
+            this.memory.set(id.key, { failedAt: Date.now(), error });
+          }
+          throw error;
+        } finally {
+          if (this.pending.get(id.key) === entry) this.pending.delete(id.key);
+        }
+      })();
+      this.pending.set(id.key, entry);
+    }
+
+    return this.wait(entry, src, signal);
+  }
+
+  /**
+   * Wait for a shared detection on behalf of one caller
+   * @param {Object} entry - Pending entry { key, promise, controller, waiters }
+   * @param {string} src - Source URL (for errors)
+   * @param {AbortSignal} signal - Caller's signal (optional)
+   * @returns {Promise<Object|null>} Format or null
+   */
+  static wait(entry, src, signal) {
+    entry.waiters++;
+    if (!signal) return entry.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        // Last one out cancels the request, later callers start a new one
+        if (--entry.waiters === 0 && entry.controller) {
+          entry.controller.abort();
+          if (this.pending.get(entry.key) === entry) this.pending.delete(entry.key);
+        }
+        reject(new DetectionError('aborted', { url: src }));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      entry.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  /**
+   * Store a known format so detection is skipped for a source
+   * @param {string|Object} src - IPFS source
+   * @param {string|Object} format - MIME type or format object
+   * @returns {Object|null} Stored format, or null if the source is not immutable IPFS content
+   */
+  static prime(src, format) {
+    const id = this.getKey(src);
+    if (!id || !id.immutable) return null;
+
+    const primed = typeof format === 'string'
+      ? FormatDetector.result({ mimeType: format, source: 'primed' })
+      : FormatDetector.result({ source: 'primed', ...format });
+
+    this.set(src, primed);
+    return primed;
+  }
+
+  /**
+   * Forget cached results
+   * @param {string|Object} src - Source to forget (default: everything)
+   */
+  static clear(src) {
+    if (src) {
+      const id = this.getKey(src);
+      if (!id) return;
+      this.memory.delete(id.key);
+      delete this.getEntries()[id.key];
+      this.saveEntries();
+      return;
+    }
+
+    this.memory.clear();
+    this.entries = {};
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(this.STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage disabled - nothing was persisted
+    }
+  }
+}
+
+export default DetectionCache;
+export { DetectionCache };
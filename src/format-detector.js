@@ -0,0 +1,396 @@
+/**
+ * Format Detector for IPFS HLS Player
+ * Identifies media containers and probable codecs from the first bytes of a file
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * IPFS content has no file extension and gateways often send a generic
+ * Content-Type, so the format is read from the content itself. Results are
+ * structured so callers can tell an MP4 from a QuickTime file, WebM from
+ * Matroska, and report files the browser cannot play before handing them
+ * to Video.js.
+ */
+
+/**
+ * Error surfaced when detection did not finish
+ * `reason` is 'timeout' (no gateway answered in time) or 'aborted' (the
+ * video was destroyed or its source replaced).
+ */
+class DetectionError extends Error {
+  constructor(reason, details = {}) {
+    super(reason === 'timeout'
+      ? `Format detection timed out for: ${details.url}`
+      : `Format detection aborted for: ${details.url}`);
+    this.name = 'IPFSDetectionError';
+    this.code = reason === 'timeout' ? 'IPFS_DETECTION_TIMEOUT' : 'IPFS_DETECTION_ABORTED';
+    this.reason = reason;
+    this.url = details.url || null;
+  }
+}
+
+const ascii = (bytes, start, length) =>
+  String.fromCharCode(...bytes.subarray(start, start + length));
+
+/**
+ * Fourcc / codec ID -> RFC 6381 style codec name, for codecs found in
+ * MP4 sample entries and Matroska CodecIDs
+ */
+const MP4_CODECS = {
+  avc1: 'avc1', avc3: 'avc1', hvc1: 'hvc1', hev1: 'hev1', av01: 'av01',
+  vp09: 'vp09', mp4a: 'mp4a', Opus: 'opus', fLaC: 'flac', 'ac-3': 'ac-3', 'ec-3': 'ec-3'
+};
+
+const MATROSKA_CODECS = {
+  V_VP8: 'vp8', V_VP9: 'vp9', V_AV1: 'av01', 'V_MPEG4/ISO/AVC': 'avc1',
+  'V_MPEGH/ISO/HEVC': 'hvc1', A_OPUS: 'opus', A_VORBIS: 'vorbis', A_AAC: 'mp4a',
+  A_FLAC: 'flac', A_AC3: 'ac-3', A_EAC3: 'ec-3'
+};
+
+// ftyp brands of fragmented/segmented MP4 (DASH, CMAF)
+const FRAGMENTED_BRANDS = ['iso5', 'iso6', 'iso8', 'dash', 'cmfc', 'cmf2', 'msdh', 'msix'];
+
+/**
+ * Format Detector Service
+ */
+class FormatDetector {
+  /**
+   * Number of leading bytes detection reads (enough for ftyp + moov
+   * headers, the EBML header and a few MPEG-TS packets)
+   */
+  static SNIFF_BYTES = 4096;
+
+  /**
+   * Build a result object
+   * @param {Object} fields - Known fields
+   * @returns {Object} { mimeType, container, brand, compatibleBrands, codecs,
+   *   fragmented, confidence, source, playable }
+   */
+  static result(fields) {
+    const format = {
+      mimeType: null,
+      container: null,
+      brand: null,
+      compatibleBrands: [],
+      codecs: [],
+      fragmented: false,
+      confidence: 'high',
+      source: 'content',
+      ...fields
+    };
+    format.playable = this.canPlay(format);
+    return format;
+  }
+
+  /**
+   * Detect the format of a file from its leading bytes
+   * @param {Uint8Array} bytes - First bytes of the file
+   * @returns {Object|null} Structured result, or null if unrecognized
+   */
+  static detect(bytes) {
+    if (!bytes || bytes.length < 4) return null;
+
+    return this.detectText(bytes) ||
+           this.detectMP4(bytes) ||
+           this.detectEBML(bytes) ||
+           this.detectRIFF(bytes) ||
+           this.detectOgg(bytes) ||
+           this.detectAudio(bytes) ||
+           this.detectMPEG(bytes);
+  }
+
+  /**
+   * HLS playlists and DASH manifests
+   * @param {Uint8Array} bytes - Leading bytes
+   * @returns {Object|null} Result
+   */
+  static detectText(bytes) {
+    // Skip a UTF-8 byte order mark
+    const offset = bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF ? 3 : 0;
+    if (bytes[offset] !== 0x23 && bytes[offset] !== 0x3C) return null; // '#' or '<'
+
+    const text = new TextDecoder().decode(bytes.subarray(offset));
+
+    if (text.startsWith('#EXTM3U')) {
+      const codecs = new Set();
+      (text.match(/CODECS="([^"]*)"/g) || []).forEach(match => {
+        match.slice(8, -1).split(',').forEach(codec => codecs.add(codec.trim().split('.')[0]));
+      });
+      return this.result({
+        mimeType: 'application/x-mpegURL',
+        container: 'hls',
+        codecs: [...codecs]
+      });
+    }
+
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<MPD[\s>]/.test(text.trimStart())) {
+      const profiles = text.match(/profiles="([^"]*)"/);
+      return this.result({
+        mimeType: 'application/dash+xml',
+        container: 'dash',
+        brand: profiles ? profiles[1] : null
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * ISO BMFF: MP4, QuickTime, 3GP, M4A and fragmented MP4 (init and media segments)
+   * @param {Uint8Array} bytes - Leading bytes
+   * @returns {Object|null} Result
+   */
+  static detectMP4(bytes) {
+    if (bytes.length < 8) return null;
+    const type = ascii(bytes, 4, 4);
+
+    // Media segments of fragmented MP4 start without an ftyp
+    if (type === 'styp' || type === 'moof') {
+      return this.result({
+        mimeType: 'video/mp4',
+        container: 'mp4',
+        fragmented: true,
+        codecs: this.findCodecs(bytes, MP4_CODECS),
+        confidence: 'medium'
+      });
+    }
+    if (type !== 'ftyp') return null;
+
+    const size = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0);
+    const brand = bytes.length >= 12 ? ascii(bytes, 8, 4) : null;
+    const compatibleBrands = [];
+    for (let offset = 16; offset + 4 <= Math.min(size, bytes.length); offset += 4) {
+      compatibleBrands.push(ascii(bytes, offset, 4));
+    }
+
+    const brands = [brand, ...compatibleBrands].map(value => (value || '').trim());
+    const container = brands[0] === 'qt' ? 'quicktime'
+      : brands[0].startsWith('3g') ? '3gp'
+      : 'mp4';
+    const audioOnly = brands[0] === 'M4A' || brands[0] === 'M4B';
+
+    // An mvex box (movie extends) in the moov marks an fMP4 init segment;
+    // without it, CMAF/DASH brands make fragmentation probable
+    const hasMvex = this.findBox(bytes, 'mvex');
+    const fragmented = hasMvex || brands.some(value => FRAGMENTED_BRANDS.includes(value));
+
+    return this.result({
+      mimeType: audioOnly ? 'audio/mp4' : 'video/mp4',
+      container,
+      brand: brand ? brand.trim() : null,
+      compatibleBrands: compatibleBrands.map(value => value.trim()).filter(Boolean),
+      codecs: this.findCodecs(bytes, MP4_CODECS),
+      fragmented,
+      confidence: fragmented && !hasMvex ? 'medium' : 'high'
+    });
+  }
+
+  /**
+   * EBML: WebM and Matroska, told apart by the DocType element
+   * @param {Uint8Array} bytes - Leading bytes
+   * @returns {Object|null} Result
+   */
+  static detectEBML(bytes) {
+    if (!(bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3)) return null;
+
+    // DocType element: ID 0x4282, then a 1-byte size (0x80 | length) and the string
+    let docType = null;
+    for (let i = 4; i < Math.min(bytes.length - 3, 64); i++) {
+      if (bytes[i] === 0x42 && bytes[i + 1] === 0x82 && (bytes[i + 2] & 0x80)) {
+        const length = bytes[i + 2] & 0x7F;
+        docType = ascii(bytes, i + 3, length).replace(/\0/g, '');
+        break;
+      }
+    }
+
+    const isWebM = docType === 'webm';
+    return this.result({
+      mimeType: isWebM || !docType ? 'video/webm' : 'video/x-matroska',
+      container: isWebM || !docType ? 'webm' : 'matroska',
+      brand: docType,
+      codecs: this.findCodecs(bytes, MATROSKA_CODECS),
+      confidence: docType ? 'high' : 'medium'
+    });
+  }
+
+  /**
+   * RIFF: WAV and AVI
+   * @param {Uint8Array} bytes - Leading bytes
+   * @returns {Object|null} Result
+   */
+  static detectRIFF(bytes) {
+    if (bytes.length < 12 || ascii(bytes, 0, 4) !== 'RIFF') return null;
+    const form = ascii(bytes, 8, 4);
+
+    if (form === 'WAVE') {
+      return this.result({ mimeType: 'audio/wav', container: 'wav', codecs: ['pcm'] });
+    }
+    if (form === 'AVI ') {
+      return this.result({ mimeType: 'video/x-msvideo', container: 'avi' });
+    }
+    return null;
+  }
+
+  /**
+   * Ogg: Theora video, Opus or Vorbis audio
+   * @param {Uint8Array} bytes - Leading bytes
+   * @returns {Object|null} Result
+   */
+  static detectOgg(bytes) {
+    if (ascii(bytes, 0, 4) !== 'OggS') return null;
+
+    const codecs = [];
+    const text = ascii(bytes, 0, Math.min(bytes.length, 512));
+    if (text.includes('theora')) codecs.push('theora');
+    if (text.includes('OpusHead')) codecs.push('opus');
+    if (text.includes('vorbis')) codecs.push('vorbis');
+    if (text.includes('fLaC')) codecs.push('flac');
+
+    return this.result({
+      mimeType: codecs.length > 0 && !codecs.includes('theora') ? 'audio/ogg' : 'video/ogg',
+      container: 'ogg',
+      codecs,
+      confidence: codecs.length > 0 ? 'high' : 'medium'
+    });
+  }
+
+  /**
+   * Elementary audio: MP3 (ID3 or frame sync), AAC ADTS and FLAC
+   * @param {Uint8Array} bytes - Leading bytes
+   * @returns {Object|null} Result
+   */
+  static detectAudio(bytes) {
+    if (ascii(bytes, 0, 4) === 'fLaC') {
+      return this.result({ mimeType: 'audio/flac', container: 'flac', codecs: ['flac'] });
+    }
+
+    // An ID3v2 tag usually precedes MP3 (and sometimes AAC) frames
+    if (ascii(bytes, 0, 3) === 'ID3') {
+      const tagSize = 10 + (((bytes[6] & 0x7F) << 21) | ((bytes[7] & 0x7F) << 14) |
+                            ((bytes[8] & 0x7F) << 7) | (bytes[9] & 0x7F));
+      const frame = tagSize + 1 < bytes.length ? this.detectAudioFrame(bytes, tagSize) : null;
+      return frame || this.result({ mimeType: 'audio/mpeg', container: 'mp3', codecs: ['mp3'], confidence: 'medium' });
+    }
+
+    return this.detectAudioFrame(bytes, 0);
+  }
+
+  /**
+   * MPEG audio frame sync at an offset
+   * @param {Uint8Array} bytes - Leading bytes
+   * @param {number} offset - Frame start
+   * @returns {Object|null} Result
+   */
+  static detectAudioFrame(bytes, offset) {
+    if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xF0) !== 0xF0 && (bytes[offset + 1] & 0xE0) !== 0xE0) {
+      return null;
+    }
+
+    const layer = (bytes[offset + 1] >> 1) & 0x03;
+    // ADTS: 12-bit sync and layer 00
+    if ((bytes[offset + 1] & 0xF0) === 0xF0 && layer === 0) {
+      return this.result({ mimeType: 'audio/aac', container: 'aac', codecs: ['mp4a'] });
+    }
+    // MPEG-1/2 Layer III
+    if (layer === 1) {
+      return this.result({ mimeType: 'audio/mpeg', container: 'mp3', codecs: ['mp3'] });
+    }
+    return null;
+  }
+
+  /**
+   * MPEG-TS (and M2TS) by sync byte pattern, MPEG-PS by pack header
+   * @param {Uint8Array} bytes - Leading bytes
+   * @returns {Object|null} Result
+   */
+  static detectMPEG(bytes) {
+    if (bytes[0] === 0x47) {
+      // Sync bytes every 188 bytes confirm TS; a single 0x47 is only a guess
+      const confirmed = bytes.length > 188 && bytes[188] === 0x47 &&
+                        (bytes.length <= 376 || bytes[376] === 0x47);
+      return this.result({
+        mimeType: 'video/mp2t',
+        container: 'mpeg-ts',
+        confidence: confirmed ? 'high' : 'low'
+      });
+    }
+
+    // M2TS / Blu-ray: 4-byte timestamp before each 188-byte packet
+    if (bytes.length > 196 && bytes[4] === 0x47 && bytes[196] === 0x47) {
+      return this.result({ mimeType: 'video/mp2t', container: 'mpeg-ts', brand: 'm2ts' });
+    }
+
+    if (bytes[0] === 0x00 && bytes[1] === 0x00 && bytes[2] === 0x01 && bytes[3] === 0xBA) {
+      return this.result({ mimeType: 'video/mpeg', container: 'mpeg-ps' });
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a low-confidence result from a Content-Type header
+   * @param {string} mimeType - Normalized MIME type
+   * @returns {Object} Result
+   */
+  static fromMimeType(mimeType) {
+    return this.result({ mimeType, confidence: 'low', source: 'content-type' });
+  }
+
+  /**
+   * Check if a box type appears in the bytes (box header: size + type)
+   * @param {Uint8Array} bytes - Leading bytes
+   * @param {string} type - Four-character box type
+   * @returns {boolean} True if found
+   */
+  static findBox(bytes, type) {
+    return ascii(bytes, 0, bytes.length).includes(type);
+  }
+
+  /**
+   * Find codec identifiers in the leading bytes
+   * @param {Uint8Array} bytes - Leading bytes
+   * @param {Object} table - Identifier -> codec name
+   * @returns {Array<string>} Codec names in table order
+   */
+  static findCodecs(bytes, table) {
+    const text = ascii(bytes, 0, bytes.length);
+    const codecs = Object.keys(table)
+      .filter(id => text.includes(id))
+      .map(id => table[id]);
+    return [...new Set(codecs)];
+  }
+
+  /**
+   * Check if this browser can probably play a detected format
+   * Detected codecs are bare names without profile and level (avc1, not
+   * avc1.64001f), which browsers may reject even when they play the
+   * stream, so they can only confirm support: a rejected codec string
+   * gives null rather than false.
+   * @param {Object} format - Detection result
+   * @returns {boolean|null} True/false, or null if it cannot be told here
+   */
+  static canPlay(format) {
+    if (!format.mimeType || typeof document === 'undefined') return null;
+
+    const hasMSE = typeof window !== 'undefined' && !!window.MediaSource;
+    // Playlists and manifests are played by VHS over MSE (or natively for HLS)
+    if (format.container === 'hls' || format.container === 'dash') {
+      const video = document.createElement('video');
+      return hasMSE || (format.container === 'hls' && !!video.canPlayType('application/vnd.apple.mpegurl'));
+    }
+
+    const media = document.createElement(format.mimeType.startsWith('audio/') ? 'audio' : 'video');
+    const supports = type => media.canPlayType(type) !== '' ||
+      (hasMSE && window.MediaSource.isTypeSupported(type));
+
+    // An unsupported container is unplayable whatever its codecs
+    if (!supports(format.mimeType)) return false;
+
+    const codecs = format.codecs.filter(codec => codec !== 'pcm' && codec !== 'mp3');
+    if (codecs.length === 0) return true;
+    return supports(`${format.mimeType}; codecs="${codecs.join(',')}"`) ? true : null;
+  }
+}
+
+export default FormatDetector;
+export { FormatDetector, DetectionError };
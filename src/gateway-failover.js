@@ -0,0 +1,402 @@
+/**
+ * Gateway Failover for IPFS HLS Player
+ * Retries IPFS requests against alternate gateways when one fails
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Every IPFS URL is just a content path (/ipfs/<cid>/...) served by some
+ * gateway host. When that host times out or errors, the same path can be
+ * requested from any other gateway, so a single flaky gateway does not
+ * have to kill the stream.
+ */
+
+import GatewayRegistry from './gateway-registry.js';
+import GatewaySelector from './gateway-selector.js';
+import IPFSResolver from './ipfs-resolver.js';
+import VerifiedFetch from './verified-fetch.js';
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('gateway');
+
+/**
+ * Gateway Failover Service
+ * Used by detectFromContent (fetch) and the Video.js VHS request pipeline (xhr)
+ */
+class GatewayFailover {
+  /**
+   * HTTP status codes that indicate the gateway (not the content) is the problem
+   */
+  static FAILOVER_STATUS_CODES = [404, 408, 429, 500, 502, 503, 504];
+
+  /**
+   * Get the ordered list of gateways to fail over to
+   * @returns {Array<string>} Gateway origins
+   */
+  static getGateways() {
+    return GatewayRegistry.getGateways();
+  }
+
+  /**
+   * Check if failover is enabled
+   * @param {Object} options - Player options (per-player `gatewayFailover` wins)
+   * @returns {boolean} True unless disabled via options or config
+   */
+  static isEnabled(options = {}) {
+    if (typeof options.gatewayFailover === 'boolean') return options.gatewayFailover;
+    const config = PlayerConfig.get();
+    return config.gatewayFailover !== false;
+  }
+
+  /**
+   * Build the ordered list of gateways to try for a source
+   * Order: preferred gateway, the player's own gateways, session gateway,
+   * original gateway, then the remaining gateways ranked by health score.
+   * The original URL is kept as-is for its own gateway unless that gateway
+   * has shut down; ipfs:// URIs and bare CIDs only get gateway-built URLs.
+   * @param {string|Object} src - Source in any form IPFSResolver understands
+   * @param {string} preferred - Gateway origin to try first (optional)
+   * @param {Array<string>} gateways - Gateway origins of one player (optional),
+   *   tried before the page's gateways without being added to them
+   * @param {boolean} failover - The player's `gatewayFailover` setting
+   *   (default: the global one); only one candidate is returned when off
+   * @returns {Array<Object>} { gateway, url } candidates
+   */
+  static getCandidates(src, preferred, gateways = [], failover = this.isEnabled()) {
+    const resolved = IPFSResolver.resolve(src);
+    if (!resolved) return typeof src === 'string' ? [{ gateway: null, url: src }] : [];
+
+    const original = GatewayRegistry.isRetired(resolved.gateway) ? null : resolved.gateway;
+    if (!failover) {
+      const gateway = original || IPFSResolver.getPreferredGateway();
+      return [{ gateway, url: original ? src : IPFSResolver.toGatewayURL(resolved, gateway) }];
+    }
+
+    const order = [
+      preferred,
+      ...gateways,
+      GatewaySelector.selectedGateway,
+      original,
+      ...GatewaySelector.rankGateways(this.getGateways())
+    ].filter(Boolean);
+
+    return [...new Set(order)].map(gateway => ({
+      gateway,
+      url: gateway === original && typeof src === 'string'
+        ? src
+        : IPFSResolver.toGatewayURL(resolved, gateway)
+    }));
+  }
+
+  /**
+   * Build the ordered list of URLs to try for a source
+   * @param {string|Object} src - Source in any form IPFSResolver understands
+   * @param {string} preferred - Gateway origin to try first (optional)
+   * @param {Array<string>} gateways - Gateway origins of one player (optional)
+   * @returns {Array<string>} Candidate URLs
+   */
+  static getCandidateURLs(src, preferred, gateways) {
+    return this.getCandidates(src, preferred, gateways).map(candidate => candidate.url);
+  }
+
+  /**
+   * Get the gateway origin serving a URL
+   * @param {string} url - Request URL
+   * @returns {string|null} Gateway origin
+   */
+  static getGateway(url) {
+    const resolved = IPFSResolver.resolve(url);
+    return resolved ? resolved.gateway : null;
+  }
+
+  /**
+   * Fetch a URL, retrying the same content path on alternate gateways
+   * @param {string|Object} url - URL to fetch (or any resolvable IPFS source)
+   * @param {Object} init - fetch() options
+   * @param {Object} options - Failover options
+   * @param {string} options.preferred - Gateway origin to try first
+   * @param {number} options.timeout - Time in ms each gateway gets to respond
+   *   before the next one is tried (a gateway that timed out is scored as failed)
+   * @returns {Promise<Object>} { response, url, gateway } for the serving gateway
+   *   (if every gateway failed, the last failed response, whose body has been
+   *   cancelled). Rejects with a TimeoutError if every gateway timed out.
+   */
+  static async fetch(url, init = {}, options = {}) {
+    const candidates = this.getCandidates(url, options.preferred);
+    let lastResponse = null;
+    let lastError = null;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const { gateway, url: candidate } = candidates[i];
+      const isLast = i === candidates.length - 1;
+      const start = performance.now();
+      const attempt = this.createAttempt(init.signal, options.timeout);
+      let served = false;
+
+      try {
+        const response = await fetch(candidate, { ...init, signal: attempt.signal });
+        attempt.clear();
+        const failed = this.FAILOVER_STATUS_CODES.includes(response.status);
+        GatewaySelector.recordResult(gateway, !failed, performance.now() - start);
+
+        if (!failed || isLast) {
+          log.debug('Gateway served request:', gateway, candidate);
+          served = true;
+          return { response, url: candidate, gateway };
+        }
+
+        // Kept for its status only, in case every gateway fails
+        response.body && response.body.cancel().catch(() => {});
+        lastResponse = { response, url: candidate, gateway };
+        log.warn(`Gateway returned ${response.status}, failing over:`, candidate);
+      } catch (error) {
+        attempt.clear();
+        if (init.signal && init.signal.aborted) throw error;
+        GatewaySelector.recordResult(gateway, false);
+        lastError = attempt.timedOut ? this.createTimeoutError(candidate, options.timeout) : error;
+        log.warn('Gateway request failed, failing over:', candidate, lastError.message);
+      } finally {
+        // The served response's body still follows the caller's signal
+        if (!served) attempt.release();
+      }
+    }
+
+    if (lastResponse) return lastResponse;
+    throw lastError || new Error(`All gateways failed for: ${url}`);
+  }
+
+  /**
+   * Create the abort signal for one gateway attempt
+   * Follows the caller's signal and, with a timeout, aborts on its own
+   * once the gateway has not responded in time.
+   * @param {AbortSignal} signal - Caller's signal (optional)
+   * @param {number} timeout - Time to response in ms (optional)
+   * @returns {Object} { signal, timedOut, clear(), release() } - `clear()`
+   *   stops the timer once the response has arrived, `release()` stops
+   *   following the caller's signal once the attempt is abandoned
+   */
+  static createAttempt(signal, timeout) {
+    if (!timeout || typeof AbortController === 'undefined') {
+      return { signal, timedOut: false, clear: () => {}, release: () => {} };
+    }
+
+    const controller = new AbortController();
+    const attempt = { signal: controller.signal, timedOut: false };
+    const abort = () => controller.abort();
+
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    const timer = setTimeout(() => {
+      attempt.timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    attempt.clear = () => clearTimeout(timer);
+    attempt.release = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+    };
+    return attempt;
+  }
+
+  /**
+   * Build the error for a gateway that did not respond in time
+   * @param {string} url - Requested URL
+   * @param {number} timeout - Timeout in ms
+   * @returns {Error} Error named TimeoutError
+   */
+  static createTimeoutError(url, timeout) {
+    const error = new Error(`Gateway did not respond within ${timeout}ms: ${url}`);
+    error.name = 'TimeoutError';
+    return error;
+  }
+
+  /**
+   * Check if a completed VHS request should be retried on another gateway
+   * @param {Error} error - Error passed to the xhr callback
+   * @param {XMLHttpRequest} request - Completed request
+   * @returns {boolean} True if another gateway should be tried
+   */
+  static shouldFailover(error, request) {
+    if (!request || request.aborted) return false;
+    if (error && error.code === 'ETIMEDOUT') return true;
+    if (this.FAILOVER_STATUS_CODES.includes(request.status)) return true;
+    // Status 0 with an error is a network/CORS failure
+    return !!error && request.status === 0;
+  }
+
+  /**
+   * Attach gateway failover (and verification, if enabled) to a Video.js
+   * player's VHS request pipeline
+   * Wraps the per-player VHS xhr each time VHS handles a new source
+   * @param {Player} player - Video.js player
+   * @param {Object} options - Player options (for per-player `verified`,
+   *   `gatewayFailover` and `gateways`)
+   */
+  static attachToPlayer(player, options = {}) {
+    const verified = VerifiedFetch.isEnabled(options);
+    const failover = this.isEnabled(options);
+    if (!failover && !verified) return;
+
+    player.on('xhr-hooks-ready', () => {
+      const tech = player.tech({ IWillNotUseThisInPlugins: true });
+      if (!tech || !tech.vhs || tech.vhs.xhr._ipfsFailover) return;
+
+      tech.vhs.xhr = this.wrapVhsXhr(tech.vhs.xhr, player, { verified, failover, gateways: options.gateways });
+    });
+  }
+
+  /**
+   * Wrap a VHS xhr function with gateway failover
+   * The wrapper is a Proxy so VHS's onRequest/onResponse hook storage keeps
+   * working on the original function.
+   * @param {Function} baseXhr - VHS xhr function
+   * @param {Player} player - Player used for event reporting
+   * @param {Object} wrapOptions - { verified } to verify IPFS responses against their
+   *   CID, { failover } for the player's `gatewayFailover` setting,
+   *   { gateways } for the player's own gateways
+   * @returns {Function} Wrapped xhr function
+   */
+  static wrapVhsXhr(baseXhr, player, wrapOptions = {}) {
+    const self = this;
+    const playerLog = log.with(PlayerConfig.logContext(player));
+    // Gateway that last served this player, so later requests start there
+    let preferred = null;
+
+    return new Proxy(baseXhr, {
+      get(target, prop) {
+        if (prop === '_ipfsFailover') return true;
+        return target[prop];
+      },
+
+      apply(target, thisArg, [options, callback]) {
+        const verifiable = wrapOptions.verified ? VerifiedFetch.getVerifiableSource(options.uri) : null;
+        const candidates = self.getCandidates(options.uri, preferred, wrapOptions.gateways, wrapOptions.failover);
+        if (candidates.length < 2 && !verifiable) {
+          return target(options, callback);
+        }
+
+        const listeners = [];
+        let attempt = 0;
+        let current;
+        let integrityError = null;
+
+        const retry = (request, gateway, status) => {
+          // Detach VHS listeners so the failed attempt's loadend is not seen
+          listeners.forEach(([type, handler]) => request.removeEventListener(type, handler));
+          attempt++;
+
+          playerLog.warn(`Gateway ${gateway} failed for ${options.requestType || 'request'}, trying`, candidates[attempt].gateway);
+          player.trigger({
+            type: 'ipfsgatewayfailover',
+            failedGateway: gateway,
+            nextGateway: candidates[attempt].gateway,
+            requestType: options.requestType,
+            status
+          });
+
+          send();
+        };
+
+        const complete = (error, request, gateway, uri) => {
+          if (!error) {
+            preferred = gateway;
+            playerLog.debug('Gateway served VHS request:', gateway, uri);
+            player.trigger({
+              type: 'ipfsgatewayserved',
+              gateway,
+              uri,
+              requestType: options.requestType,
+              attempts: attempt + 1,
+              verified: !!verifiable
+            });
+          } else if (integrityError) {
+            playerLog.error('Integrity check failed on every gateway:', integrityError.message);
+            player.trigger({ type: 'ipfsintegrityerror', error: integrityError, uri: options.uri });
+          }
+
+          callback(error, request);
+        };
+
+        const send = () => {
+          const { gateway, url: uri } = candidates[attempt];
+          const requestOptions = verifiable
+            ? VerifiedFetch.prepareXhrOptions({ ...options, uri }, verifiable)
+            : { ...options, uri };
+          const start = performance.now();
+
+          current = target(requestOptions, (error, request) => {
+            const shouldFailover = self.shouldFailover(error, request);
+            const canRetry = attempt < candidates.length - 1;
+
+            if (!request.aborted) {
+              GatewaySelector.recordResult(gateway, !shouldFailover, performance.now() - start);
+            }
+
+            if (shouldFailover && canRetry) {
+              retry(request, gateway, request.status);
+              return;
+            }
+
+            if (error || !verifiable || request.aborted) {
+              complete(error, request, gateway, uri);
+              return;
+            }
+
+            // Only hand data to VHS once it matches its CID
+            VerifiedFetch.applyToXhr(request, options, verifiable)
+              .then(() => complete(null, request, gateway, uri))
+              .catch(verifyError => {
+                integrityError = verifyError;
+                integrityError.url = uri;
+                GatewaySelector.recordResult(gateway, false);
+                playerLog.warn(`Gateway ${gateway} response failed verification:`, verifyError.message);
+
+                if (canRetry && !request.aborted) {
+                  retry(request, gateway, request.status);
+                } else {
+                  complete(integrityError, request, gateway, uri);
+                }
+              });
+          });
+
+          listeners.forEach(([type, handler]) => current.addEventListener(type, handler));
+        };
+
+        send();
+
+        // Stand-in request that always forwards to the current attempt
+        return new Proxy({}, {
+          get(_, prop) {
+            if (prop === 'addEventListener') {
+              return (type, handler) => {
+                listeners.push([type, handler]);
+                current.addEventListener(type, handler);
+              };
+            }
+            if (prop === 'removeEventListener') {
+              return (type, handler) => {
+                const index = listeners.findIndex(([t, h]) => t === type && h === handler);
+                if (index !== -1) listeners.splice(index, 1);
+                current.removeEventListener(type, handler);
+              };
+            }
+            const value = current[prop];
+            return typeof value === 'function' ? value.bind(current) : value;
+          },
+
+          set(_, prop, value) {
+            current[prop] = value;
+            return true;
+          }
+        });
+      }
+    });
+  }
+}
+
+export default GatewayFailover;
+export { GatewayFailover };
@@ -0,0 +1,179 @@
+/**
+ * Gateway Registry for IPFS HLS Player
+ * Keeps the list of known IPFS gateways and how to address them
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Gateways come in two styles:
+ * - Path gateways:      https://ipfs.io/ipfs/<cid>/path
+ * - Subdomain gateways: https://<cid>.ipfs.dweb.link/path
+ * Apps can register their own (including private) gateways at runtime.
+ */
+
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('gateway');
+
+/**
+ * Gateway Registry Service
+ * Entries are keyed by gateway origin (e.g. https://ipfs.io)
+ */
+class GatewayRegistry {
+  /**
+   * Built-in gateways, in default preference order
+   */
+  static DEFAULT_GATEWAYS = [
+    { url: 'https://ipfs.dlux.io', subdomain: false },
+    { url: 'https://ipfs.io', subdomain: false },
+    { url: 'https://dweb.link', subdomain: true },
+    { url: 'https://gateway.pinata.cloud', subdomain: false }
+  ];
+
+  /**
+   * Gateways that have shut down
+   * Their URLs are still recognized (and moved to a live gateway), but
+   * they are never fetched from, raced or failed over to.
+   */
+  static RETIRED_GATEWAYS = [
+    { url: 'https://cf-ipfs.com', subdomain: true },
+    { url: 'https://cloudflare-ipfs.com', subdomain: false }
+  ];
+
+  // Gateways registered at runtime via register()
+  static registered = [];
+
+  /**
+   * Normalize a gateway definition
+   * @param {string|Object} gateway - Origin string or { url, subdomain }
+   * @returns {Object} { url, host, subdomain }
+   */
+  static normalize(gateway) {
+    const definition = typeof gateway === 'string' ? { url: gateway } : { ...gateway };
+    const parsed = new URL(definition.url);
+
+    return {
+      url: parsed.origin,
+      host: parsed.host,
+      subdomain: !!definition.subdomain
+    };
+  }
+
+  /**
+   * Register a custom gateway
+   * @param {string|Object} gateway - Origin string or { url, subdomain }
+   * @param {Object} options - Registration options
+   * @param {boolean} options.prepend - Prefer this gateway over existing ones
+   * @returns {Object} Normalized gateway entry
+   */
+  static register(gateway, options = {}) {
+    const entry = this.normalize(gateway);
+    this.unregister(entry.url);
+
+    if (options.prepend) {
+      this.registered.unshift(entry);
+    } else {
+      this.registered.push(entry);
+    }
+
+    log.debug('Registered gateway:', entry);
+
+    return entry;
+  }
+
+  /**
+   * Remove a registered gateway
+   * @param {string} url - Gateway origin
+   */
+  static unregister(url) {
+    const origin = this.normalize(url).url;
+    this.registered = this.registered.filter(entry => entry.url !== origin);
+  }
+
+  /**
+   * Get all gateway entries in preference order
+   * Prepended registrations come first, then configured (or built-in)
+   * gateways, then appended registrations.
+   * @returns {Array<Object>} Gateway entries
+   */
+  static getEntries() {
+    const config = PlayerConfig.get();
+    const base = Array.isArray(config.gateways) && config.gateways.length > 0
+      ? config.gateways
+      : this.DEFAULT_GATEWAYS;
+
+    const entries = [...this.registered, ...base.map(gateway => this.normalize(gateway))];
+    const seen = new Set();
+    return entries.filter(entry => {
+      if (seen.has(entry.url)) return false;
+      seen.add(entry.url);
+      return true;
+    });
+  }
+
+  /**
+   * Get all gateway origins in preference order
+   * @returns {Array<string>} Gateway origins
+   */
+  static getGateways() {
+    return this.getEntries().map(entry => entry.url);
+  }
+
+  /**
+   * Get every gateway whose URLs are recognized
+   * @returns {Array<Object>} Gateway entries, retired gateways last
+   */
+  static getKnownEntries() {
+    const entries = this.getEntries();
+    const retired = this.RETIRED_GATEWAYS
+      .map(gateway => this.normalize(gateway))
+      .filter(gateway => !entries.some(entry => entry.url === gateway.url));
+    return [...entries, ...retired];
+  }
+
+  /**
+   * Check if a gateway has shut down
+   * @param {string} url - Gateway origin
+   * @returns {boolean} True for retired gateways the app has not configured or registered
+   */
+  static isRetired(url) {
+    if (!url || this.getEntries().some(entry => entry.url === url)) return false;
+    return this.RETIRED_GATEWAYS.some(gateway => this.normalize(gateway).url === url);
+  }
+
+  /**
+   * Look up a gateway entry by origin, retired gateways included
+   * @param {string} url - Gateway origin
+   * @returns {Object|null} Gateway entry
+   */
+  static get(url) {
+    if (!url) return null;
+    return this.getKnownEntries().find(entry => entry.url === url) || null;
+  }
+
+  /**
+   * Find the gateway entry for a host, including subdomain form
+   * Retired gateways match too, so their URLs can be moved elsewhere.
+   * @param {string} host - URL host (hostname[:port])
+   * @returns {Object|null} { entry, namespace, root } where root is the
+   *   subdomain label (CID or IPNS name) for subdomain gateways
+   */
+  static matchHost(host) {
+    for (const entry of this.getKnownEntries()) {
+      if (host === entry.host) {
+        return { entry, namespace: null, root: null };
+      }
+
+      const match = host.match(/^([^.]+)\.(ipfs|ipns)\.(.+)$/);
+      if (match && match[3] === entry.host) {
+        return { entry, namespace: match[2], root: match[1] };
+      }
+    }
+
+    return null;
+  }
+}
+
+export default GatewayRegistry;
+export { GatewayRegistry };
@@ -0,0 +1,321 @@
+/**
+ * Gateway Selector for IPFS HLS Player
+ * Races gateways by latency and keeps persistent health scores
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * The fastest gateway differs per viewer, so the selector probes all
+ * configured gateways in parallel with the same small Range request used
+ * for type detection, picks the fastest healthy one for the session and
+ * remembers rolling scores in localStorage for the next page load. Scores
+ * are updated in memory on every request and written out in batches.
+ */
+
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('gateway');
+
+/**
+ * Gateway Selector Service
+ * Scores are keyed by gateway origin (e.g. https://ipfs.io)
+ */
+class GatewaySelector {
+  /**
+   * localStorage key for persisted scores
+   */
+  static STORAGE_KEY = 'ipfs_hls_gateway_scores';
+
+  /**
+   * Weight of the newest sample in the rolling averages
+   */
+  static SMOOTHING = 0.3;
+
+  /**
+   * Scores older than this are ignored (7 days)
+   */
+  static MAX_SCORE_AGE = 7 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Default time to wait for probe responses
+   */
+  static DEFAULT_PROBE_TIMEOUT = 5000;
+
+  /**
+   * Delay before changed scores are written to localStorage
+   * Every VHS request records a result, so writes are batched.
+   */
+  static SAVE_DELAY = 5000;
+
+  // Gateway chosen for this page session
+  static selectedGateway = null;
+
+  // In-flight race, shared by concurrent callers
+  static pendingRace = null;
+
+  // In-memory copy of persisted scores
+  static scores = null;
+
+  // Pending batched write
+  static saveTimer = null;
+
+  // Whether unsaved scores are flushed on pagehide
+  static flushOnPagehide = false;
+
+  /**
+   * Load scores from localStorage
+   * @returns {Object} Scores keyed by gateway origin
+   */
+  static getScores() {
+    if (this.scores) return this.scores;
+
+    this.scores = {};
+    try {
+      if (typeof localStorage !== 'undefined') {
+        const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        const now = Date.now();
+        Object.keys(stored).forEach(gateway => {
+          if (now - stored[gateway].updatedAt < this.MAX_SCORE_AGE) {
+            this.scores[gateway] = stored[gateway];
+          }
+        });
+      }
+    } catch (error) {
+      log.warn('Failed to read gateway scores:', error);
+    }
+
+    return this.scores;
+  }
+
+  /**
+   * Persist scores to localStorage
+   */
+  static saveScores() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.getScores()));
+      }
+    } catch (error) {
+      // Quota exceeded or storage disabled - scores stay in memory only
+    }
+  }
+
+  /**
+   * Persist scores after SAVE_DELAY, or when the page is hidden
+   * Scores changed in the meantime go out with the same write.
+   */
+  static scheduleSave() {
+    if (!this.flushOnPagehide && typeof window !== 'undefined' && window.addEventListener) {
+      this.flushOnPagehide = true;
+      window.addEventListener('pagehide', () => {
+        if (this.saveTimer) this.saveScores();
+      });
+    }
+
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.saveScores(), this.SAVE_DELAY);
+  }
+
+  /**
+   * Record the outcome of a request to a gateway
+   * @param {string} gateway - Gateway origin
+   * @param {boolean} ok - True if the gateway served the request
+   * @param {number} latency - Time to response in ms (successes only)
+   */
+  static recordResult(gateway, ok, latency) {
+    if (!gateway) return;
+
+    const scores = this.getScores();
+    const score = scores[gateway] || { health: 1, latency: null, successes: 0, failures: 0 };
+    const weight = this.SMOOTHING;
+
+    score.health = score.health * (1 - weight) + (ok ? 1 : 0) * weight;
+    if (ok) {
+      score.successes++;
+      if (typeof latency === 'number') {
+        score.latency = score.latency === null
+          ? Math.round(latency)
+          : Math.round(score.latency * (1 - weight) + latency * weight);
+      }
+    } else {
+      score.failures++;
+    }
+    score.updatedAt = Date.now();
+
+    scores[gateway] = score;
+    this.scheduleSave();
+
+    // A failing session gateway should not keep getting first pick
+    if (!ok && gateway === this.selectedGateway && score.health < 0.5) {
+      this.selectedGateway = null;
+    }
+  }
+
+  /**
+   * Check if a gateway is considered healthy
+   * @param {string} gateway - Gateway origin
+   * @returns {boolean} True if healthy or never scored
+   */
+  static isHealthy(gateway) {
+    const score = this.getScores()[gateway];
+    return !score || score.health >= 0.5;
+  }
+
+  /**
+   * Sort gateways best first: healthy by latency, then unscored, then unhealthy
+   * @param {Array<string>} gateways - Gateway origins
+   * @returns {Array<string>} Sorted copy
+   */
+  static rankGateways(gateways) {
+    const scores = this.getScores();
+    const sortKey = (gateway) => {
+      const score = scores[gateway];
+      if (score && score.health < 0.5) return [2, -score.health];
+      if (score && score.latency !== null) return [0, score.latency];
+      return [1, 0];
+    };
+
+    return [...gateways].sort((a, b) => {
+      const [tierA, valueA] = sortKey(a);
+      const [tierB, valueB] = sortKey(b);
+      return tierA - tierB || valueA - valueB;
+    });
+  }
+
+  /**
+   * Probe a single candidate
+   * @param {Object} candidate - { gateway, url }
+   * @param {AbortSignal} signal - Abort signal for losers/timeouts
+   * @returns {Promise<Object>} { gateway, latency }
+   */
+  static async probe({ gateway, url }, signal) {
+    const start = performance.now();
+
+    const response = await fetch(url, {
+      headers: { 'Range': 'bytes=0-200' },
+      mode: 'cors',
+      // Measure the gateway, not a cache (also skips the segment cache worker)
+      cache: 'no-store',
+      signal
+    });
+    // Release the connection - only the timing matters
+    if (response.body) response.body.cancel().catch(() => {});
+
+    if (!response.ok) {
+      throw new Error(`Probe failed with status ${response.status}`);
+    }
+
+    return { gateway, latency: performance.now() - start };
+  }
+
+  /**
+   * Probe candidate URLs in parallel and pick the fastest healthy gateway
+   * Resolves as soon as the first gateway answers; slower probes keep
+   * running in the background to update scores until the timeout.
+   * @param {Array<Object>} candidates - { gateway, url } for the same content
+   * @param {Object} options - Race options
+   * @param {number} options.timeout - Probe timeout in ms
+   * @returns {Promise<string|null>} Winning gateway origin or null
+   */
+  static race(candidates, options = {}) {
+    const config = PlayerConfig.get();
+    const timeout = options.timeout || config.gatewayProbeTimeout || this.DEFAULT_PROBE_TIMEOUT;
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = setTimeout(() => controller && controller.abort(), timeout);
+
+    return new Promise((resolve) => {
+      let pending = candidates.length;
+      let winner = null;
+
+      if (pending === 0) {
+        clearTimeout(timer);
+        resolve(null);
+        return;
+      }
+
+      candidates.forEach(candidate => {
+        this.probe(candidate, controller && controller.signal)
+          .then(({ gateway, latency }) => {
+            this.recordResult(gateway, true, latency);
+            if (!winner) {
+              winner = gateway;
+              log.debug(`Gateway race won by ${gateway} in ${Math.round(latency)}ms`);
+              resolve(gateway);
+            }
+          })
+          .catch(() => {
+            this.recordResult(candidate.gateway, false);
+          })
+          .finally(() => {
+            pending--;
+            if (pending === 0) {
+              clearTimeout(timer);
+              if (!winner) resolve(null);
+            }
+          });
+      });
+    });
+  }
+
+  /**
+   * Choose the gateway for this session
+   * Starts immediately on the best stored gateway when one is known and
+   * refreshes scores in the background; otherwise waits for a race.
+   * @param {Array<Object>} candidates - { gateway, url } for the same content
+   * @returns {Promise<string|null>} Selected gateway origin
+   */
+  static async select(candidates) {
+    if (this.selectedGateway) return this.selectedGateway;
+    if (this.pendingRace) return this.pendingRace;
+
+    const gateways = candidates.map(candidate => candidate.gateway);
+    const best = this.rankGateways(gateways)[0];
+    const bestScore = this.getScores()[best];
+
+    const race = this.race(candidates).then(winner => {
+      this.pendingRace = null;
+      if (winner && !this.selectedGateway) {
+        this.selectedGateway = winner;
+      }
+      return this.selectedGateway;
+    });
+
+    if (bestScore && bestScore.latency !== null && this.isHealthy(best)) {
+      this.selectedGateway = best;
+      log.debug('Starting on stored best gateway:', best);
+      return best;
+    }
+
+    this.pendingRace = race;
+    return race;
+  }
+
+  /**
+   * Forget the session choice and all stored scores
+   */
+  static reset() {
+    this.selectedGateway = null;
+    this.pendingRace = null;
+    this.scores = {};
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(this.STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage disabled
+    }
+  }
+}
+
+export default GatewaySelector;
+export { GatewaySelector };
@@ -18,27 +18,299 @@ import 'video.js/dist/video-js.css';
 // HLS Quality Selector plugin for Video.js
 import 'videojs-hls-quality-selector';
 
+// Multi-gateway failover for IPFS requests
+import GatewayFailover from './gateway-failover.js';
+
+// Latency-based gateway selection with persistent health scores
+import GatewaySelector from './gateway-selector.js';
+
+// Gateway registry and IPFS source resolution
+import GatewayRegistry from './gateway-registry.js';
+import IPFSResolver from './ipfs-resolver.js';
+
+// CID parsing, validation and conversion
+import CID from './utils/cid.js';
+
+// Trustless fetching verified against the CID
+import VerifiedFetch, { IntegrityError } from './verified-fetch.js';
+
+// Client-side rewriting of relative HLS playlists and DASH manifests
+import PlaylistRewriter from './playlist-rewriter.js';
+import DashRewriter from './dash-rewriter.js';
+
+// Service worker segment caching
+import SegmentCache from './segment-cache.js';
+
+// Offline downloads into IndexedDB
+import OfflineStore, { OfflineDownload } from './offline-store.js';
+
+// Video.js-compatible adapter for native HLS playback
+import NativePlayer from './native-player.js';
+
+// Container, brand and codec detection from leading bytes
+import FormatDetector, { DetectionError } from './format-detector.js';
+
+// Detection results cached by CID, with in-flight coalescing
+import DetectionCache from './detection-cache.js';
+
+// Validated global and per-player configuration
+import PlayerConfig from './player-config.js';
+
+// Playback quality of experience measurement and beacon reporting
+import QoEMonitor from './qoe-monitor.js';
+
+// "Stats for nerds" diagnostics overlay and JSON report
+import StatsOverlay from './stats-overlay.js';
+
+// <ipfs-video> custom element
+import IPFSVideoElement from './ipfs-video-element.js';
+
+// Enhancement of videos added later, disposal of removed ones
+import VideoObserver from './video-observer.js';
+
+// Viewport-aware player creation with a cap on live players
+import LazyLoader from './lazy-loader.js';
+
+// Sources, tracks and data-ipfs-* options read from <video> markup
+import VideoMarkup from './video-markup.js';
+
+// Namespaced logging with structured records and pluggable sinks
+import logger, { DebugLogger } from './utils/debug-logger.js';
+
+const log = logger.namespace('player');
+const detectLog = logger.namespace('detect');
+const strategyLog = logger.namespace('strategy');
+const nativeLog = logger.namespace('native');
+const vhsLog = logger.namespace('vhs');
+const gatewayLog = logger.namespace('gateway');
+
 /**
  * IPFS HLS Player Service
  * Provides automatic video enhancement with IPFS-optimized settings
  */
 class IPFSHLSPlayer {
+  /**
+   * Configuration System
+   * Global defaults, per-player overrides and the effective config of a player
+   */
+  
+  /**
+   * Set global defaults for every player
+   * Unknown keys and values of the wrong type are reported and ignored.
+   * Merges into earlier calls and window.ipfsHLSPlayerConfig.
+   * @param {Object} settings - Settings (see PlayerConfig.SCHEMA)
+   * @returns {Object} Effective global config
+   */
+  static configure(settings) {
+    return PlayerConfig.configure(settings);
+  }
+  
+  /**
+   * Get the effective config of a player, or the global config
+   * @param {HTMLVideoElement|Player|NativePlayer} target - Video element or player (optional)
+   * @returns {Object} Copy of the settings the player runs with
+   */
+  static getConfig(target) {
+    const key = target && target.isNativePlayer ? target.element : target;
+    return { ...PlayerConfig.of(key) };
+  }
+  
+  /**
+   * Logging System
+   * Namespaced log records (detect, strategy, native, vhs, gateway, ...)
+   * that can be sent to app sinks as well as the console
+   */
+  
+  /**
+   * Enable console debug output for some namespaces
+   * Debug output also follows the `debug` config setting of each player.
+   * @param {string|boolean} namespaces - 'detect,vhs', '*' or true for all,
+   *   '-native' to leave one out; '' or false turns it off
+   * @param {Object} options - { persist } to keep the setting in localStorage
+   */
+  static enableDebug(namespaces = '*', options = {}) {
+    logger.enable(namespaces, options);
+  }
+  
+  /**
+   * Set the lowest level the console prints for namespaces without debug output
+   * @param {string} level - 'debug', 'info' (default), 'warn', 'error' or 'silent'
+   */
+  static setLogLevel(level) {
+    logger.setLevel(level);
+  }
+  
+  /**
+   * Send log records to an app's own logging pipeline
+   * Records are { time, level, namespace, message, data, context }, where
+   * context.player is the id of the player the record is about.
+   * @param {Function|Object} sink - (record) => void, or an object with write(record)
+   * @param {Object} options - Sink options
+   * @param {string} options.level - Lowest level to receive (default: 'info')
+   * @param {string} options.namespaces - Namespace patterns (default: all)
+   * @returns {Function} Call to remove the sink
+   */
+  static addLogSink(sink, options = {}) {
+    return logger.addSink(sink, options);
+  }
+  
+  /**
+   * Stop sending log records to a sink
+   * Pass logger.consoleSink (IPFSHLSPlayerBundle.logger) to silence the console.
+   * @param {Function|Object} sink - Sink passed to addLogSink()
+   */
+  static removeLogSink(sink) {
+    logger.removeSink(sink);
+  }
+  
+  /**
+   * Keep the latest log records in memory, e.g. to attach to bug reports
+   * @param {Object} options - Buffer options
+   * @param {number} options.size - Records kept (default: 500)
+   * @param {string} options.level - Lowest level kept (default: 'debug')
+   * @param {string} options.namespaces - Namespace patterns (default: all)
+   * @returns {Object} Buffer with records(), export() (JSON text), clear() and remove()
+   */
+  static createLogBuffer(options = {}) {
+    return logger.createBuffer(options);
+  }
+  
   /**
    * Check if URL is an IPFS URL
-   * @param {string} url - URL to check
+   * Accepts path and subdomain gateway URLs, ipfs:// and ipns:// URIs,
+   * bare CIDs and { cid } objects
+   * @param {string|Object} url - URL to check
    * @returns {boolean} True if IPFS URL
    */
   static isIPFSURL(url) {
-    if (!url) return false;
-    return url.includes('/ipfs/') || 
-           url.includes('ipfs.io') || 
-           url.includes('ipfs.dlux.io') || 
-           url.includes('gateway.pinata.cloud') ||
-           url.includes('dweb.link') || 
-           url.includes('cf-ipfs.com') ||
-           url.includes('cloudflare-ipfs.com');
+    return IPFSResolver.isIPFS(url);
   }
 
+  /**
+   * Register a custom or private IPFS gateway
+   * @param {string|Object} gateway - Origin string or { url, subdomain }
+   * @param {Object} options - { prepend: true } to prefer it over existing gateways
+   * @returns {Object} Registered gateway entry
+   */
+  static registerGateway(gateway, options = {}) {
+    return GatewayRegistry.register(gateway, options);
+  }
+
+  /**
+   * Remove a registered gateway
+   * @param {string} url - Gateway origin
+   */
+  static unregisterGateway(url) {
+    GatewayRegistry.unregister(url);
+  }
+
+  /**
+   * Get all known gateway origins in preference order
+   * @returns {Array<string>} Gateway origins
+   */
+  static getGateways() {
+    return GatewayRegistry.getGateways();
+  }
+
+  /**
+   * Resolve any IPFS source form to a canonical CID + path
+   * @param {string|Object} src - Gateway URL, ipfs:// / ipns:// URI, CID or { cid, path }
+   * @returns {Object|null} { namespace, cid, path, gateway } or null if not IPFS
+   */
+  static resolveSource(src) {
+    return IPFSResolver.resolve(src);
+  }
+
+  /**
+   * Build a fetchable gateway URL for any IPFS source form
+   * @param {string|Object} src - Gateway URL, ipfs:// / ipns:// URI, CID or { cid, path }
+   * @param {string} gateway - Gateway origin (default: preferred gateway)
+   * @returns {string|null} Fetchable URL
+   */
+  static getGatewayURL(src, gateway) {
+    return IPFSResolver.toURL(src, gateway);
+  }
+
+  /**
+   * Parse a CID string
+   * @param {string} cid - CIDv0 (Qm...) or multibase CIDv1 (base32/base58/base36)
+   * @returns {CID} Parsed CID with version, codec, multihash and toString(base)
+   * @throws {CIDError} If the CID is malformed
+   */
+  static parseCID(cid) {
+    return CID.parse(cid);
+  }
+
+  /**
+   * Check if a string is a valid CID
+   * @param {string} cid - Candidate CID
+   * @returns {boolean} True if valid
+   */
+  static isValidCID(cid) {
+    return CID.isValid(cid);
+  }
+
+  /**
+   * Convert a CID to CIDv1 base32 (required for subdomain gateways)
+   * @param {string} cid - CID string
+   * @returns {string} CIDv1 base32 string
+   */
+  static toCIDv1(cid) {
+    return CID.toV1(cid);
+  }
+
+  /**
+   * Extract the CID and remaining path from any gateway URL or IPFS source
+   * @param {string|Object} src - Gateway URL, ipfs:// URI, CID or { cid, path }
+   * @returns {Object|null} { cid, path, namespace, gateway, parsed } or null.
+   *   `parsed` is the CID instance (null for DNSLink IPNS names).
+   */
+  static extractCID(src) {
+    const resolved = IPFSResolver.resolve(src);
+    if (!resolved) return null;
+    
+    return {
+      ...resolved,
+      parsed: CID.isValid(resolved.cid) ? CID.parse(resolved.cid) : null
+    };
+  }
+
+  /**
+   * Fetch IPFS content and verify it against its CID
+   * Requests a raw block or CAR from the gateway and hashes every block,
+   * so the gateway does not have to be trusted.
+   * @param {string|Object} src - Any resolvable IPFS source (immutable /ipfs/ content)
+   * @returns {Promise<Uint8Array>} Verified content bytes
+   * @throws {IntegrityError} If the gateway data does not match the CID
+   */
+  static async fetchVerified(src) {
+    return VerifiedFetch.fetch(IPFSResolver.toURL(src));
+  }
+
+  /**
+   * Rewrite an IPFS playlist or DASH manifest for playback
+   * Relative variant, rendition and segment URIs, and absolute URLs on
+   * other gateways, become absolute URLs on the gateway that served the
+   * playlist. Both player paths do this automatically; this is for apps
+   * that feed playlists to other players.
+   * @param {string|Object} src - Any resolvable IPFS source for the playlist
+   * @param {Object} options - { verified, format: 'blob' | 'data', type }
+   *   where `type` 'application/dash+xml' (or an .mpd URL) selects DASH
+   * @returns {Promise<Object|null>} { url, original, gateway, revoke } with a
+   *   blob: or data: URL for the rewritten playlist, or null if it has nothing to rewrite
+   */
+  static async rewritePlaylist(src, options = {}) {
+    const url = IPFSResolver.toURL(src);
+    return this.isDASHContent(url, options.type)
+      ? DashRewriter.rewriteSource(url, options)
+      : PlaylistRewriter.rewriteSource(url, options);
+  }
+
+  /**
+   * Default time in ms each gateway gets per detection attempt
+   */
+  static DEFAULT_DETECTION_TIMEOUT = 8000;
+
   /**
    * MIME type normalization map
    * Maps various MIME type variants to Video.js-compatible types
@@ -62,6 +334,9 @@ class IPFSHLSPlayer {
     'audio/mpegurl': 'application/x-mpegURL',
     'audio/x-mpegurl': 'application/x-mpegURL',
     
+    // DASH variants
+    'video/vnd.mpeg.dash.mpd': 'application/dash+xml',
+    
     // AVI variants
     'video/avi': 'video/x-msvideo',
     'video/msvideo': 'video/x-msvideo',
@@ -77,119 +352,87 @@ class IPFSHLSPlayer {
     'video/ogg': 'video/ogg',
     'video/x-msvideo': 'video/x-msvideo',
     'video/mp2t': 'video/mp2t',
-    'application/x-mpegURL': 'application/x-mpegURL'
+    'application/x-mpegURL': 'application/x-mpegURL',
+    'application/dash+xml': 'application/dash+xml'
   };
 
   /**
-   * Detect MIME type from file content (magic bytes and text signatures)
+   * Detect the format of a file from its content (magic bytes and text signatures)
+   * Results are cached by CID, and concurrent calls for the same content
+   * (initializePlayer and the middleware, or several players) share one request.
+   * Each gateway gets `timeout` ms per attempt (Range, then full fetch)
+   * before the next one is tried.
+   * @param {string} url - URL to check
+   * @param {Object} options - Detection options
+   * @param {AbortSignal} options.signal - Stops waiting (e.g. when the video is destroyed)
+   * @param {number} options.timeout - Per-gateway timeout in ms, 0 for none
+   *   (default: config.detectionTimeout or 8000)
+   * @returns {Promise<Object|null>} Format ({ mimeType, container, brand, compatibleBrands,
+   *   codecs, fragmented, confidence, source, playable }) or null. Rejects with a
+   *   DetectionError whose `reason` is 'timeout' (no gateway answered in time)
+   *   or 'aborted' (the signal fired).
+   */
+  static async detectFromContent(url, options = {}) {
+    // Invalid CIDs can never be served - report them instead of fetching
+    const validation = IPFSResolver.validate(url);
+    if (validation.error) {
+      detectLog.error('Content detection skipped -', validation.error, 'for URL:', url);
+      return null;
+    }
+    
+    return DetectionCache.detect(url, signal => this.sniffContent(url, signal, options.timeout), {
+      signal: options.signal
+    });
+  }
+
+  /**
+   * Fetch the first bytes of a file and identify its format
    * @param {string} url - URL to check
-   * @returns {Promise<string|null>} MIME type or null
+   * @param {AbortSignal} signal - Cancellation signal (optional)
+   * @param {number} timeout - Per-gateway timeout in ms, 0 for none (optional)
+   * @returns {Promise<Object|null>} Format or null
    */
-  static async detectFromContent(url) {
-    const config = window.ipfsHLSPlayerConfig || {};
+  static async sniffContent(url, signal, timeout) {
+    const config = PlayerConfig.get();
+    const limit = FormatDetector.SNIFF_BYTES;
+    // 0 is a valid setting (no timeout), so only a missing value falls back
+    if (typeof timeout !== 'number') {
+      timeout = typeof config.detectionTimeout === 'number' ? config.detectionTimeout : this.DEFAULT_DETECTION_TIMEOUT;
+    }
     
     try {
-      console.log('IPFSHLSPlayer: Starting type detection for:', url);
+      detectLog.debug('Starting type detection for:', url);
       
-      // Try Range request first (most efficient)
-      console.log('IPFSHLSPlayer: Attempting Range request...');
-      let response = await fetch(url, {
-        headers: { 'Range': 'bytes=0-200' },
-        mode: 'cors'
-      });
-      console.log('IPFSHLSPlayer: Range request completed, status:', response.status);
+      // Try Range request first (most efficient), failing over across gateways.
+      // no-store keeps the caching service worker from downloading the whole file.
+      detectLog.debug('Attempting Range request...');
+      let result = await GatewayFailover.fetch(url, {
+        headers: { 'Range': `bytes=0-${limit - 1}` },
+        mode: 'cors',
+        cache: 'no-store',
+        signal
+      }, { timeout });
+      let response = result.response;
+      detectLog.debug('Range request completed, status:', response.status, 'gateway:', result.gateway);
       
       // If Range not supported (416) or other error, try without Range
       if (response.status === 416 || !response.ok) {
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Range request failed, trying regular fetch');
-        }
-        response = await fetch(url, { mode: 'cors' });
-      }
-      
-      // Read only what we need (up to 200 bytes)
-      let bytes;
-      if (response.headers.get('content-range')) {
-        // Range request succeeded
-        const buffer = await response.arrayBuffer();
-        bytes = new Uint8Array(buffer);
-      } else {
-        // Regular fetch - read only first 200 bytes
-        const reader = response.body.getReader();
-        const { value } = await reader.read();
-        await reader.cancel(); // Stop reading more
-        bytes = new Uint8Array(value).slice(0, 200);
-      }
-      
-      // Check for HLS (text-based, starts with #EXTM3U)
-      if (bytes[0] === 0x23) { // '#' character
-        const text = new TextDecoder().decode(bytes);
-        if (text.startsWith('#EXTM3U')) {
-          if (config.debug) {
-            console.log('IPFSHLSPlayer: Detected HLS playlist');
-          }
-          return 'application/x-mpegURL';
-        }
-      }
-      
-      // Check for MP4/MOV/QuickTime (all use ftyp box)
-      if (bytes.length > 7 &&
-          bytes[4] === 0x66 && bytes[5] === 0x74 && 
-          bytes[6] === 0x79 && bytes[7] === 0x70) {
-        // Extract brand for debugging
-        if (config.debug && bytes.length > 11) {
-          const brand = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]).replace(/\0/g, ' ').trim();
-          console.log(`IPFSHLSPlayer: Detected MP4-compatible with brand: ${brand}`);
-        }
-        return 'video/mp4';
+        detectLog.debug('Range request failed, trying regular fetch');
+        response.body && response.body.cancel().catch(() => {});
+        result = await GatewayFailover.fetch(url, { mode: 'cors', cache: 'no-store', signal }, { preferred: result.gateway, timeout });
+        response = result.response;
       }
       
-      // Check for WebM/MKV (EBML header)
-      if (bytes.length > 3 &&
-          bytes[0] === 0x1A && bytes[1] === 0x45 && 
-          bytes[2] === 0xDF && bytes[3] === 0xA3) {
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Detected WebM/Matroska');
-        }
-        return 'video/webm';
-      }
-      
-      // Check for Ogg
-      if (bytes.length > 3 &&
-          bytes[0] === 0x4F && bytes[1] === 0x67 && 
-          bytes[2] === 0x67 && bytes[3] === 0x53) {
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Detected Ogg');
-        }
-        return 'video/ogg';
-      }
+      // Read only what we need (up to SNIFF_BYTES), a stalled body counts as a timeout
+      const bytes = await this.readHead(response, limit, timeout);
       
-      // Check for AVI
-      if (bytes.length > 11 &&
-          bytes[0] === 0x52 && bytes[1] === 0x49 && 
-          bytes[2] === 0x46 && bytes[3] === 0x46 &&
-          bytes[8] === 0x41 && bytes[9] === 0x56 && 
-          bytes[10] === 0x49 && bytes[11] === 0x20) {
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Detected AVI');
-        }
-        return 'video/x-msvideo';
-      }
-      
-      // Check for MPEG-TS (sync byte 0x47)
-      if (bytes[0] === 0x47) {
-        // MPEG-TS has sync bytes every 188 bytes
-        if (bytes.length > 188 && bytes[188] === 0x47) {
-          if (config.debug) {
-            console.log('IPFSHLSPlayer: Detected MPEG-TS (confirmed by sync pattern)');
-          }
-          return 'video/mp2t';
-        }
-        // Single sync byte might still be TS
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Possible MPEG-TS (single sync byte)');
-        }
-        return 'video/mp2t';
+      const format = FormatDetector.detect(bytes);
+      if (format) {
+        detectLog.debug(`Detected ${format.container}` +
+          (format.brand ? ` (${format.brand})` : '') +
+          (format.codecs.length ? ` codecs: ${format.codecs.join(',')}` : '') +
+          `, confidence: ${format.confidence}, playable: ${format.playable}`);
+        return format;
       }
       
       // Fallback: Check Content-Type header
@@ -197,22 +440,107 @@ class IPFSHLSPlayer {
       if (contentType) {
         const mimeType = contentType.split(';')[0].trim();
         const normalized = this.MIME_NORMALIZATION[mimeType];
-        if (config.debug) {
-          if (normalized && normalized !== mimeType) {
-            console.log(`IPFSHLSPlayer: Normalized ${mimeType} to ${normalized}`);
-          }
+        if (normalized && normalized !== mimeType) {
+          detectLog.debug(`Normalized ${mimeType} to ${normalized}`);
         }
-        return normalized || mimeType;
+        return FormatDetector.fromMimeType(normalized || mimeType);
       }
       
     } catch (error) {
-      console.error('IPFSHLSPlayer: Content detection failed:', error, 'for URL:', url);
+      if (signal && signal.aborted) {
+        throw new DetectionError('aborted', { url });
+      }
+      if (error.name === 'TimeoutError') {
+        detectLog.warn('Content detection timed out for URL:', url);
+        throw new DetectionError('timeout', { url });
+      }
+      detectLog.error('Content detection failed:', error, 'for URL:', url);
       // Return null - don't guess!
     }
     
     return null;
   }
 
+  /**
+   * Read the first bytes of a response body, then stop the download
+   * @param {Response} response - Fetch response
+   * @param {number} limit - Bytes to read
+   * @param {number} timeout - Time in ms the read may take (0: no limit)
+   * @returns {Promise<Uint8Array>} Up to `limit` bytes
+   */
+  static async readHead(response, limit, timeout) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      if (timeout > 0) {
+        timer = setTimeout(() => reject(GatewayFailover.createTimeoutError(response.url, timeout)), timeout);
+      }
+    });
+    
+    try {
+      while (length < limit) {
+        const { value, done } = await Promise.race([reader.read(), expired]);
+        if (done) break;
+        chunks.push(value);
+        length += value.length;
+      }
+    } finally {
+      clearTimeout(timer);
+      reader.cancel().catch(() => {}); // Stop reading more
+    }
+    
+    const bytes = new Uint8Array(length);
+    chunks.reduce((offset, chunk) => {
+      bytes.set(chunk, offset);
+      return offset + chunk.length;
+    }, 0);
+    return bytes.slice(0, limit);
+  }
+
+  /**
+   * Report a detected format the browser cannot play
+   * Fires 'ipfsunsupportedformat' on the element before any player loads it
+   * @param {HTMLVideoElement} element - Video element
+   * @param {Object} format - Result of detectFromContent
+   * @param {string} src - Source URL
+   */
+  static reportUnplayable(element, format, src) {
+    if (!format || format.playable !== false) return;
+    
+    detectLog.warn(`${format.container || format.mimeType} content` +
+      (format.codecs.length ? ` (${format.codecs.join(', ')})` : '') +
+      ' is probably not playable in this browser:', src);
+    
+    if (element) {
+      element.dispatchEvent(new CustomEvent('ipfsunsupportedformat', {
+        detail: { src, format }
+      }));
+    }
+  }
+
+  /**
+   * Record the format of an IPFS source so it is never sniffed
+   * @param {string|Object} src - Any IPFS source
+   * @param {string|Object} format - MIME type or format object (see detectFromContent)
+   * @returns {Object|null} Cached format, or null if the source is not immutable IPFS content
+   */
+  static primeDetectionCache(src, format) {
+    if (typeof format === 'string') {
+      format = this.MIME_NORMALIZATION[format] || format;
+    }
+    return DetectionCache.prime(src, format);
+  }
+
+  /**
+   * Forget cached detection results
+   * @param {string|Object} src - Source to forget (default: all sources)
+   */
+  static clearDetectionCache(src) {
+    DetectionCache.clear(src);
+  }
+
   /**
    * Register Video.js middleware for IPFS MIME type detection
    * Must be called before creating any players
@@ -222,43 +550,123 @@ class IPFSHLSPlayer {
     if (this._middlewareRegistered) return;
     
     const self = this;
-    const config = window.ipfsHLSPlayerConfig || {};
     
     // Register middleware for all sources
-    videojs.use('*', () => {
+    videojs.use('*', (player) => {
+      // Blob URLs of this player's rewritten playlists
+      let rewritten = null;
+      // Detection for the source being set; replaced when the source changes
+      let detection = null;
+      player.one('dispose', () => {
+        if (detection) detection.abort();
+        if (rewritten) rewritten.revoke();
+      });
+      
       return {
         async setSource(srcObj, next) {
-          // Only process IPFS URLs without explicit type
+          const config = PlayerConfig.of(player);
+          const playerLog = vhsLog.with(PlayerConfig.logContext(player));
+          
+          // A newer source supersedes any detection still running for the old one
+          if (detection) detection.abort();
+          detection = typeof AbortController !== 'undefined' ? new AbortController() : null;
+          const signal = detection && detection.signal;
+          
+
+          // Make ipfs:// URIs and bare CIDs fetchable on the preferred gateway
+          if (IPFSResolver.needsResolution(srcObj.src)) {
+            srcObj = { ...srcObj, src: IPFSResolver.toURL(srcObj.src) };
+          }
+          
+          // Only detect IPFS URLs without explicit type
           if (self.isIPFSURL(srcObj.src) && !srcObj.type) {
-            if (config.debug) {
-              console.log('IPFSHLSPlayer: Detecting MIME type for IPFS URL:', srcObj.src);
-            }
+            playerLog.debug('Detecting MIME type for IPFS URL:', srcObj.src);
             
+            const detectionStart = performance.now();
             try {
               // Use comprehensive content detection
-              const type = await self.detectFromContent(srcObj.src);
+              const format = await self.detectFromContent(srcObj.src, {
+                signal,
+                timeout: PlayerConfig.of(player).detectionTimeout
+              });
+              const type = format && format.mimeType;
+              self.reportUnplayable(player.el(), format, srcObj.src);
+              player.trigger({
+                type: 'ipfsformatdetected',
+                format,
+                startTime: detectionStart,
+                duration: performance.now() - detectionStart
+              });
               
-              if (config.debug) {
-                console.log('IPFSHLSPlayer: Final MIME type:', type || 'unknown (using fallback)');
-              }
+              playerLog.debug('Final MIME type:', type || 'unknown (using fallback)');
               
-              // Pass modified source with detected type
-              return next(null, {
+              // Continue with detected type
+              srcObj = {
                 src: srcObj.src,
                 type: type || 'video/mp4' // Last resort fallback
-              });
+              };
               
             } catch (error) {
-              console.warn('IPFSHLSPlayer: MIME detection failed:', error);
-              // On error, proceed with fallback type
-              return next(null, {
+              // Disposed or superseded - this source must not be set
+              if (error.reason === 'aborted') return;
+              
+              playerLog.warn('MIME detection failed:', error);
+              player.trigger({
+                type: 'ipfsformatdetected',
+                format: null,
+                startTime: detectionStart,
+                duration: performance.now() - detectionStart
+              });
+              // On error (including a timeout on every gateway), proceed with fallback type
+              srcObj = {
                 src: srcObj.src,
                 type: 'video/mp4'
+              };
+            }
+          }
+          
+          // Rewrite relative URIs (plain HLS folders) and URLs pinned to another
+          // gateway (SPK transcodes) to absolute URLs on the serving gateway
+          const isHLS = /^application\/(x-mpegurl|vnd\.apple\.mpegurl)$/i.test(srcObj.type || '');
+          if (isHLS && self.isIPFSURL(srcObj.src) && config.rewritePlaylists !== false) {
+            try {
+              const result = await PlaylistRewriter.rewriteSource(srcObj.src, {
+                verified: VerifiedFetch.isEnabled(player.options_)
+              });
+              
+              if (result) {
+                if (rewritten) rewritten.revoke();
+                rewritten = result;
+                srcObj = { ...srcObj, src: result.url };
+              }
+            } catch (error) {
+              playerLog.warn('Playlist rewriting failed, using original playlist:', error);
+            }
+          }
+          
+          // DASH manifests get an absolute BaseURL on the serving gateway,
+          // as relative segment URLs cannot resolve against a blob: URL
+          if (self.isDASHContent(srcObj.src, srcObj.type) && self.isIPFSURL(srcObj.src) &&
+              config.rewritePlaylists !== false) {
+            try {
+              const result = await DashRewriter.rewriteSource(srcObj.src, {
+                verified: VerifiedFetch.isEnabled(player.options_)
               });
+              
+              if (result) {
+                if (rewritten) rewritten.revoke();
+                rewritten = result;
+                srcObj = { ...srcObj, src: result.url, type: DashRewriter.MIME_TYPE };
+              }
+            } catch (error) {
+              playerLog.warn('DASH manifest rewriting failed, using original manifest:', error);
             }
           }
           
-          // Pass through non-IPFS or already-typed sources
+          // Rewriting may have outlived the source it was for
+          if (signal && signal.aborted) return;
+          
+          // Pass through non-IPFS, already-typed or rewritten sources
           return next(null, srcObj);
         }
       };
@@ -266,10 +674,201 @@ class IPFSHLSPlayer {
     
     this._middlewareRegistered = true;
     
-    if (config.debug) {
-      console.log('IPFSHLSPlayer: Middleware registered for IPFS MIME type detection');
+    vhsLog.debug('Middleware registered for IPFS MIME type detection');
+  }
+
+  /**
+   * Gateway Selection System
+   * Race configured gateways and keep health scores across page loads
+   */
+  
+  /**
+   * Pick the fastest healthy gateway for this session
+   * Probes the source's content path on every configured gateway in parallel.
+   * Later calls return the session choice without probing again.
+   * @param {string|Object} src - IPFS source (any resolvable form) used as the probe path
+   * @returns {Promise<string|null>} Selected gateway origin or null
+   */
+  static async selectGateway(src) {
+    const candidates = GatewayFailover.getCandidates(src);
+    if (candidates.length < 2) return GatewaySelector.selectedGateway;
+    
+    try {
+      const gateway = await GatewaySelector.select(candidates);
+      
+      gatewayLog.debug('Selected gateway for session:', gateway);
+      
+      return gateway;
+    } catch (error) {
+      gatewayLog.warn('Gateway selection failed:', error);
+      return null;
     }
   }
+  
+  /**
+   * Get the gateway chosen for this session
+   * @returns {string|null} Gateway origin or null if none selected yet
+   */
+  static getSelectedGateway() {
+    return GatewaySelector.selectedGateway;
+  }
+  
+  /**
+   * Get rolling health and latency scores for all known gateways
+   * @returns {Object} Scores keyed by gateway origin
+   */
+  static getGatewayScores() {
+    return JSON.parse(JSON.stringify(GatewaySelector.getScores()));
+  }
+  
+  /**
+   * Clear the session gateway and all stored gateway scores
+   */
+  static resetGatewayScores() {
+    GatewaySelector.reset();
+  }
+
+  /**
+   * Segment Caching System
+   * Optional service worker that keeps immutable IPFS content for replays and offline use
+   */
+  
+  /**
+   * Register the caching service worker
+   * Works for both the Video.js and the native (Safari) player paths.
+   * @param {Object} options - { url, scope, maxBytes }
+   * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported
+   */
+  static registerServiceWorker(options = {}) {
+    return SegmentCache.register(options);
+  }
+  
+  /**
+   * Unregister the caching service worker
+   * @returns {Promise<boolean>} True if a registration was removed
+   */
+  static unregisterServiceWorker() {
+    return SegmentCache.unregister();
+  }
+  
+  /**
+   * Get segment cache usage
+   * @returns {Promise<Object|null>} { entries, bytes, maxBytes } or null if no worker is active or it did not reply
+   */
+  static getCacheStats() {
+    return SegmentCache.getStats();
+  }
+  
+  /**
+   * Remove every cached playlist and segment
+   * @returns {Promise<boolean>} True if the cache was cleared
+   */
+  static clearCache() {
+    return SegmentCache.clear();
+  }
+
+  /**
+   * Offline Download System
+   * Save one rendition of an HLS stream into IndexedDB for viewing without network
+   */
+  
+  /**
+   * Download a video for offline playback
+   * Stored copies are picked up automatically by initializePlayer.
+   * @param {string|Object} src - IPFS source of the HLS playlist
+   * @param {Object} options - { quality, verified, onProgress }
+   * @returns {OfflineDownload} Download with pause(), resume(), cancel(),
+   *   a `done` promise and progress/complete/error/cancel events
+   */
+  static downloadForOffline(src, options = {}) {
+    return OfflineStore.download(src, options);
+  }
+  
+  /**
+   * List videos saved for offline (complete and partial)
+   * @returns {Promise<Array<Object>>} { key, src, quality, downloaded, total, bytes, complete, createdAt }
+   */
+  static listOfflineVideos() {
+    return OfflineStore.list();
+  }
+  
+  /**
+   * Check if a complete offline copy of a source exists
+   * @param {string|Object} src - IPFS source
+   * @returns {Promise<boolean>} True if it can be played offline
+   */
+  static isAvailableOffline(src) {
+    return OfflineStore.has(src);
+  }
+  
+  /**
+   * Delete a video saved for offline
+   * @param {string|Object} src - IPFS source or storage key from listOfflineVideos()
+   * @returns {Promise<boolean>} True if something was deleted
+   */
+  static deleteOfflineVideo(src) {
+    return OfflineStore.delete(src);
+  }
+  
+  /**
+   * Report offline storage usage and the origin's quota
+   * @returns {Promise<Object>} { usage, quota, available, videos, bytes }
+   */
+  static getOfflineStorageQuota() {
+    return OfflineStore.getQuota();
+  }
+
+  /**
+   * QoE System
+   * Startup, rebuffering, bitrate, dropped frame, error and gateway timing
+   * measurements, fired as 'ipfsqoe' player events and optionally beaconed
+   */
+  
+  /**
+   * Get the QoE measurements of a player so far
+   * @param {HTMLVideoElement|Player|NativePlayer} target - Video element or player
+   * @returns {Object|null} Summary, or null if the player is not measured
+   */
+  static getQoE(target) {
+    const monitor = QoEMonitor.of(target);
+    return monitor ? monitor.getSummary() : null;
+  }
+  
+  /**
+   * Send queued QoE measurements to `qoeEndpoint` now
+   * (they are sent automatically when the page is hidden)
+   * @returns {boolean} True if a report was sent
+   */
+  static flushQoE() {
+    return QoEMonitor.flush();
+  }
+
+  /**
+   * Diagnostics System
+   * "Stats for nerds" overlay (Shift+I, or the context menu) and a JSON report
+   * of the source, gateway, strategy and recent requests for bug reports
+   */
+  
+  /**
+   * Show, hide or toggle the stats overlay of a player
+   * @param {HTMLVideoElement|Player|NativePlayer} target - Video element or player
+   * @param {boolean} show - true to show, false to hide, omit to toggle
+   * @returns {boolean} True if the overlay is now showing
+   */
+  static toggleStats(target, show) {
+    const overlay = StatsOverlay.of(target);
+    return overlay ? overlay.toggle(show) : false;
+  }
+  
+  /**
+   * Get the diagnostics report of a player
+   * @param {HTMLVideoElement|Player|NativePlayer} target - Video element or player
+   * @returns {Object|null} Report (what "Copy diagnostics" copies), or null if not a player
+   */
+  static getDiagnostics(target) {
+    const overlay = StatsOverlay.of(target);
+    return overlay ? overlay.getDiagnostics() : null;
+  }
 
   /**
    * Capability Detection System
@@ -293,10 +892,7 @@ class IPFSHLSPlayer {
       supportsAbsoluteURLsInHLS: this.supportsAbsoluteURLsInHLS()
     };
     
-    const config = window.ipfsHLSPlayerConfig || {};
-    if (config.debug) {
-      console.log('IPFSHLSPlayer: Detected capabilities:', this.capabilities);
-    }
+    strategyLog.debug('Detected capabilities:', this.capabilities);
     
     return this.capabilities;
   }
@@ -362,31 +958,31 @@ class IPFSHLSPlayer {
     const caps = this.detectCapabilities();
     const isHLS = this.isHLSContent(src, type);
     
-    const config = window.ipfsHLSPlayerConfig || {};
+    // No browser plays DASH natively, it always needs VHS over MSE
+    if (this.isDASHContent(src, type)) {
+      if (!caps.hasMSE) {
+        strategyLog.warn('DASH playback requires Media Source Extensions');
+      }
+      return 'videojs';
+    }
     
     if (isHLS) {
       // For HLS content, choose based on capabilities
       if (caps.hasNativeHLS && !caps.canOverrideNativeHLS) {
         // Has native HLS but Video.js can't override (Safari scenario)
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Using native HLS (Video.js override not possible)');
-        }
+        strategyLog.debug('Using native HLS (Video.js override not possible)');
         return 'native';
       } else if (caps.hasMSE) {
         // Has MSE, use Video.js HLS
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Using Video.js HLS (MSE available)');
-        }
+        strategyLog.debug('Using Video.js HLS (MSE available)');
         return 'videojs';
       } else if (caps.hasNativeHLS) {
         // Fallback to native if available
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Using native HLS (no MSE)');
-        }
+        strategyLog.debug('Using native HLS (no MSE)');
         return 'native';
       } else {
         // No HLS support at all
-        console.warn('IPFSHLSPlayer: No HLS support detected');
+        strategyLog.warn('No HLS support detected');
         return 'videojs'; // Try Video.js anyway
       }
     }
@@ -413,12 +1009,31 @@ class IPFSHLSPlayer {
     // Check URL patterns
     return src.includes('.m3u8') || src.includes('/hls/');
   }
+  
+  /**
+   * Check if content is an MPEG-DASH manifest
+   * @param {string} src - Source URL
+   * @param {string} type - MIME type (optional)
+   * @returns {boolean} True if DASH content
+   */
+  static isDASHContent(src, type) {
+    if (!src) return false;
+    
+    // Check explicit type
+    if (type) {
+      return type === 'application/dash+xml';
+    }
+    
+    // Check URL pattern (path only, so query strings cannot match)
+    return /\.mpd$/i.test(src.split(/[?#]/)[0]);
+  }
 
   /**
    * Initialize a Video.js player with IPFS-optimized settings
    * @param {HTMLVideoElement} element - Video element to enhance
    * @param {Object} options - Player configuration options
-   * @returns {Promise<Player>} Video.js player instance or native wrapper
+   * @returns {Promise<Player|null>} Video.js player instance or native wrapper, or null
+   *   if the video was destroyed (or re-initialized) while its type was being detected
    */
   static async initializePlayer(element, options = {}) {
     // Register middleware on first initialization (for Video.js path)
@@ -426,23 +1041,89 @@ class IPFSHLSPlayer {
     
     // Prevent double initialization
     if (element._ipfsHLSPlayer || element.dataset.ipfsEnhanced === 'true') {
-      const config = window.ipfsHLSPlayerConfig || {};
-      if (config.debug) {
-        console.log('IPFSHLSPlayer: Video already enhanced, skipping duplicate initialization for:', element.id || 'no-id');
-      }
+      log.with(PlayerConfig.logContext(element))
+        .debug('Video already enhanced, skipping duplicate initialization for:', element.id || 'no-id');
       return element._ipfsHLSPlayer;
     }
     
+    // Time to first frame is measured from here, so detection is included
+    const startup = { startTime: performance.now(), detectionTime: 0, src: options.src || null };
+    element._ipfsStartup = startup;
+    
+    // Accept ipfs:// / ipns:// URIs, bare CIDs and { cid } sources
+    const source = options.cid ? { cid: options.cid, path: options.path } : options.src;
+    
+    // Fail fast on malformed CIDs rather than on an opaque gateway error
+    const validation = IPFSResolver.validate(source);
+    if (validation.error) {
+      throw new Error(`IPFSHLSPlayer: ${validation.error}`);
+    }
+    
+    // Global settings with this player's overrides (options.config, and the
+    // older options.verified), validated once and kept for the element
+    const config = PlayerConfig.resolve({
+      ...options.config,
+      ...(typeof options.verified === 'boolean' ? { verified: options.verified } : {})
+    });
+    PlayerConfig.bind(element, config);
+    options.verified = config.verified;
+    const logContext = PlayerConfig.logContext(element);
+    
+    // Play a saved offline copy without touching the network
+    const offline = source && config.offlinePlayback !== false
+      ? await OfflineStore.getPlayableSource(source)
+      : null;
+    if (offline) {
+      return this.initializeOfflinePlayer(element, options, offline);
+    }
+    
+    // Pick the fastest gateway before the first IPFS request of the session
+    if (source && this.isIPFSURL(source) && config.gatewayRacing !== false) {
+      await this.selectGateway(source);
+    }
+    
+    // Turn non-fetchable sources into a URL on the preferred gateway
+    if (IPFSResolver.needsResolution(source)) {
+      options.src = IPFSResolver.toURL(source);
+      startup.src = options.src;
+      
+      log.with(logContext).debug('Resolved IPFS source to:', options.src);
+    }
+    
     // Detect source type if not provided
     let sourceType = options.type;
     
     // For IPFS URLs without a type, detect from content
     if (!sourceType && options.src && this.isIPFSURL(options.src)) {
-      console.log('IPFSHLSPlayer: IPFS URL detected, need type detection for:', options.src);
+      detectLog.with(logContext).debug('IPFS URL detected, need type detection for:', options.src);
       
-      sourceType = await this.detectFromContent(options.src);
+      // A second initialization of the element replaces the source, so the
+      // first one's detection is abandoned (as it is by destroyPlayer)
+      this.abortDetection(element);
+      const detection = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      element._ipfsDetection = detection;
+      
+      let format = null;
+      const detectionStart = performance.now();
+      try {
+        format = await this.detectFromContent(options.src, {
+          signal: detection && detection.signal,
+          timeout: config.detectionTimeout
+        });
+      } catch (error) {
+        if (error.reason === 'aborted') {
+          log.with(logContext).debug('Initialization abandoned, video destroyed or source replaced:', options.src);
+          return null;
+        }
+        // Timed out on every gateway - continue without a detected type
+      } finally {
+        if (element._ipfsDetection === detection) delete element._ipfsDetection;
+        startup.detectionTime = performance.now() - detectionStart;
+      }
+      sourceType = format && format.mimeType;
       
-      console.log('IPFSHLSPlayer: Type detection complete, result:', sourceType);
+      detectLog.with(logContext).debug('Type detection complete, result:', sourceType);
+      this.reportUnplayable(element, format, options.src);
       
       // Update options with detected type for downstream use
       if (sourceType) {
@@ -458,100 +1139,174 @@ class IPFSHLSPlayer {
     // Determine which player to use based on capabilities
     const strategy = this.getPlayerStrategy(options.src, sourceType);
     
-    const config = window.ipfsHLSPlayerConfig || {};
-    if (config.debug) {
-      console.log('IPFSHLSPlayer: Player strategy:', strategy, 'for', options.src);
-    }
+    strategyLog.with(logContext).debug('Player strategy:', strategy, 'for', options.src);
     
     // Route to appropriate player implementation
     if (strategy === 'native') {
+      // Native playback cannot be hooked per request, so in verified mode
+      // the source itself is checked before the element is allowed to load it
+      if (VerifiedFetch.isEnabled(options) && VerifiedFetch.getVerifiableSource(options.src)) {
+        await this.verifyNativeSource(element, options.src);
+      }
+      
+      // Safari cannot be hooked per request either, so hand it a rewritten
+      // data: manifest with every playlist and segment on the serving gateway
+      if (this.isIPFSURL(options.src) && this.isHLSContent(options.src, sourceType) &&
+          config.rewritePlaylists !== false) {
+        await this.rewriteNativeSource(element, options);
+      }
       return this.initializeNativePlayer(element, options);
     } else {
       return this.initializeVideoJSPlayer(element, options);
     }
   }
   
+  /**
+   * Initialize a player for an offline copy from OfflineStore
+   * Video.js handles the blob: playlist wherever MSE exists (Safari
+   * included, as no CID URLs are involved); native playback is a fallback.
+   * @param {HTMLVideoElement} element - Video element to enhance
+   * @param {Object} options - Player configuration options
+   * @param {Object} offline - Result of OfflineStore.getPlayableSource()
+   * @returns {Promise<Player>} Video.js player instance or native wrapper
+   */
+  static async initializeOfflinePlayer(element, options, offline) {
+    log.with(PlayerConfig.logContext(element)).debug('Playing offline copy of:', options.src || options.cid);
+    
+    const offlineOptions = { ...options, src: offline.url, type: offline.type };
+    
+    const player = this.detectCapabilities().hasMSE
+      ? await this.initializeVideoJSPlayer(element, offlineOptions)
+      : this.initializeNativePlayer(element, offlineOptions);
+    player.one('dispose', offline.revoke);
+    return player;
+  }
+  
+  /**
+   * Verify a native player's source before playback
+   * @param {HTMLVideoElement} element - Video element (receives ipfsintegrityerror)
+   * @param {string} src - Source URL
+   * @returns {Promise<void>} Rejects with IntegrityError on mismatch
+   */
+  static async verifyNativeSource(element, src) {
+    const playerLog = nativeLog.with(PlayerConfig.logContext(element));
+    
+    try {
+      await VerifiedFetch.fetch(src);
+      
+      playerLog.debug('Native source verified against CID:', src);
+    } catch (error) {
+      if (error instanceof IntegrityError) {
+        playerLog.error('Integrity check failed for native source:', error.message);
+        element.dispatchEvent(new CustomEvent('ipfsintegrityerror', { detail: { error, uri: src } }));
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Rewrite a native player's HLS source into a data: manifest
+   * Falls back to the original playlist URL if the manifest cannot be
+   * built or the element refuses to load it.
+   * @param {HTMLVideoElement} element - Video element
+   * @param {Object} options - Player options (`src` is replaced in place)
+   * @returns {Promise<void>}
+   */
+  static async rewriteNativeSource(element, options) {
+    const playerLog = nativeLog.with(PlayerConfig.logContext(element));
+    const original = options.src;
+    
+    try {
+      const result = await PlaylistRewriter.rewriteSource(original, {
+        verified: VerifiedFetch.isEnabled(options),
+        format: 'data'
+      });
+      if (!result) return;
+      
+      options.src = result.url;
+      // The data: URL no longer carries a .m3u8 hint
+      options.type = options.type || PlaylistRewriter.NATIVE_MIME_TYPE;
+      
+      element.addEventListener('error', () => {
+        if (element.src === result.url) {
+          playerLog.warn('Rewritten manifest failed to load, using original playlist:', original);
+          element.src = GatewayFailover.getCandidateURLs(original, null, options.gateways)[0];
+          element.load();
+        }
+      }, { once: true });
+      
+      playerLog.debug('Using rewritten manifest for native playback on', result.gateway);
+    } catch (error) {
+      playerLog.warn('Playlist rewriting failed, using original playlist:', error);
+    }
+  }
+  
   /**
    * Initialize a native HTML5 player (for Safari HLS)
    * @param {HTMLVideoElement} element - Video element to enhance
    * @param {Object} options - Player configuration options
-   * @returns {Object} Native player wrapper with Video.js-compatible API
+   * @returns {NativePlayer} Native player adapter with the Video.js player API
    */
   static initializeNativePlayer(element, options = {}) {
-    const config = window.ipfsHLSPlayerConfig || {};
-    
     // Validate element is actually a video element
     if (!element || element.tagName !== 'VIDEO') {
       const error = `Element is not a valid video element: tagName=${element?.tagName}`;
-      if (config.debug) {
-        console.error('IPFSHLSPlayer:', error);
-      }
+      nativeLog.debug(error);
       throw new Error(error);
     }
     
-    if (config.debug) {
-      console.log('IPFSHLSPlayer: Initializing native player for:', options.src);
-      console.log('IPFSHLSPlayer: Element state:', {
-        tagName: element.tagName,
-        id: element.id,
-        readyState: element.readyState,
-        networkState: element.networkState,
-        currentSrc: element.currentSrc,
-        canPlayType_HLS: (element.canPlayType ? element.canPlayType('application/vnd.apple.mpegurl') : 'canPlayType not available')
-      });
-    }
-    
     // Ensure element has an ID
     if (!element.id) {
       element.id = `ipfs-video-${Math.random().toString(36).substr(2, 9)}`;
     }
     
+    const playerLog = nativeLog.with(PlayerConfig.logContext(element));
+    
+    playerLog.debug('Initializing native player for:', options.src);
+    playerLog.debug('Element state:', {
+      tagName: element.tagName,
+      id: element.id,
+      readyState: element.readyState,
+      networkState: element.networkState,
+      currentSrc: element.currentSrc,
+      canPlayType_HLS: (element.canPlayType ? element.canPlayType('application/vnd.apple.mpegurl') : 'canPlayType not available')
+    });
+    
     // Configure native video element
     element.controls = true;
     
     // Set default preload if not specified (important for Safari HLS)
     element.preload = options.preload || 'metadata';
     
-    if (config.debug) {
-      console.log('IPFSHLSPlayer: Set preload to:', element.preload);
-    }
+    playerLog.debug('Set preload to:', element.preload);
     
     if (options.src) {
-      element.src = options.src;
+      // Native playback cannot fail over, so start on the session's best gateway
+      element.src = GatewayFailover.getCandidateURLs(options.src, null, options.gateways)[0];
       
-      if (config.debug) {
-        console.log('IPFSHLSPlayer: Set src, element state now:', {
-          src: element.src,
-          readyState: element.readyState,
-          networkState: element.networkState
-        });
-      }
+      playerLog.debug('Set src, element state now:', {
+        src: element.src,
+        readyState: element.readyState,
+        networkState: element.networkState
+      });
       
       // For HLS content in Safari, we need to explicitly trigger load
       // This ensures Safari's HLS subsystem initializes properly
       const isHLS = this.isHLSContent(options.src, options.type);
-      if (config.debug) {
-        console.log('IPFSHLSPlayer: Is HLS content?', isHLS, 'Type:', options.type);
-      }
+      playerLog.debug('Is HLS content?', isHLS, 'Type:', options.type);
       
       if (isHLS) {
         // Defensive check to ensure element is still a video element
         if (element && element.tagName === 'VIDEO' && typeof element.load === 'function') {
-          if (config.debug) {
-            console.log('IPFSHLSPlayer: Calling load() for HLS content');
-          }
+          playerLog.debug('Calling load() for HLS content');
           element.load();
-          if (config.debug) {
-            console.log('IPFSHLSPlayer: After load(), element state:', {
-              readyState: element.readyState,
-              networkState: element.networkState,
-              error: element.error
-            });
-          }
+          playerLog.debug('After load(), element state:', {
+            readyState: element.readyState,
+            networkState: element.networkState,
+            error: element.error
+          });
         } else {
-          if (config.debug) {
-            console.warn('IPFSHLSPlayer: Cannot call load() - element check failed');
-          }
+          playerLog.debug('Cannot call load() - element check failed');
         }
       }
     }
@@ -563,6 +1318,19 @@ class IPFSHLSPlayer {
     if (options.muted) element.muted = true;
     if (options.loop) element.loop = true;
     
+    // Text tracks (a re-initialized player finds its tracks still there)
+    (options.tracks || []).forEach(track => {
+      const exists = Array.from(element.querySelectorAll('track')).some(trackElement => trackElement.src === track.src);
+      if (exists) return;
+      
+      const trackElement = document.createElement('track');
+      ['kind', 'src', 'srclang', 'label'].forEach(name => {
+        if (track[name]) trackElement[name] = track[name];
+      });
+      trackElement.default = !!track.default;
+      element.appendChild(trackElement);
+    });
+    
     // Apply CSS for consistent styling
     element.classList.add('video-js', 'vjs-default-skin');
     
@@ -570,11 +1338,11 @@ class IPFSHLSPlayer {
     element.dataset.ipfsEnhanced = 'true';
     
     // Add debug event listeners if in debug mode
-    if (config.debug) {
+    if (playerLog.isEnabled()) {
       const events = ['loadstart', 'loadedmetadata', 'loadeddata', 'canplay', 'canplaythrough', 'error', 'stalled', 'waiting'];
       events.forEach(eventName => {
         element.addEventListener(eventName, (e) => {
-          console.log(`IPFSHLSPlayer: Native player event: ${eventName}`, {
+          playerLog.debug(`Native player event: ${eventName}`, {
             readyState: element.readyState,
             networkState: element.networkState,
             currentTime: element.currentTime,
@@ -585,105 +1353,19 @@ class IPFSHLSPlayer {
       });
     }
     
-    // Create wrapper with Video.js-compatible API
-    const wrapper = {
-      // Core methods
-      play: () => element.play(),
-      pause: () => element.pause(),
-      paused: () => element.paused,
-      currentTime: (time) => {
-        if (time !== undefined) element.currentTime = time;
-        return element.currentTime;
-      },
-      duration: () => element.duration,
-      volume: (vol) => {
-        if (vol !== undefined) element.volume = vol;
-        return element.volume;
-      },
-      muted: (mute) => {
-        if (mute !== undefined) element.muted = mute;
-        return element.muted;
-      },
-      
-      // Source management
-      src: (source) => {
-        if (source) {
-          element.src = typeof source === 'string' ? source : source.src;
-        }
-        return element.src;
-      },
-      currentSrc: () => element.currentSrc,
-      currentType: () => options.type || 'application/x-mpegURL',
-      
-      // Event handling
-      on: (event, handler) => element.addEventListener(event, handler),
-      off: (event, handler) => element.removeEventListener(event, handler),
-      one: (event, handler) => element.addEventListener(event, handler, { once: true }),
-      
-      // Lifecycle
-      ready: (callback) => {
-        if (element.readyState >= 1) {
-          callback();
-        } else {
-          element.addEventListener('loadedmetadata', callback, { once: true });
-        }
-      },
-      dispose: () => {
-        // Get fresh element reference by ID to avoid stale closure issues
-        const currentElement = element.id ? document.getElementById(element.id) : element;
-        
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Disposing native player, element check:', {
-            hasId: !!element.id,
-            foundById: !!currentElement,
-            tagName: currentElement?.tagName,
-            isSameElement: currentElement === element
-          });
-        }
-        
-        // Check if element is still a valid video element
-        if (currentElement && currentElement.tagName === 'VIDEO') {
-          currentElement.src = '';
-          if (typeof currentElement.load === 'function') {
-            currentElement.load();
-          }
-          delete currentElement._ipfsHLSPlayer;
-          currentElement.dataset.ipfsEnhanced = 'false';
-        } else if (config.debug) {
-          console.warn('IPFSHLSPlayer: Cannot dispose - element is not a valid VIDEO element');
-        }
-      },
-      
-      // Element access
-      el: () => element,
-      
-      // Control bar (mock for compatibility)
-      controlBar: {
-        getChild: () => null,
-        show: () => {},
-        hide: () => {}
-      },
-      
-      // Quality levels (mock for compatibility)
-      qualityLevels: () => ({
-        on: () => {},
-        off: () => {},
-        levels_: []
-      }),
-      
-      // Type identification
-      isNativePlayer: true,
-      
-      // Direct element access
-      element: element
-    };
+    // Adapter with the Video.js player API
+    const wrapper = new NativePlayer(element, options, {
+      hls: this.isHLSContent(options.src, options.type),
+      verified: VerifiedFetch.isEnabled(options)
+    });
+    PlayerConfig.bind(wrapper, PlayerConfig.of(element));
     
     // Store reference
     element._ipfsHLSPlayer = wrapper;
+    this.attachStats(wrapper, element, options);
+    this.attachQoE(wrapper, element);
     
-    if (config.debug) {
-      console.log('IPFSHLSPlayer: Native player initialized successfully');
-    }
+    playerLog.debug('Native player initialized successfully');
     
     return wrapper;
   }
@@ -732,10 +1414,24 @@ class IPFSHLSPlayer {
     
     // Initialize Video.js
     const player = videojs(element, playerOptions);
+    PlayerConfig.bind(player, PlayerConfig.of(element));
+    const playerLog = vhsLog.with(PlayerConfig.logContext(player));
     
     // Always initialize quality levels so it can track them as they load
     player.qualityLevels();
     
+    // Retry failed playlist/segment requests on alternate gateways
+    // (and check them against their CID in verified mode)
+    // Must be attached before the source is set so VHS xhr hooks are caught
+    GatewayFailover.attachToPlayer(player, {
+      ...options,
+      gatewayFailover: PlayerConfig.of(player).gatewayFailover
+    });
+    
+    // Measure startup, rebuffers and VHS requests (hooks must precede the source)
+    this.attachStats(player, element, options);
+    this.attachQoE(player, element);
+    
     // Set source if provided
     if (options.src) {
       const sourceType = options.type || this.detectSourceType(options.src);
@@ -751,27 +1447,27 @@ class IPFSHLSPlayer {
       // Pass to Video.js - middleware will intercept if needed
       player.src(sourceConfig);
       
-      // Add HLS quality selector if it's HLS content
-      if (sourceType === 'application/x-mpegURL' || options.src.includes('.m3u8')) {
-        // We know it's HLS from the start
+      // Add quality selector if it's HLS or DASH content (the plugin works
+      // from qualityLevels, which VHS fills with DASH representations too)
+      if (sourceType === 'application/x-mpegURL' || options.src.includes('.m3u8') ||
+          this.isDASHContent(options.src, sourceType)) {
+        // We know it's adaptive from the start
         player.hlsQualitySelector({
           displayCurrentQuality: true,
           placementIndex: 2
         });
         
-        const config = window.ipfsHLSPlayerConfig || {};
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Added HLS quality selector for known HLS content');
-        }
+        playerLog.debug('Added quality selector for known HLS/DASH content');
       } else {
         // For unknown types (like IPFS URLs), check as soon as the source type is determined
         // Use loadstart which fires earlier than loadedmetadata
         player.one('loadstart', () => {
           const actualType = player.currentType();
           
-          // Check if it's HLS content detected by middleware
+          // Check if it's HLS or DASH content detected by middleware
           if (actualType === 'application/x-mpegURL' || 
-              actualType === 'application/vnd.apple.mpegurl') {
+              actualType === 'application/vnd.apple.mpegurl' ||
+              actualType === 'application/dash+xml') {
             
             // Add quality selector immediately - quality levels haven't loaded yet
             player.hlsQualitySelector({
@@ -779,18 +1475,23 @@ class IPFSHLSPlayer {
               placementIndex: 2
             });
             
-            const config = window.ipfsHLSPlayerConfig || {};
-            if (config.debug) {
-              console.log('IPFSHLSPlayer: Added HLS quality selector after type detection:', actualType);
-            }
+            playerLog.debug('Added quality selector after type detection:', actualType);
           }
         });
       }
     }
     
+    // Text tracks are added by the player, so they work with emulated
+    // text tracks too, and survive source changes
+    if (options.tracks && options.tracks.length > 0) {
+      player.ready(() => {
+        options.tracks.forEach(track => player.addRemoteTextTrack(track, true));
+      });
+    }
+    
     // Add error handling
     player.on('error', (error) => {
-      console.error('IPFSHLSPlayer error:', error);
+      playerLog.error('Player error:', player.error() || error);
     });
     
     // Store player reference on element for later access
@@ -807,6 +1508,14 @@ class IPFSHLSPlayer {
    * @param {HTMLVideoElement} element - Video element with player
    */
   static destroyPlayer(element) {
+    // Stop a detection still running for an initialization in progress
+    this.abortDetection(element);
+    
+    // Destroyed on purpose, so lazy mode must not bring it back
+    if (this.lazyLoader) this.lazyLoader.unobserve(element);
+    
+    delete element._ipfsStartup;
+    
     const player = element._ipfsHLSPlayer || (element.id && videojs.getPlayer(element.id));
     if (player && typeof player.dispose === 'function') {
       player.dispose();
@@ -816,6 +1525,98 @@ class IPFSHLSPlayer {
     }
   }
   
+  /**
+   * Play a new source in an existing player
+   * Video.js players switch in place, and the middleware detects the type of
+   * IPFS sources as it does on first load. Native playback is set up for
+   * its source (rewritten manifest, rendition list), so native players
+   * are re-initialized instead.
+   * @param {HTMLVideoElement} element - Video element with a player
+   * @param {Object} options - New src (or cid and path) and optional type; other
+   *   player options only apply when the player is re-initialized
+   * @returns {Promise<Player|NativePlayer|null>} Player now playing the source
+   */
+  static async changeSource(element, options = {}) {
+    const player = element._ipfsHLSPlayer;
+    if (!player || player.isNativePlayer || player.isDisposed()) {
+      this.destroyPlayer(element);
+      return this.initializePlayer(element, options);
+    }
+    
+    const source = options.cid ? { cid: options.cid, path: options.path } : options.src;
+    const validation = IPFSResolver.validate(source);
+    if (validation.error) {
+      throw new Error(`IPFSHLSPlayer: ${validation.error}`);
+    }
+    
+    const src = IPFSResolver.needsResolution(source) ? IPFSResolver.toURL(source) : source;
+    const type = options.type || this.detectSourceType(src);
+    
+    // Measurements and diagnostics describe the new source from here on
+    const monitor = QoEMonitor.of(player);
+    if (monitor) monitor.setSource(src);
+    const overlay = StatsOverlay.of(player);
+    if (overlay) overlay.setSource(src, type, this.getPlayerStrategy(src, type));
+    
+    log.with(PlayerConfig.logContext(player)).debug('Changing source to:', src);
+    player.src(type ? { src, type } : { src });
+    
+    return player;
+  }
+  
+  /**
+   * Start QoE measurement for a new player
+   * Startup timing comes from the initializePlayer call that created it.
+   * @param {Player|NativePlayer} player - Video.js player or native wrapper
+   * @param {HTMLVideoElement} element - Video element
+   * @returns {QoEMonitor|null} Monitor, or null if disabled for the player
+   */
+  static attachQoE(player, element) {
+    const startup = element._ipfsStartup || {};
+    delete element._ipfsStartup;
+    if (!QoEMonitor.isEnabled(element)) return null;
+    
+    return new QoEMonitor(player, {
+      ...startup,
+      element,
+      strategy: player.isNativePlayer ? 'native' : 'videojs'
+    });
+  }
+  
+  /**
+   * Add the diagnostics overlay to a new player
+   * Must run before attachQoE, which consumes the startup details.
+   * @param {Player|NativePlayer} player - Video.js player or native wrapper
+   * @param {HTMLVideoElement} element - Video element
+   * @param {Object} options - Player options (src may already be rewritten)
+   * @returns {StatsOverlay} Overlay
+   */
+  static attachStats(player, element, options = {}) {
+    // The source as given, rather than a rewritten data: or offline blob: URL
+    const src = (element._ipfsStartup && element._ipfsStartup.src) || options.src || null;
+    
+    return new StatsOverlay(player, {
+      element,
+      src,
+      type: options.type || null,
+      strategy: src ? this.getPlayerStrategy(src, options.type) : null,
+      capabilities: this.detectCapabilities(),
+      controls: StatsOverlay.isEnabled(element),
+      contextMenu: StatsOverlay.hasContextMenu(element)
+    });
+  }
+  
+  /**
+   * Abort the content detection of an initialization in progress
+   * @param {HTMLVideoElement} element - Video element being initialized
+   */
+  static abortDetection(element) {
+    if (element._ipfsDetection) {
+      element._ipfsDetection.abort();
+      delete element._ipfsDetection;
+    }
+  }
+  
   /**
    * Detect video source type from URL
    * @param {string} src - Video source URL
@@ -826,6 +1627,7 @@ class IPFSHLSPlayer {
     
     const srcLower = src.toLowerCase();
     if (srcLower.includes('.m3u8')) return 'application/x-mpegURL';
+    if (this.isDASHContent(srcLower)) return 'application/dash+xml';
     if (srcLower.includes('.mp4')) return 'video/mp4';
     if (srcLower.includes('.webm')) return 'video/webm';
     if (srcLower.includes('.ogg') || srcLower.includes('.ogv')) return 'video/ogg';
@@ -837,7 +1639,8 @@ class IPFSHLSPlayer {
    * Enhance an existing video element with IPFS HLS Player
    * @param {HTMLVideoElement} video - Video element to enhance
    * @param {Object} options - Enhancement options
-   * @returns {Promise<Player>} Video.js player instance
+   * @returns {Promise<Player|null>} Video.js player instance or native wrapper, or null if
+   *   the video was destroyed while its type was being detected
    */
   static async enhanceVideoElement(video, options = {}) {
     // Comprehensive DOM validation
@@ -848,43 +1651,151 @@ class IPFSHLSPlayer {
     
     // Check if already enhanced
     if (video.dataset.ipfsEnhanced === 'true') {
-      const config = window.ipfsHLSPlayerConfig || {};
-      if (config.debug) {
-        console.log('IPFSHLSPlayer: Video already enhanced, returning existing player:', video.id || 'no-id');
-      }
+      log.with(PlayerConfig.logContext(video)).debug('Video already enhanced, returning existing player:', video.id || 'no-id');
       return video._ipfsHLSPlayer;
     }
     
+    // <source> and <track> children taken over by the player
+    let markupChildren = [];
+    const restoreMarkup = () => {
+      markupChildren.forEach(child => {
+        if (!child.parentNode) video.appendChild(child);
+      });
+    };
+    
     try {
       // Apply Video.js classes and ensure wrapper
       this.applyVideoJSClasses(video, options);
       this.ensureVideoWrapper(video);
       
-      // Extract options from video element
-      const elementOptions = {
-        src: video.src || video.currentSrc,
-        type: video.getAttribute('type') || null,
-        poster: video.poster,
+      // Extract options from the video's markup (<source>, <track>, data-ipfs-*)
+      const markup = VideoMarkup.read(video);
+      
+      // Options from code win over data-ipfs-options, which win over the markup
+      const baseOptions = {
+        gateways: markup.gateways.length > 0 ? markup.gateways : undefined,
+        poster: markup.poster,
         autoplay: video.autoplay,
         loop: video.loop,
         muted: video.muted,
+        tracks: markup.tracks,
+        ...markup.options,
         ...options
       };
+      if (markup.options.config && options.config) {
+        baseOptions.config = { ...markup.options.config, ...options.config };
+      }
+      
+      // An explicit source replaces the markup's sources
+      const sourceKeys = ['src', 'cid', 'path', 'type'];
+      const explicit = baseOptions.src || baseOptions.cid;
+      const [source = {}, ...fallbacks] = explicit ? [] : this.getPlayableSources(markup.sources);
+      
+      // The player takes over the sources and tracks (Video.js would
+      // otherwise read them again); they are put back if it fails, for the
+      // browser's own fallback and for a later retry
+      markupChildren = Array.from(video.children)
+        .filter(child => child.tagName === 'SOURCE' || child.tagName === 'TRACK');
+      markupChildren.forEach(child => video.removeChild(child));
       
       // Initialize player
-      const player = await this.initializePlayer(video, elementOptions);
+      const player = await this.initializePlayer(video, { ...baseOptions, ...source });
+      
+      // Destroyed while its type was being detected: leave it enhanceable
+      if (!player) {
+        if (!video._ipfsHLSPlayer) {
+          delete video.dataset.ipfsEnhanced;
+          restoreMarkup();
+        }
+        return null;
+      }
       
       // Mark as enhanced
       video.dataset.ipfsEnhanced = 'true';
       
+      if (fallbacks.length > 0) {
+        const fallbackOptions = { ...baseOptions };
+        sourceKeys.forEach(key => delete fallbackOptions[key]);
+        this.attachSourceFallback(player, video, fallbacks, fallbackOptions);
+      }
+      
       return player;
       
     } catch (error) {
-      console.error('IPFSHLSPlayer: Enhancement failed for video:', video.id || 'no-id', error);
+      restoreMarkup();
+      log.error('Enhancement failed for video:', video.id || 'no-id', error);
       throw error;
     }
   }
 
+  /**
+   * Order a video's sources for playback
+   * Sources with an invalid CID are dropped, and sources whose type the
+   * browser cannot play go last.
+   * @param {Array<Object>} sources - Sources from VideoMarkup, in markup order
+   * @returns {Array<Object>} Sources to try, in order
+   */
+  static getPlayableSources(sources) {
+    const valid = sources.filter(source => {
+      const { error } = IPFSResolver.validate(source.cid ? source : source.src);
+      if (error) log.warn('Skipping source:', error);
+      return !error;
+    });
+    
+    return [
+      ...valid.filter(source => this.canPlayType(source.type)),
+      ...valid.filter(source => !this.canPlayType(source.type))
+    ];
+  }
+  
+  /**
+   * Check if the browser can probably play a MIME type
+   * @param {string} type - MIME type, possibly with codecs (optional)
+   * @returns {boolean} True if playable, or if the type is unknown
+   */
+  static canPlayType(type) {
+    if (!type) return true;
+    
+    const caps = this.detectCapabilities();
+    const mimeType = type.split(';')[0].trim();
+    if (mimeType === 'application/x-mpegURL' || mimeType === 'application/vnd.apple.mpegurl') {
+      return caps.hasMSE || caps.hasNativeHLS;
+    }
+    if (mimeType === 'application/dash+xml') return caps.hasMSE;
+    
+    return document.createElement('video').canPlayType(type) !== '';
+  }
+  
+  /**
+   * Play a video's next source if the current one fails before playback
+   * As with Video.js source lists, a source that has started playing is
+   * never replaced.
+   * @param {Player|NativePlayer} player - Player of the current source
+   * @param {HTMLVideoElement} video - Video element
+   * @param {Array<Object>} fallbacks - Remaining sources, in order
+   * @param {Object} options - Player options without a source
+   */
+  static attachSourceFallback(player, video, fallbacks, options) {
+    if (!player || fallbacks.length === 0) return;
+    
+    const [next, ...rest] = fallbacks;
+    const onPlaying = () => player.off('error', onError);
+    const onError = () => {
+      player.off('playing', onPlaying);
+      if (video._ipfsHLSPlayer !== player) return;
+      
+      log.with(PlayerConfig.logContext(player)).warn('Source failed before playback, trying the next one:', next.src || next.cid);
+      this.changeSource(video, { ...options, ...next })
+        .then(nextPlayer => this.attachSourceFallback(nextPlayer, video, rest, options))
+        .catch(error => {
+          log.error('Fallback source failed:', video.id || 'no-id', error);
+        });
+    };
+    
+    player.one('error', onError);
+    player.one('playing', onPlaying);
+  }
+
   /**
    * Check if video element is ready for enhancement
    * @param {HTMLVideoElement} video - Video element to check
@@ -986,15 +1897,12 @@ class IPFSHLSPlayer {
       parent.insertBefore(wrapper, video);
       wrapper.appendChild(video);
       
-      const config = window.ipfsHLSPlayerConfig || {};
-      if (config.debug) {
-        console.log('IPFSHLSPlayer: Created universal wrapper for standalone video:', video.id || 'no-id');
-      }
+      log.with(PlayerConfig.logContext(video)).debug('Created universal wrapper for standalone video:', video.id || 'no-id');
       
       return wrapper;
       
     } catch (error) {
-      console.error('IPFSHLSPlayer: Failed to create wrapper for video:', video.id || 'no-id', error);
+      log.error('Failed to create wrapper for video:', video.id || 'no-id', error);
       throw error;
     }
   }
@@ -1005,30 +1913,117 @@ class IPFSHLSPlayer {
    * @returns {Promise<Array>} Array of player instances
    */
   static async enhanceStaticVideos(container = document) {
-    const config = window.ipfsHLSPlayerConfig || {};
-    const videos = container.querySelectorAll('video:not([data-ipfs-enhanced])');
+    const videos = Array.from(container.querySelectorAll('video:not([data-ipfs-enhanced])'))
+      .filter(video => !VideoObserver.isIgnored(video));
     const players = [];
     
-    if (config.debug) {
-      console.log(`IPFSHLSPlayer: Found ${videos.length} static videos to enhance`);
+    // Players are created as the videos near the viewport instead
+    if (PlayerConfig.get().lazy) {
+      videos.forEach(video => this.enhanceLazily(video));
+      return players;
     }
     
+    log.debug(`Found ${videos.length} static videos to enhance`);
+    
     for (const video of videos) {
       try {
         const player = await this.enhanceVideoElement(video);
         players.push(player);
         
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Successfully enhanced static video:', video.id || 'no-id');
-        }
+        log.debug('Successfully enhanced static video:', video.id || 'no-id');
       } catch (error) {
-        console.error('Failed to enhance static video:', error);
+        log.error('Failed to enhance static video:', error);
       }
     }
     
     return players;
   }
 
+  /**
+   * Dynamic Content System
+   * Enhance videos as they are added to the page and dispose the players of
+   * videos that are removed
+   */
+  
+  // Active observers, keyed by root element
+  static observers = new Map();
+  
+  /**
+   * Watch an element for added and removed videos
+   * Videos already inside it are enhanced straight away. Videos marked with
+   * data-ipfs-ignore (or inside an element with it) are skipped.
+   * @param {HTMLElement} root - Element to watch (default: document.body)
+   * @param {Object} options - Options passed to enhanceVideoElement for each video
+   * @returns {VideoObserver} Observer (one per root)
+   */
+  static observeVideos(root = document.body, options = {}) {
+    const existing = this.observers.get(root);
+    if (existing) return existing;
+    
+    const observer = new VideoObserver(root, {
+      enhance: video => (PlayerConfig.get().lazy
+        ? this.enhanceLazily(video, options)
+        : this.enhanceVideoElement(video, options)),
+      destroy: video => this.destroyPlayer(video)
+    });
+    this.observers.set(root, observer);
+    observer.start();
+    return observer;
+  }
+  
+  /**
+   * Stop watching an element (its players are kept)
+   * @param {HTMLElement} root - Element passed to observeVideos (default: document.body)
+   * @returns {boolean} True if an observer was stopped
+   */
+  static stopObservingVideos(root = document.body) {
+    const observer = this.observers.get(root);
+    if (!observer) return false;
+    
+    observer.disconnect();
+    this.observers.delete(root);
+    return true;
+  }
+
+  /**
+   * Lazy Loading System
+   * Create players only for videos near the viewport, pause them when they
+   * scroll away and keep at most `maxPlayers` alive
+   */
+  
+  // Shared loader, created on first use
+  static lazyLoader = null;
+  
+  /**
+   * Enhance a video once it nears the viewport
+   * Without IntersectionObserver support the video is enhanced straight away.
+   * @param {HTMLVideoElement} video - Video element
+   * @param {Object} options - Options passed to enhanceVideoElement
+   * @returns {Promise<Player|null>} Player if enhanced straight away, otherwise null
+   */
+  static async enhanceLazily(video, options = {}) {
+    if (typeof IntersectionObserver === 'undefined') {
+      return this.enhanceVideoElement(video, options);
+    }
+    
+    if (!this.lazyLoader) {
+      this.lazyLoader = new LazyLoader({
+        enhance: (element, elementOptions) => this.enhanceVideoElement(element, elementOptions),
+        destroy: element => this.destroyPlayer(element)
+      });
+    }
+    this.lazyLoader.observe(video, options);
+    return null;
+  }
+  
+  /**
+   * Count the players created in lazy mode that are still alive
+   * @returns {number} Live players
+   */
+  static getLazyPlayerCount() {
+    return this.lazyLoader ? this.lazyLoader.getPlayerCount() : 0;
+  }
+
   /**
    * Ensure Video.js styles are loaded
    * @returns {Promise} Resolves when styles are ready
@@ -1044,17 +2039,13 @@ class IPFSHLSPlayer {
  * @returns {Promise} Resolves when CSS is ready
  */
 function ensureVideoJSStyles() {
-  const config = window.ipfsHLSPlayerConfig || {};
-  
   return new Promise((resolve) => {
     // Check if Video.js styles are already loaded by URL or inline
     const existingStyleLink = document.querySelector('link[href*="video-js"]');
     const existingVjsFallback = document.querySelector('link[data-vjs-fallback="true"]');
     
     if (existingStyleLink || existingVjsFallback) {
-      if (config.debug) {
-        console.log('IPFSHLSPlayer: Video.js CSS already loaded via link tag');
-      }
+      log.debug('Video.js CSS already loaded via link tag');
       return resolve();
     }
     
@@ -1081,14 +2072,12 @@ function ensureVideoJSStyles() {
     document.body.removeChild(testElement);
     
     if (hasVideoJSStyles) {
-      if (config.debug) {
-        console.log('IPFSHLSPlayer: Video.js CSS detected via computed styles');
-      }
+      log.debug('Video.js CSS detected via computed styles');
       return resolve();
     }
     
     // CSS not detected - load fallback
-    console.warn('IPFSHLSPlayer: Video.js CSS not detected, loading fallback');
+    log.warn('Video.js CSS not detected, loading fallback');
     
     // Try multiple fallback sources
     const fallbackSources = [
@@ -1100,7 +2089,7 @@ function ensureVideoJSStyles() {
     
     function tryLoadCSS(sourceIndex = 0) {
       if (sourceIndex >= fallbackSources.length) {
-        console.error('IPFSHLSPlayer: All CSS fallback sources failed, proceeding without external CSS');
+        log.error('All CSS fallback sources failed, proceeding without external CSS');
         return resolve();
       }
       
@@ -1111,14 +2100,12 @@ function ensureVideoJSStyles() {
       link.dataset.attempt = loadAttempts++;
       
       link.onload = () => {
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Successfully loaded fallback CSS from:', link.href);
-        }
+        log.debug('Successfully loaded fallback CSS from:', link.href);
         resolve();
       };
       
       link.onerror = () => {
-        console.warn('IPFSHLSPlayer: Failed to load CSS from:', link.href);
+        log.warn('Failed to load CSS from:', link.href);
         // Remove failed link and try next source
         document.head.removeChild(link);
         tryLoadCSS(sourceIndex + 1);
@@ -1129,7 +2116,7 @@ function ensureVideoJSStyles() {
       // Timeout fallback
       setTimeout(() => {
         if (!link.sheet) {
-          console.warn('IPFSHLSPlayer: CSS load timeout for:', link.href);
+          log.warn('CSS load timeout for:', link.href);
           if (document.head.contains(link)) {
             document.head.removeChild(link);
           }
@@ -1145,7 +2132,32 @@ function ensureVideoJSStyles() {
 // Export everything
 const IPFSHLSPlayerBundle = {
   videojs,
-  IPFSHLSPlayer
+  IPFSHLSPlayer,
+  GatewayFailover,
+  GatewaySelector,
+  GatewayRegistry,
+  IPFSResolver,
+  CID,
+  VerifiedFetch,
+  IntegrityError,
+  DetectionError,
+  PlaylistRewriter,
+  DashRewriter,
+  SegmentCache,
+  OfflineStore,
+  OfflineDownload,
+  NativePlayer,
+  FormatDetector,
+  DetectionCache,
+  PlayerConfig,
+  QoEMonitor,
+  StatsOverlay,
+  IPFSVideoElement,
+  VideoObserver,
+  LazyLoader,
+  VideoMarkup,
+  DebugLogger,
+  logger
 };
 
 // Make globally available
@@ -1154,43 +2166,50 @@ if (typeof window !== 'undefined') {
   window.IPFSHLSPlayer = IPFSHLSPlayer;
   window.IPFSHLSPlayerBundle = IPFSHLSPlayerBundle;
   
+  // <ipfs-video> works in any page that loads the bundle
+  IPFSVideoElement.define(IPFSHLSPlayer);
+  
   // Ensure styles are loaded immediately
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-      ensureVideoJSStyles().catch(console.error);
+      ensureVideoJSStyles().catch(error => log.error('Video.js CSS check failed:', error));
     });
   } else {
-    ensureVideoJSStyles().catch(console.error);
+    ensureVideoJSStyles().catch(error => log.error('Video.js CSS check failed:', error));
   }
   
   // Also ensure styles are loaded when bundle is first imported
   setTimeout(() => {
-    ensureVideoJSStyles().catch(console.error);
+    ensureVideoJSStyles().catch(error => log.error('Video.js CSS check failed:', error));
   }, 100);
   
   // Static enhancement for documentation and non-framework contexts
-  const config = window.ipfsHLSPlayerConfig || {};
-  
-  if (config.enableStaticEnhancement !== false) {
-    document.addEventListener('DOMContentLoaded', async () => {
-      try {
-        if (config.debug) {
-          console.log('IPFSHLSPlayer: Starting static page enhancement');
-        }
-        
-        // Only enhance if not in a Vue/React app context
-        const isFrameworkApp = document.querySelector('[data-vue-app], [data-react-app], .react-app');
-        
-        if (!isFrameworkApp) {
-          await IPFSHLSPlayer.enhanceStaticVideos();
-        } else if (config.debug) {
-          console.log('IPFSHLSPlayer: Framework app detected, skipping static enhancement');
-        }
-      } catch (error) {
-        console.error('Static video enhancement failed:', error);
+  // (read on DOMContentLoaded, so IPFSHLSPlayer.configure() can still turn it off)
+  document.addEventListener('DOMContentLoaded', async () => {
+    const config = PlayerConfig.get();
+    if (config.enableStaticEnhancement === false) return;
+    
+    // Opting in to the observer is explicit, so it also runs in framework apps
+    if (config.observeVideos) {
+      IPFSHLSPlayer.observeVideos(document.body);
+      return;
+    }
+    
+    try {
+      log.debug('Starting static page enhancement');
+      
+      // Only enhance if not in a Vue/React app context
+      const isFrameworkApp = document.querySelector('[data-vue-app], [data-react-app], .react-app');
+      
+      if (!isFrameworkApp) {
+        await IPFSHLSPlayer.enhanceStaticVideos();
+      } else {
+        log.debug('Framework app detected, skipping static enhancement');
       }
-    });
-  }
+    } catch (error) {
+      log.error('Static video enhancement failed:', error);
+    }
+  });
 }
 
 export default IPFSHLSPlayerBundle;
\ No newline at end of file
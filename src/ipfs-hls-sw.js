@@ -0,0 +1,315 @@
+/**
+ * IPFS HLS Player Service Worker
+ * Caches immutable IPFS content (playlists and segments) for repeat plays,
+ * seeks and offline playback
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Content under /ipfs/<cid> can never change, so it is cached forever and
+ * served cache-first. Entries are keyed by CID + path rather than by URL,
+ * so a segment fetched from one gateway is a cache hit on every other
+ * gateway (path or subdomain style, CIDv0 or v1). A size budget is kept
+ * with least-recently-used eviction. Range requests that miss the cache
+ * download the whole file once and are answered from it.
+ *
+ * Registered from the page with IPFSHLSPlayer.registerServiceWorker(). The
+ * size budget is read from the script URL: ipfs-hls-sw.js?maxBytes=...
+ */
+
+import CID from './utils/cid.js';
+import IDBStore from './utils/idb.js';
+
+const CACHE_NAME = 'ipfs-hls-player-v1';
+const KEY_PREFIX = `${self.location.origin}/__ipfs-hls-cache__`;
+const DEFAULT_MAX_BYTES = 500 * 1024 * 1024;
+
+const settings = new URL(self.location.href).searchParams;
+const maxBytes = Number(settings.get('maxBytes')) || DEFAULT_MAX_BYTES;
+const debug = settings.get('debug') === 'true';
+
+// Size and last use of every cached entry, for LRU eviction
+const db = new IDBStore('ipfs-hls-player-sw', { entries: 'key' });
+
+// Whole-file downloads for Range requests, shared by concurrent ranges
+const downloads = new Map();
+
+// Index updates run one at a time so eviction sees a consistent total
+let queue = Promise.resolve();
+const enqueue = task => {
+  queue = queue.then(task).catch(error => console.warn('IPFSHLSPlayer SW: Cache index update failed:', error));
+  return queue;
+};
+
+/**
+ * Get the cache key for an immutable IPFS request
+ * @param {Request} request - Intercepted request
+ * @returns {string|null} Cache key URL, or null if the request is not cacheable
+ */
+function getCacheKey(request) {
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (error) {
+    return null;
+  }
+
+  let root = null;
+  let path = url.pathname;
+
+  const subdomainMatch = url.hostname.match(/^([^.]+)\.ipfs\./);
+  const pathMatch = url.pathname.match(/^\/ipfs\/([^/]+)(.*)$/);
+  if (subdomainMatch) {
+    root = subdomainMatch[1];
+  } else if (pathMatch) {
+    root = decodeURIComponent(pathMatch[1]);
+    path = pathMatch[2];
+  }
+
+  if (!root || !CID.isValid(root)) return null;
+
+  // Trustless responses (raw blocks / CARs) differ from the plain file
+  const accept = request.headers.get('accept') || '';
+  const format = accept.includes('application/vnd.ipld.car') ? 'car'
+    : accept.includes('application/vnd.ipld.raw') ? 'raw' : null;
+
+  const key = new URL(`${KEY_PREFIX}/ipfs/${CID.toV1(root)}${path || '/'}${url.search}`);
+  if (format) key.searchParams.set('format', format);
+  return key.href;
+}
+
+/**
+ * Serve part of a cached response for a Range request
+ * @param {Response} response - Full cached response
+ * @param {string} range - Range header value
+ * @returns {Promise<Response>} 206 response (or 416 / the full response)
+ */
+async function sliceResponse(response, range) {
+  const match = range.trim().match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2])) return response;
+
+  const blob = await response.blob();
+  const size = blob.size;
+  let start = match[1] ? Number(match[1]) : Math.max(size - Number(match[2]), 0);
+  let end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+
+  if (start >= size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(blob.slice(start, end + 1), { status: 206, headers });
+}
+
+/**
+ * Store a complete response and evict old entries over the budget
+ * @param {string} key - Cache key
+ * @param {Response} response - Network response (clone)
+ */
+async function store(key, response) {
+  const blob = await response.blob();
+  if (blob.size > maxBytes) return;
+
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(key, new Response(blob, { status: 200, headers: response.headers }));
+
+  await enqueue(async () => {
+    await db.put('entries', { key, size: blob.size, lastUsed: Date.now() });
+    await evict(cache);
+  });
+
+  if (debug) {
+    console.log('IPFSHLSPlayer SW: Cached', key, blob.size, 'bytes');
+  }
+}
+
+/**
+ * Delete least recently used entries until the cache fits its budget
+ * @param {Cache} cache - Open cache
+ */
+async function evict(cache) {
+  const entries = await db.getAll('entries');
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (total <= maxBytes) return;
+
+  entries.sort((a, b) => a.lastUsed - b.lastUsed);
+  for (const entry of entries) {
+    if (total <= maxBytes) break;
+    await cache.delete(entry.key);
+    await db.delete('entries', entry.key);
+    total -= entry.size;
+
+    if (debug) {
+      console.log('IPFSHLSPlayer SW: Evicted', entry.key);
+    }
+  }
+}
+
+/**
+ * Mark a cache entry as used
+ * @param {string} key - Cache key
+ */
+function touch(key) {
+  return enqueue(async () => {
+    const entry = await db.get('entries', key);
+    if (entry) await db.put('entries', { ...entry, lastUsed: Date.now() });
+  });
+}
+
+/**
+ * Fetch from the network, in CORS mode so the response can be cached
+ * Media elements request with no-cors; gateways send CORS headers, so the
+ * same request is retried as no-cors only if the CORS request fails.
+ * @param {Request} request - Intercepted request
+ * @returns {Promise<Response>} Network response
+ */
+async function fetchFromNetwork(request) {
+  if (request.mode !== 'no-cors') return fetch(request);
+
+  try {
+    return await fetch(new Request(request.url, {
+      mode: 'cors',
+      credentials: 'omit',
+      headers: request.headers,
+      signal: request.signal
+    }));
+  } catch (error) {
+    if (request.signal && request.signal.aborted) throw error;
+    return fetch(request);
+  }
+}
+
+/**
+ * Download a whole file for a Range request that missed the cache
+ * Media elements (native HLS on Safari, MP4 everywhere) request almost
+ * nothing but ranges, so passing them through would never fill the cache.
+ * The range is answered from the download once it is complete.
+ * @param {Request} request - Intercepted Range request
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { blob, headers, stored } - `stored`
+ *   settles once the file is cached - or null if it cannot be cached
+ */
+function downloadWhole(request, key) {
+  if (!downloads.has(key)) {
+    const headers = new Headers(request.headers);
+    headers.delete('range');
+
+    // Not tied to the request's signal, other ranges may be waiting on it
+    const whole = new Request(request.url, {
+      mode: request.mode,
+      credentials: request.credentials,
+      headers
+    });
+
+    const download = fetchFromNetwork(whole).then(async response => {
+      const size = Number(response.headers.get('content-length'));
+      if (response.status !== 200 || size > maxBytes) {
+        if (response.body) response.body.cancel().catch(() => {});
+        return null;
+      }
+
+      const blob = await response.blob();
+      const stored = store(key, new Response(blob, { status: 200, headers: response.headers }))
+        .catch(error => console.warn('IPFSHLSPlayer SW: Could not cache response:', error));
+      return { blob, headers: response.headers, stored };
+    }).finally(() => downloads.delete(key));
+
+    downloads.set(key, download);
+  }
+  return downloads.get(key);
+}
+
+/**
+ * Answer a request from the cache, falling back to the network
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} key - Cache key
+ * @returns {Promise<Response>} Response
+ */
+async function respond(event, key) {
+  const { request } = event;
+  const range = request.headers.get('range');
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(key);
+
+  if (cached) {
+    event.waitUntil(touch(key));
+    return range ? sliceResponse(cached, range) : cached;
+  }
+
+  // Partial responses are not cached: the whole file is, then sliced
+  if (range) {
+    const whole = await downloadWhole(request, key).catch(() => null);
+    if (!whole) return fetch(request);
+
+    event.waitUntil(whole.stored);
+    return sliceResponse(new Response(whole.blob, { status: 200, headers: whole.headers }), range);
+  }
+
+  const response = await fetchFromNetwork(request);
+  if (response.status === 200) {
+    event.waitUntil(store(key, response.clone()).catch(error => {
+      console.warn('IPFSHLSPlayer SW: Could not cache response:', error);
+    }));
+  }
+  return response;
+}
+
+/**
+ * Get cache usage
+ * @returns {Promise<Object>} { entries, bytes, maxBytes }
+ */
+async function getStats() {
+  const entries = await db.getAll('entries');
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    maxBytes
+  };
+}
+
+/**
+ * Remove every cached entry
+ */
+async function clearCache() {
+  await enqueue(async () => {
+    await caches.delete(CACHE_NAME);
+    await db.clear('entries');
+  });
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+  // Control already open pages so the current player benefits immediately
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  // Requests that ask to bypass caches (such as gateway probes) go straight out
+  if (request.method !== 'GET' || request.mode === 'navigate' ||
+      request.cache === 'no-store' || request.cache === 'reload') {
+    return;
+  }
+
+  const key = getCacheKey(request);
+  if (key) {
+    event.respondWith(respond(event, key));
+  }
+});
+
+self.addEventListener('message', event => {
+  const { type } = event.data || {};
+  const port = event.ports[0];
+  const reply = result => port && port.postMessage(result);
+
+  if (type === 'IPFS_HLS_CACHE_STATS') {
+    event.waitUntil(getStats().then(reply));
+  } else if (type === 'IPFS_HLS_CACHE_CLEAR') {
+    event.waitUntil(clearCache().then(() => reply({ cleared: true })));
+  }
+});
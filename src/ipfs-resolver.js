@@ -0,0 +1,286 @@
+/**
+ * IPFS Source Resolver for IPFS HLS Player
+ * Normalizes every supported IPFS source form into a canonical CID + path
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Supported forms:
+ * - ipfs://<cid>/path and ipns://<name>/path
+ * - Bare CIDs (Qm..., bafy...) with an optional /path
+ * - /ipfs/<cid>/path and /ipns/<name>/path
+ * - Path gateway URLs:      https://<gateway>/ipfs/<cid>/path
+ * - Subdomain gateway URLs: https://<cid>.ipfs.<gateway>/path
+ * - Objects: { cid, path } or { ipns, path }
+ */
+
+import GatewayRegistry from './gateway-registry.js';
+import GatewaySelector from './gateway-selector.js';
+import CID from './utils/cid.js';
+
+/**
+ * IPFS Resolver Service
+ */
+class IPFSResolver {
+  /**
+   * Check if a string is a valid CID
+   * @param {string} value - Candidate CID
+   * @returns {boolean} True if it parses as a CIDv0 or CIDv1
+   */
+  static isCID(value) {
+    return CID.isValid(value);
+  }
+
+  /**
+   * Resolve any supported source form to its canonical parts
+   * @param {string|Object} src - Source URL, URI, CID or { cid, path }
+   * @returns {Object|null} { namespace, cid, path, gateway } or null if not IPFS.
+   *   `cid` is the IPNS name for the ipns namespace, `path` always starts
+   *   with "/" (or is empty) and includes any query string, and `gateway`
+   *   is the origin of the gateway the source was addressed to (if any).
+   */
+  static resolve(src) {
+    if (!src) return null;
+
+    if (typeof src === 'object') {
+      return this.resolveObject(src);
+    }
+
+    const value = String(src).trim();
+
+    // ipfs:// and ipns:// URIs
+    const uriMatch = value.match(/^(ipfs|ipns):\/\/([^/?#]+)([^#]*)/i);
+    if (uriMatch) {
+      return this.build(uriMatch[1].toLowerCase(), uriMatch[2], uriMatch[3], null);
+    }
+
+    // Bare CID, optionally followed by a path
+    const bareMatch = value.match(/^([^/?#:]+)([/?][^#]*)?$/);
+    if (bareMatch && this.isCID(bareMatch[1])) {
+      return this.build('ipfs', bareMatch[1], bareMatch[2] || '', null);
+    }
+
+    // Gateway-relative content path
+    const pathMatch = value.match(/^\/(ipfs|ipns)\/([^/?#]+)([^#]*)/);
+    if (pathMatch) {
+      return this.build(pathMatch[1], pathMatch[2], pathMatch[3], null, true);
+    }
+
+    return this.resolveGatewayURL(value);
+  }
+
+  /**
+   * Resolve an { cid, path } / { ipns, path } object
+   * @param {Object} src - Source object
+   * @returns {Object|null} Resolved parts
+   */
+  static resolveObject(src) {
+    if (src.cid) {
+      return this.build('ipfs', src.cid, src.path || '', null);
+    }
+    if (src.ipns) {
+      return this.build('ipns', src.ipns, src.path || '', null);
+    }
+    return src.src ? this.resolve(src.src) : null;
+  }
+
+  /**
+   * Resolve a path or subdomain gateway URL
+   * @param {string} url - HTTP(S) URL
+   * @returns {Object|null} Resolved parts
+   */
+  static resolveGatewayURL(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    const rest = parsed.search;
+    const hostMatch = GatewayRegistry.matchHost(parsed.host);
+
+    // Subdomain gateway: <root>.ipfs.<host>
+    if (hostMatch && hostMatch.namespace) {
+      return this.build(hostMatch.namespace, hostMatch.root, parsed.pathname + rest, hostMatch.entry.url);
+    }
+
+    const subdomainMatch = parsed.host.match(/^([^.]+)\.(ipfs|ipns)\.(.+)$/);
+    if (subdomainMatch && this.isCID(subdomainMatch[1])) {
+      return this.build(subdomainMatch[2], subdomainMatch[1], parsed.pathname + rest,
+        `${parsed.protocol}//${subdomainMatch[3]}`);
+    }
+
+    // Path gateway: <host>/ipfs/<root>/path
+    const pathMatch = parsed.pathname.match(/^\/(ipfs|ipns)\/([^/]+)(.*)$/);
+    if (!pathMatch) return null;
+
+    // Unknown hosts only count when the path really holds a CID, so a URL
+    // that merely contains "/ipfs/" is not mistaken for IPFS content
+    return this.build(pathMatch[1], pathMatch[2], pathMatch[3] + rest, parsed.origin, !!hostMatch);
+  }
+
+  /**
+   * Build a resolved result, validating the root
+   * @param {string} namespace - 'ipfs' or 'ipns'
+   * @param {string} root - CID or IPNS name
+   * @param {string} path - Remaining path (may include query string)
+   * @param {string|null} gateway - Gateway origin
+   * @param {boolean} trusted - Accept IPNS names that are not CIDs
+   * @returns {Object|null} Resolved parts
+   */
+  static build(namespace, root, path, gateway, trusted = false) {
+    const name = this.decode(root);
+    if (name === null) return null;
+
+    if (namespace === 'ipfs' && !this.isCID(name)) return null;
+    // IPNS names may be DNSLink domains, only accepted from known gateways or URIs
+    if (namespace === 'ipns' && !this.isCID(name) && !trusted && gateway) return null;
+
+    return {
+      namespace,
+      cid: name,
+      path: path && !path.startsWith('/') && !path.startsWith('?') ? '/' + path : (path || ''),
+      gateway
+    };
+  }
+
+  /**
+   * Percent-decode a root segment
+   * @param {string} value - Encoded segment
+   * @returns {string|null} Decoded segment, or null if the encoding is malformed
+   */
+  static decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a source is IPFS content in any supported form
+   * @param {string|Object} src - Source to check
+   * @returns {boolean} True if IPFS content
+   */
+  static isIPFS(src) {
+    return this.resolve(src) !== null;
+  }
+
+  /**
+   * Get the gateway new URLs should be built for
+   * @returns {string} Gateway origin
+   */
+  static getPreferredGateway() {
+    return GatewaySelector.selectedGateway ||
+           GatewaySelector.rankGateways(GatewayRegistry.getGateways())[0];
+  }
+
+  /**
+   * Build a fetchable URL for resolved content on a gateway
+   * @param {Object} resolved - Result of resolve()
+   * @param {string} gateway - Gateway origin (default: preferred gateway)
+   * @returns {string} Gateway URL
+   */
+  static toGatewayURL(resolved, gateway = this.getPreferredGateway()) {
+    const entry = GatewayRegistry.get(gateway);
+    const { namespace, cid, path } = resolved;
+
+    // Subdomain gateways need a case-insensitive root, so CIDs are
+    // converted to v1 base32 (base36 IPNS keys are already safe)
+    if (entry && entry.subdomain && this.isCID(cid)) {
+      const root = /^k[0-9a-z]+$/.test(cid) ? cid : CID.toV1(cid);
+      const parsed = new URL(gateway);
+      return `${parsed.protocol}//${root}.${namespace}.${parsed.host}${path.startsWith('/') ? path : '/' + path}`;
+    }
+
+    return `${gateway}/${namespace}/${cid}${path}`;
+  }
+
+  /**
+   * Resolve a source and build a fetchable URL for it
+   * HTTP(S) URLs that are not IPFS content are returned unchanged.
+   * @param {string|Object} src - Source in any supported form
+   * @param {string} gateway - Gateway origin (default: preferred gateway)
+   * @returns {string|null} Fetchable URL
+   */
+  static toURL(src, gateway) {
+    const resolved = this.resolve(src);
+    if (!resolved) return typeof src === 'string' ? src : null;
+    return this.toGatewayURL(resolved, gateway);
+  }
+
+  /**
+   * Validate the CID of a source before any network request
+   * Finds the content root in IPFS-shaped sources (ipfs:// URIs, { cid },
+   * /ipfs/<root> paths and URLs on registered gateways) even when it is
+   * not a valid CID, so the failure can be reported clearly. URLs on
+   * unknown hosts are never reported, they are simply not IPFS.
+   * @param {string|Object} src - Source to validate
+   * @returns {Object} { valid, error, resolved } - `error` is null for
+   *   valid sources and for sources that are not IPFS-shaped at all
+   */
+  static validate(src) {
+    const resolved = this.resolve(src);
+    if (resolved) return { valid: true, error: null, resolved };
+
+    let root = null;
+    if (src && typeof src === 'object') {
+      root = src.cid || null;
+    } else if (typeof src === 'string' && /^https?:/.test(src)) {
+      root = this.findGatewayRoot(src);
+    } else if (typeof src === 'string') {
+      const match = src.match(/^ipfs:\/\/([^/?#]+)/i) || src.match(/^\/ipfs\/([^/?#]+)/);
+      root = match ? this.decode(match[1]) : null;
+      if (match && root === null) {
+        return { valid: false, error: `Invalid CID "${match[1]}": malformed percent-encoding`, resolved: null };
+      }
+    }
+
+    if (root === null) return { valid: false, error: null, resolved: null };
+
+    try {
+      CID.parse(root);
+      return { valid: false, error: null, resolved: null };
+    } catch (error) {
+      return { valid: false, error: `Invalid CID "${root}": ${error.message}`, resolved: null };
+    }
+  }
+
+  /**
+   * Find the /ipfs/ content root of a URL on a registered gateway
+   * @param {string} url - HTTP(S) URL
+   * @returns {string|null} Root segment (possibly not a valid CID)
+   */
+  static findGatewayRoot(url) {
+    try {
+      const parsed = new URL(url);
+      const hostMatch = GatewayRegistry.matchHost(parsed.host);
+      if (!hostMatch) return null;
+      if (hostMatch.namespace === 'ipfs') return hostMatch.root;
+
+      const match = parsed.pathname.match(/^\/ipfs\/([^/]+)/);
+      return match ? decodeURIComponent(match[1]) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a source needs resolving before it can be fetched
+   * (ipfs:// / ipns:// URIs, bare CIDs and source objects)
+   * @param {string|Object} src - Source to check
+   * @returns {boolean} True if the source is not directly fetchable
+   */
+  static needsResolution(src) {
+    if (!src) return false;
+    if (typeof src === 'object') return true;
+    const resolved = this.resolve(src);
+    return !!resolved && !resolved.gateway && !/^https?:|^\//.test(src);
+  }
+}
+
+export default IPFSResolver;
+export { IPFSResolver };
@@ -0,0 +1,364 @@
+/**
+ * IPFS Video Element for IPFS HLS Player
+ * <ipfs-video> custom element for pages without a framework
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Static docs and CMS embeds can only add markup, so the element wires
+ * itself up: it creates a <video> in its own light DOM (Video.js styles are
+ * global and would not reach a shadow root), initializes it from its
+ * attributes and disposes the player when it leaves the page. Source
+ * attributes re-initialize the player; poster, muted, loop and autoplay
+ * are applied to the running player. Playback events are re-dispatched on
+ * the element as DOM events, since media events do not bubble out of it.
+ *
+ *   <ipfs-video cid="bafy..." path="/master.m3u8" gateway="https://dweb.link"
+ *               poster-cid="bafy.../poster.jpg" muted></ipfs-video>
+ */
+
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('element');
+
+// Custom elements only exist in browsers; importing this module elsewhere must not throw
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+/**
+ * Attributes applied to a running player instead of re-initializing it
+ */
+const LIVE_ATTRIBUTES = ['poster', 'poster-cid', 'autoplay', 'muted', 'loop'];
+
+/**
+ * Attributes that re-initialize the player when they change
+ */
+const SOURCE_ATTRIBUTES = ['src', 'cid', 'path', 'gateway', 'type', 'preload', 'config'];
+
+/**
+ * Player events re-dispatched on the element
+ */
+const FORWARDED_EVENTS = ['play', 'pause', 'playing', 'ended', 'timeupdate', 'volumechange'];
+
+/**
+ * Property accessor for a string attribute
+ * @param {string} name - Attribute name
+ * @returns {Object} Property descriptor
+ */
+function stringAttribute(name) {
+  return {
+    get() {
+      return this.getAttribute(name);
+    },
+    set(value) {
+      if (value === null || value === undefined) {
+        this.removeAttribute(name);
+      } else {
+        this.setAttribute(name, value);
+      }
+    },
+    configurable: true
+  };
+}
+
+/**
+ * Property accessor for a boolean attribute
+ * @param {string} name - Attribute name
+ * @returns {Object} Property descriptor
+ */
+function booleanAttribute(name) {
+  return {
+    get() {
+      return this.hasAttribute(name);
+    },
+    set(value) {
+      this.toggleAttribute(name, !!value);
+    },
+    configurable: true
+  };
+}
+
+/**
+ * <ipfs-video> element
+ */
+class IPFSVideoElement extends BaseElement {
+  /**
+   * IPFSHLSPlayer service the element initializes players with (set by define())
+   */
+  static service = null;
+
+  static get observedAttributes() {
+    return [...SOURCE_ATTRIBUTES, ...LIVE_ATTRIBUTES];
+  }
+
+  /**
+   * Register the element
+   * @param {Object} service - IPFSHLSPlayer
+   * @param {string} name - Tag name (default: 'ipfs-video')
+   * @returns {boolean} True if registered by this call
+   */
+  static define(service, name = 'ipfs-video') {
+    this.service = service;
+    if (typeof customElements === 'undefined' || customElements.get(name)) return false;
+
+    customElements.define(name, this);
+    return true;
+  }
+
+  constructor() {
+    super();
+    this.player_ = null;
+    this.video_ = null;
+    this.generation_ = 0;
+    this.initQueued_ = false;
+    this.unbind_ = null;
+  }
+
+  /**
+   * The player (Video.js or native wrapper), or null before it is ready
+   */
+  get player() {
+    return this.player_;
+  }
+
+  connectedCallback() {
+    // The player's container, so no extra wrapper is created around the video
+    this.classList.add('ipfs-video-container');
+    if (!this.player_ && !this.video_) {
+      this.scheduleInit();
+    }
+  }
+
+  disconnectedCallback() {
+    // Moving the element disconnects and reconnects it in the same task
+    queueMicrotask(() => {
+      if (!this.isConnected) this.teardown();
+    });
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue || !this.isConnected) return;
+
+    if (LIVE_ATTRIBUTES.includes(name) && this.player_) {
+      this.applyAttribute(name);
+    } else if (SOURCE_ATTRIBUTES.includes(name)) {
+      this.scheduleInit();
+    }
+  }
+
+  /**
+   * Initialize once per task, however many attributes changed
+   */
+  scheduleInit() {
+    if (this.initQueued_) return;
+    this.initQueued_ = true;
+
+    queueMicrotask(() => {
+      this.initQueued_ = false;
+      if (this.isConnected) this.initialize();
+    });
+  }
+
+  /**
+   * Build a gateway URL, on the element's gateway if it has one
+   * @param {string|Object} source - IPFS source
+   * @returns {string|null} URL, or null if the source is not IPFS
+   */
+  getURL(source) {
+    const gateway = this.getAttribute('gateway');
+    return IPFSVideoElement.service.getGatewayURL(source, gateway || undefined);
+  }
+
+  /**
+   * Read initializePlayer options from the attributes
+   * @returns {Object} Player options
+   */
+  getPlayerOptions() {
+    const cid = this.getAttribute('cid');
+    const path = this.getAttribute('path');
+    const src = this.getAttribute('src');
+    const options = {};
+
+    // An explicit gateway pins the source to it; otherwise the player picks one
+    const source = cid ? { cid, path: path || undefined } : src;
+    const pinned = source && this.hasAttribute('gateway') ? this.getURL(source) : null;
+    if (pinned) {
+      options.src = pinned;
+    } else if (cid) {
+      options.cid = cid;
+      if (path) options.path = path;
+    } else if (src) {
+      options.src = src;
+    }
+
+    if (this.hasAttribute('type')) options.type = this.getAttribute('type');
+    if (this.hasAttribute('preload')) options.preload = this.getAttribute('preload');
+
+    const poster = this.getPoster();
+    if (poster) options.poster = poster;
+    ['autoplay', 'muted', 'loop'].forEach(name => {
+      if (this.hasAttribute(name)) options[name] = true;
+    });
+
+    if (this.hasAttribute('config')) {
+      try {
+        options.config = JSON.parse(this.getAttribute('config'));
+      } catch (error) {
+        log.warn('Ignoring config attribute that is not valid JSON:', this.getAttribute('config'));
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Get the poster URL from poster or poster-cid
+   * @returns {string|null} Poster URL
+   */
+  getPoster() {
+    if (this.hasAttribute('poster')) return this.getAttribute('poster');
+
+    const posterCid = this.getAttribute('poster-cid');
+    return posterCid ? this.getURL(posterCid) : null;
+  }
+
+  /**
+   * Apply a live attribute to the running player
+   * @param {string} name - Attribute name
+   */
+  applyAttribute(name) {
+    const player = this.player_;
+
+    if (name === 'poster' || name === 'poster-cid') {
+      player.poster(this.getPoster() || '');
+    } else {
+      player[name](this.hasAttribute(name));
+    }
+  }
+
+  /**
+   * Create the player for the current attributes, replacing any previous one
+   */
+  async initialize() {
+    this.teardown();
+
+    const options = this.getPlayerOptions();
+    if (!options.src && !options.cid) return;
+
+    const generation = this.generation_;
+    const video = document.createElement('video');
+    video.setAttribute('playsinline', '');
+    this.appendChild(video);
+    this.video_ = video;
+
+    try {
+      const player = await IPFSVideoElement.service.initializePlayer(video, options);
+      if (generation !== this.generation_) {
+        // Replaced or removed while initializing
+        if (player) player.dispose();
+        return;
+      }
+      if (!player) return;
+
+      this.player_ = player;
+      this.bindEvents(player);
+      player.ready(() => {
+        if (this.player_ === player) this.dispatch('ready', { player });
+      });
+    } catch (error) {
+      if (generation !== this.generation_) return;
+      log.error('Player initialization failed:', error);
+      this.dispatch('error', { player: null, error });
+    }
+  }
+
+  /**
+   * Re-dispatch player events on the element
+   * @param {Player|NativePlayer} player - Player
+   */
+  bindEvents(player) {
+    const listeners = FORWARDED_EVENTS.map(type => {
+      const listener = (event) => this.dispatch(type, { player, event });
+      player.on(type, listener);
+      return [type, listener];
+    });
+
+    const onError = (event) => this.dispatch('error', { player, event, error: player.error() });
+    player.on('error', onError);
+    listeners.push(['error', onError]);
+
+    const levels = player.qualityLevels();
+    const onQualityChange = (event) => {
+      const level = levels[levels.selectedIndex] || null;
+      this.dispatch('qualitychange', { player, event, selectedIndex: levels.selectedIndex, level });
+    };
+    levels.on('change', onQualityChange);
+
+    this.unbind_ = () => {
+      if (player.isDisposed()) return;
+      listeners.forEach(([type, listener]) => player.off(type, listener));
+      levels.off('change', onQualityChange);
+    };
+  }
+
+  /**
+   * Dispatch a DOM event on the element
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   */
+  dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+  }
+
+  /**
+   * Dispose the player and remove its video
+   */
+  teardown() {
+    // Any initialization still running is now stale
+    this.generation_++;
+
+    if (this.unbind_) {
+      this.unbind_();
+      this.unbind_ = null;
+    }
+
+    const video = this.video_;
+    if (video) {
+      IPFSVideoElement.service.destroyPlayer(video);
+      // Video.js removes its own markup; a native player leaves the video
+      if (video.parentNode === this) this.removeChild(video);
+    }
+
+    this.video_ = null;
+    this.player_ = null;
+  }
+
+  /**
+   * Playback helpers
+   */
+
+  play() {
+    return this.player_ ? this.player_.play() : Promise.reject(new Error('IPFSHLSPlayer: player not ready'));
+  }
+
+  pause() {
+    if (this.player_) this.player_.pause();
+  }
+}
+
+// Attribute-backed properties (e.g. element.cid = 'bafy...', element.muted = true)
+Object.defineProperties(IPFSVideoElement.prototype, {
+  src: stringAttribute('src'),
+  cid: stringAttribute('cid'),
+  path: stringAttribute('path'),
+  gateway: stringAttribute('gateway'),
+  type: stringAttribute('type'),
+  preload: stringAttribute('preload'),
+  poster: stringAttribute('poster'),
+  posterCid: stringAttribute('poster-cid'),
+  autoplay: booleanAttribute('autoplay'),
+  muted: booleanAttribute('muted'),
+  loop: booleanAttribute('loop')
+});
+
+export default IPFSVideoElement;
+export { IPFSVideoElement };
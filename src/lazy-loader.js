@@ -0,0 +1,219 @@
+/**
+ * Lazy Loader for IPFS HLS Player
+ * Viewport-aware player creation with a cap on live players
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Feed pages can hold dozens of videos. Creating every player up front
+ * means a detection request per video and, with Video.js's preload,
+ * segment downloads for videos nobody scrolls to. In lazy mode a video
+ * only gets its player when it comes within `lazyRootMargin` of the
+ * viewport, players that scroll out of view are paused, and once
+ * `maxPlayers` players exist the least recently visible one is torn down
+ * to make room. A torn-down video is swapped for a fresh copy of its
+ * original markup (Video.js removes the element it replaced), which gets
+ * a new player if it comes back into view.
+ */
+
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('lazy');
+
+/**
+ * Lazy Loader
+ */
+class LazyLoader {
+  /**
+   * @param {Object} handlers - What to do with videos
+   * @param {Function} handlers.enhance - Called with (video, options), resolves to the player
+   * @param {Function} handlers.destroy - Called with a video whose player is torn down
+   */
+  constructor(handlers) {
+    this.enhance = handlers.enhance;
+    this.destroy = handlers.destroy;
+
+    // Video element -> { video, options, template, visible, lastVisible, player, loading }
+    this.records = new Map();
+    this.observer = null;
+    this.rootMargin = null;
+  }
+
+  /**
+   * Create the IntersectionObserver (again, if lazyRootMargin changed)
+   * @returns {IntersectionObserver} Observer
+   */
+  getObserver() {
+    const rootMargin = PlayerConfig.get().lazyRootMargin;
+    if (this.observer && this.rootMargin === rootMargin) return this.observer;
+
+    if (this.observer) this.observer.disconnect();
+    this.rootMargin = rootMargin;
+    this.observer = new IntersectionObserver(entries => this.onIntersection(entries), { rootMargin });
+    this.records.forEach(record => this.observer.observe(record.video));
+    return this.observer;
+  }
+
+  /**
+   * Create a player for a video once it nears the viewport
+   * @param {HTMLVideoElement} video - Video element
+   * @param {Object} options - Options for the enhance handler
+   */
+  observe(video, options = {}) {
+    if (this.records.has(video)) return;
+
+    this.records.set(video, {
+      video,
+      options,
+      // Taken before enhancement changes the element
+      template: video.cloneNode(true),
+      visible: false,
+      lastVisible: 0,
+      player: null,
+      loading: false
+    });
+    this.getObserver().observe(video);
+  }
+
+  /**
+   * Stop managing a video (its player, if any, is left alone)
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {boolean} True if the video was managed
+   */
+  unobserve(video) {
+    if (!this.records.delete(video)) return false;
+    if (this.observer) this.observer.unobserve(video);
+    return true;
+  }
+
+  /**
+   * Handle visibility changes
+   * @param {Array<IntersectionObserverEntry>} entries - Changed videos
+   */
+  onIntersection(entries) {
+    entries.forEach(entry => {
+      const record = this.records.get(entry.target);
+      if (!record) return;
+
+      // Removed from the page
+      if (!entry.target.isConnected) {
+        this.unobserve(entry.target);
+        if (record.player) this.destroy(entry.target);
+        return;
+      }
+
+      // Disposed by someone else: it gets a new player when next in view
+      if (record.player && record.player.isDisposed()) {
+        record.player = null;
+      }
+
+      if (entry.isIntersecting) {
+        record.visible = true;
+        record.lastVisible = Date.now();
+        if (!record.player && !record.loading) this.load(record);
+      } else if (record.visible) {
+        record.visible = false;
+        record.lastVisible = Date.now();
+        this.pause(record);
+      }
+    });
+  }
+
+  /**
+   * Create the player of a video, making room for it first
+   * @param {Object} record - Video record
+   */
+  async load(record) {
+    this.enforceLimit(record);
+    record.loading = true;
+
+    try {
+      const player = await this.enhance(record.video, record.options);
+      if (this.records.get(record.video) !== record) return;
+
+      record.player = player || null;
+      // Scrolled away again while the player was being created (autoplay)
+      if (!record.visible) this.pause(record);
+    } catch (error) {
+      log.error('Failed to enhance video near the viewport:', record.video.id || 'no-id', error);
+    } finally {
+      record.loading = false;
+    }
+  }
+
+  /**
+   * Pause a player that left the viewport
+   * @param {Object} record - Video record
+   */
+  pause(record) {
+    const player = record.player;
+    if (!player || player.isDisposed() || player.paused()) return;
+
+    log.debug('Pausing video out of view:', record.video.id || 'no-id');
+    player.pause();
+  }
+
+  /**
+   * Tear down the least recently visible players until there is room for one more
+   * Players in view are never torn down, so the limit can be exceeded while
+   * more than `maxPlayers` videos are visible at once.
+   * @param {Object} incoming - Record about to get a player
+   */
+  enforceLimit(incoming) {
+    const maxPlayers = PlayerConfig.get().maxPlayers;
+    if (!maxPlayers) return;
+
+    const live = Array.from(this.records.values())
+      .filter(record => record !== incoming && (record.player || record.loading));
+    const candidates = live
+      .filter(record => !record.visible && !record.loading)
+      .sort((a, b) => a.lastVisible - b.lastVisible);
+
+    let count = live.length;
+    while (count >= maxPlayers && candidates.length > 0) {
+      this.unload(candidates.shift());
+      count--;
+    }
+  }
+
+  /**
+   * Tear down a player and put a fresh copy of its video in its place
+   * @param {Object} record - Video record
+   */
+  unload(record) {
+    const { video, player, template, options } = record;
+    const anchor = player && !player.isNativePlayer ? player.el() : video;
+    const replacement = template.cloneNode(true);
+
+    log.debug('Tearing down least recently visible video:', video.id || 'no-id');
+
+    if (anchor.parentNode) {
+      anchor.parentNode.insertBefore(replacement, anchor);
+    }
+    this.unobserve(video);
+    this.destroy(video);
+    if (video.parentNode) video.parentNode.removeChild(video);
+
+    if (replacement.isConnected) {
+      this.observe(replacement, options);
+      // Keep its place in the eviction order until it is seen again
+      this.records.get(replacement).lastVisible = record.lastVisible;
+    }
+  }
+
+  /**
+   * Count the videos with a player
+   * @returns {number} Live players
+   */
+  getPlayerCount() {
+    let count = 0;
+    this.records.forEach(record => {
+      if (record.player && !record.player.isDisposed()) count++;
+    });
+    return count;
+  }
+}
+
+export default LazyLoader;
+export { LazyLoader };
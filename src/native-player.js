@@ -0,0 +1,611 @@
+/**
+ * Native Player Adapter for IPFS HLS Player
+ * Gives a native <video> element (Safari HLS) the Video.js player API
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Application code written against the Video.js player should work
+ * unchanged when Safari plays HLS natively. Getter/setter methods follow
+ * Video.js (call without an argument to read, with one to write), event
+ * handlers are called with the player as `this` and (event, hash)
+ * arguments, and WebKit-only fullscreen events are reported as the standard
+ * 'fullscreenchange'.
+ */
+
+import NativeQualityController, { NativeQualityLevelList } from './native-quality.js';
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('native');
+
+/**
+ * Build a getter/setter method for a media element property
+ * @param {string} property - HTMLMediaElement property
+ * @returns {Function} Video.js-style accessor
+ */
+function accessor(property) {
+  return function(value) {
+    if (value !== undefined) {
+      this.element_[property] = value;
+    }
+    return this.element_[property];
+  };
+}
+
+/**
+ * Native Player
+ */
+class NativePlayer {
+  /**
+   * @param {HTMLVideoElement} element - Configured native video element
+   * @param {Object} options - Player options
+   * @param {Object} settings - { hls: true to load renditions, verified }
+   */
+  constructor(element, options = {}, settings = {}) {
+    this.element_ = element;
+    this.options_ = options;
+    this.isReady_ = false;
+    this.readyQueue_ = [];
+    this.disposed_ = false;
+    this.hasStarted_ = false;
+    // Handler -> [{ type, listener }] so off() also finds one() handlers
+    this.listeners_ = new Map();
+
+    // Kept for code that still branches on it
+    this.isNativePlayer = true;
+    this.element = element;
+
+    // Native HLS exposes no renditions, so read them from the master playlist
+    this.quality_ = settings.hls && options.src
+      ? new NativeQualityController(element, options.src, {
+          verified: settings.verified,
+          menu: options.qualityMenu !== false
+        })
+      : null;
+    if (this.quality_) {
+      this.quality_.load();
+    }
+    this.emptyLevels_ = new NativeQualityLevelList();
+
+    // Control bar (native controls; only the quality menu is a component)
+    this.controlBar = {
+      getChild: (name) => this.getQualityMenuComponent(name),
+      show: () => {},
+      hide: () => {}
+    };
+
+    this.normalizeEvents();
+
+    // Like Video.js, the player becomes ready asynchronously after creation
+    setTimeout(() => {
+      if (this.disposed_) return;
+      this.isReady_ = true;
+      this.readyQueue_.splice(0).forEach(callback => callback.call(this));
+      this.trigger('ready');
+    }, 1);
+  }
+
+  /**
+   * Re-dispatch WebKit-only events under their standard names
+   */
+  normalizeEvents() {
+    const element = this.element_;
+
+    // iOS video fullscreen, and prefixed Safari without the standard event
+    this.onWebkitFullscreen_ = () => element.dispatchEvent(new Event('fullscreenchange'));
+    this.webkitFullscreenEvents_ = ['webkitbeginfullscreen', 'webkitendfullscreen'];
+    if (!('onfullscreenchange' in document)) {
+      this.webkitFullscreenEvents_.push('webkitfullscreenchange');
+    }
+    this.webkitFullscreenEvents_.forEach(type => element.addEventListener(type, this.onWebkitFullscreen_));
+
+    this.onPlaying_ = () => { this.hasStarted_ = true; };
+    element.addEventListener('playing', this.onPlaying_);
+  }
+
+  /**
+   * Events
+   */
+
+  /**
+   * Listen for an event
+   * @param {string|Array<string>} type - Event type(s)
+   * @param {Function} handler - Called with (event, hash) and the player as `this`
+   * @returns {NativePlayer} This player
+   */
+  on(type, handler) {
+    this.addListener(type, handler, false);
+    return this;
+  }
+
+  /**
+   * Listen for the next occurrence of an event
+   * @param {string|Array<string>} type - Event type(s)
+   * @param {Function} handler - Called with (event, hash) and the player as `this`
+   * @returns {NativePlayer} This player
+   */
+  one(type, handler) {
+    this.addListener(type, handler, true);
+    return this;
+  }
+
+  /**
+   * Stop listening
+   * off() removes everything, off(type) every handler for the type.
+   * @param {string|Array<string>} type - Event type(s)
+   * @param {Function} handler - Handler passed to on() or one()
+   * @returns {NativePlayer} This player
+   */
+  off(type, handler) {
+    const types = type === undefined ? null : [].concat(type);
+
+    this.listeners_.forEach((entries, registered) => {
+      if (handler && registered !== handler) return;
+
+      const remaining = entries.filter(entry => {
+        if (types && !types.includes(entry.type)) return true;
+        this.element_.removeEventListener(entry.type, entry.listener);
+        return false;
+      });
+
+      if (remaining.length > 0) {
+        this.listeners_.set(registered, remaining);
+      } else {
+        this.listeners_.delete(registered);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Add a normalized listener for on()/one()
+   * @param {string|Array<string>} type - Event type(s)
+   * @param {Function} handler - User handler
+   * @param {boolean} once - Remove after the first call
+   */
+  addListener(type, handler, once) {
+    [].concat(type).forEach(eventType => {
+      const entry = { type: eventType, listener: null };
+      entry.listener = event => {
+        if (once) this.removeEntry(handler, entry);
+        handler.call(this, this.normalizeEvent(event), event.detail);
+      };
+
+      const entries = this.listeners_.get(handler) || [];
+      entries.push(entry);
+      this.listeners_.set(handler, entries);
+      this.element_.addEventListener(eventType, entry.listener);
+    });
+  }
+
+  /**
+   * Remove one registration of a handler
+   * @param {Function} handler - User handler
+   * @param {Object} entry - { type, listener } registration
+   */
+  removeEntry(handler, entry) {
+    this.element_.removeEventListener(entry.type, entry.listener);
+
+    const remaining = (this.listeners_.get(handler) || []).filter(candidate => candidate !== entry);
+    if (remaining.length > 0) {
+      this.listeners_.set(handler, remaining);
+    } else {
+      this.listeners_.delete(handler);
+    }
+  }
+
+  /**
+   * Expose CustomEvent detail fields on the event itself
+   * Video.js events carry their data as properties (event.error), DOM
+   * CustomEvents (such as 'ipfsintegrityerror' on the element) in detail.
+   * @param {Event} event - DOM event
+   * @returns {Event} The same event
+   */
+  normalizeEvent(event) {
+    const detail = event.detail;
+    if (detail && typeof detail === 'object' && !Array.isArray(detail)) {
+      Object.keys(detail).forEach(key => {
+        if (!(key in event)) {
+          Object.defineProperty(event, key, { value: detail[key], configurable: true });
+        }
+      });
+    }
+    return event;
+  }
+
+  /**
+   * Fire an event on the player
+   * @param {string|Object} event - Event type or { type, ...properties }
+   * @param {Object} hash - Extra data, passed to handlers as the second argument
+   * @returns {NativePlayer} This player
+   */
+  trigger(event, hash) {
+    const { type, ...properties } = typeof event === 'string' ? { type: event } : event;
+    const customEvent = new CustomEvent(type, { detail: hash });
+    Object.keys(properties).forEach(key => {
+      Object.defineProperty(customEvent, key, { value: properties[key], enumerable: true });
+    });
+    this.element_.dispatchEvent(customEvent);
+    return this;
+  }
+
+  /**
+   * Run a callback once the player is ready (always asynchronous)
+   * @param {Function} callback - Called with the player as `this`
+   * @returns {NativePlayer} This player
+   */
+  ready(callback) {
+    if (!callback) return this;
+
+    if (this.isReady_) {
+      setTimeout(() => callback.call(this), 1);
+    } else {
+      this.readyQueue_.push(callback);
+    }
+    return this;
+  }
+
+  /**
+   * Playback
+   */
+
+  play() {
+    return this.element_.play();
+  }
+
+  pause() {
+    this.element_.pause();
+    return this;
+  }
+
+  paused() {
+    return this.element_.paused;
+  }
+
+  ended() {
+    return this.element_.ended;
+  }
+
+  seeking() {
+    return this.element_.seeking;
+  }
+
+  hasStarted() {
+    return this.hasStarted_;
+  }
+
+  duration() {
+    return this.element_.duration;
+  }
+
+  remainingTime() {
+    return this.element_.duration - this.element_.currentTime;
+  }
+
+  buffered() {
+    return this.element_.buffered;
+  }
+
+  bufferedEnd() {
+    const buffered = this.element_.buffered;
+    return buffered && buffered.length > 0 ? buffered.end(buffered.length - 1) : 0;
+  }
+
+  bufferedPercent() {
+    const duration = this.element_.duration;
+    return duration > 0 && Number.isFinite(duration) ? Math.min(this.bufferedEnd() / duration, 1) : 0;
+  }
+
+  seekable() {
+    return this.element_.seekable;
+  }
+
+  played() {
+    return this.element_.played;
+  }
+
+  readyState() {
+    return this.element_.readyState;
+  }
+
+  networkState() {
+    return this.element_.networkState;
+  }
+
+  videoWidth() {
+    return this.element_.videoWidth;
+  }
+
+  videoHeight() {
+    return this.element_.videoHeight;
+  }
+
+  /**
+   * Get the current media error
+   * @returns {Object|null} { code, message } like a Video.js MediaError
+   */
+  error() {
+    const error = this.element_.error;
+    return error ? { code: error.code, message: error.message || '' } : null;
+  }
+
+  /**
+   * Sources
+   */
+
+  /**
+   * Get or set the source
+   * @param {string|Object} source - URL or { src, type }
+   * @returns {string} Current source URL
+   */
+  src(source) {
+    if (source) {
+      this.element_.src = typeof source === 'string' ? source : source.src;
+      if (typeof source === 'object' && source.type) {
+        this.options_.type = source.type;
+      }
+    }
+    return this.element_.src;
+  }
+
+  currentSrc() {
+    return this.element_.currentSrc;
+  }
+
+  currentType() {
+    return this.options_.type || 'application/x-mpegURL';
+  }
+
+  load() {
+    this.element_.load();
+    return this;
+  }
+
+  /**
+   * Stop playback and clear the source
+   */
+  reset() {
+    this.element_.pause();
+    this.element_.removeAttribute('src');
+    this.element_.load();
+    return this;
+  }
+
+  /**
+   * Fullscreen
+   */
+
+  isFullscreen() {
+    return document.fullscreenElement === this.element_ ||
+           document.webkitFullscreenElement === this.element_ ||
+           !!this.element_.webkitDisplayingFullscreen;
+  }
+
+  supportsFullScreen() {
+    return !!(this.element_.requestFullscreen || this.element_.webkitRequestFullscreen ||
+              this.element_.webkitEnterFullscreen);
+  }
+
+  /**
+   * Enter fullscreen (iOS only supports fullscreen on the video itself)
+   * @returns {Promise<void>}
+   */
+  requestFullscreen() {
+    const element = this.element_;
+    if (element.requestFullscreen) return element.requestFullscreen();
+    if (element.webkitRequestFullscreen) return Promise.resolve(element.webkitRequestFullscreen());
+    if (element.webkitEnterFullscreen) return Promise.resolve(element.webkitEnterFullscreen());
+    return Promise.reject(new Error('Fullscreen is not supported'));
+  }
+
+  /**
+   * Leave fullscreen
+   * @returns {Promise<void>}
+   */
+  exitFullscreen() {
+    if (document.fullscreenElement && document.exitFullscreen) return document.exitFullscreen();
+    if (document.webkitFullscreenElement && document.webkitExitFullscreen) {
+      return Promise.resolve(document.webkitExitFullscreen());
+    }
+    if (this.element_.webkitExitFullscreen) return Promise.resolve(this.element_.webkitExitFullscreen());
+    return Promise.resolve();
+  }
+
+  /**
+   * Tracks
+   */
+
+  textTracks() {
+    return this.element_.textTracks;
+  }
+
+  remoteTextTracks() {
+    return this.element_.textTracks;
+  }
+
+  audioTracks() {
+    return this.element_.audioTracks || [];
+  }
+
+  videoTracks() {
+    return this.element_.videoTracks || [];
+  }
+
+  /**
+   * Add a <track> element
+   * @param {Object} options - { kind, src, srclang, label, default }
+   * @returns {HTMLTrackElement} Track element (its TextTrack is `.track`)
+   */
+  addRemoteTextTrack(options = {}) {
+    const track = document.createElement('track');
+    track.kind = options.kind || 'subtitles';
+    if (options.src) track.src = options.src;
+    if (options.srclang || options.language) track.srclang = options.srclang || options.language;
+    if (options.label) track.label = options.label;
+    if (options.default) track.default = true;
+    this.element_.appendChild(track);
+    return track;
+  }
+
+  /**
+   * Remove a track added with addRemoteTextTrack()
+   * @param {HTMLTrackElement|TextTrack} track - Track element or its TextTrack
+   */
+  removeRemoteTextTrack(track) {
+    const trackElement = [...this.element_.querySelectorAll('track')]
+      .find(candidate => candidate === track || candidate.track === track);
+    if (trackElement) trackElement.remove();
+  }
+
+  /**
+   * Quality levels
+   */
+
+  /**
+   * Get renditions parsed from the master playlist
+   * @returns {NativeQualityLevelList} Video.js-compatible quality level list
+   */
+  qualityLevels() {
+    return this.quality_ ? this.quality_.levels : this.emptyLevels_;
+  }
+
+  /**
+   * Select a quality by short-side pixels (e.g. 720) or 'auto'
+   * @param {number|string} quality - Quality to play
+   */
+  setQuality(quality) {
+    if (this.quality_) this.quality_.setQuality(quality);
+  }
+
+  /**
+   * Get the quality menu as a minimal component
+   * @param {string} name - Child name ('qualitySelector')
+   * @returns {Object|null} { el, show, hide } or null
+   */
+  getQualityMenuComponent(name) {
+    if (!this.quality_ || !this.quality_.menu || !/^qualitySelector$/i.test(name)) return null;
+
+    const root = this.quality_.menu.root;
+    return {
+      el: () => root,
+      show: () => { root.hidden = false; },
+      hide: () => { root.hidden = true; }
+    };
+  }
+
+  /**
+   * Element and component helpers
+   */
+
+  el() {
+    return this.element_;
+  }
+
+  id() {
+    return this.element_.id;
+  }
+
+  /**
+   * Get the playback tech (the element itself plays natively)
+   * @returns {Object} { name, el() }
+   */
+  tech() {
+    return { name: 'Html5', el: () => this.element_ };
+  }
+
+  addClass(className) {
+    this.element_.classList.add(className);
+    return this;
+  }
+
+  removeClass(className) {
+    this.element_.classList.remove(className);
+    return this;
+  }
+
+  hasClass(className) {
+    return this.element_.classList.contains(className);
+  }
+
+  toggleClass(className, force) {
+    this.element_.classList.toggle(className, force);
+    return this;
+  }
+
+  width(value) {
+    if (value !== undefined) this.element_.style.width = typeof value === 'number' ? `${value}px` : value;
+    return this.element_.offsetWidth;
+  }
+
+  height(value) {
+    if (value !== undefined) this.element_.style.height = typeof value === 'number' ? `${value}px` : value;
+    return this.element_.offsetHeight;
+  }
+
+  isDisposed() {
+    return this.disposed_;
+  }
+
+  /**
+   * Stop playback, remove listeners and release the element
+   */
+  dispose() {
+    if (this.disposed_) return;
+
+    const config = PlayerConfig.of(this.element);
+    const playerLog = log.with(PlayerConfig.logContext(this.element));
+    this.trigger('dispose');
+    this.disposed_ = true;
+
+    // Get fresh element reference by ID to avoid stale closure issues
+    const element = this.element_;
+    const currentElement = element.id ? document.getElementById(element.id) : element;
+
+    playerLog.debug('Disposing native player, element check:', {
+      hasId: !!element.id,
+      foundById: !!currentElement,
+      tagName: currentElement?.tagName,
+      isSameElement: currentElement === element
+    });
+
+    if (this.quality_) {
+      this.quality_.dispose();
+    }
+
+    this.off();
+    this.webkitFullscreenEvents_.forEach(type => element.removeEventListener(type, this.onWebkitFullscreen_));
+    element.removeEventListener('playing', this.onPlaying_);
+
+    // Check if element is still a valid video element
+    if (currentElement && currentElement.tagName === 'VIDEO') {
+      currentElement.src = '';
+      if (typeof currentElement.load === 'function') {
+        currentElement.load();
+      }
+      delete currentElement._ipfsHLSPlayer;
+      currentElement.dataset.ipfsEnhanced = 'false';
+    } else if (config.debug) {
+      playerLog.warn('Cannot dispose - element is not a valid VIDEO element');
+    }
+  }
+}
+
+// Plain property accessors
+Object.assign(NativePlayer.prototype, {
+  currentTime: accessor('currentTime'),
+  volume: accessor('volume'),
+  muted: accessor('muted'),
+  playbackRate: accessor('playbackRate'),
+  defaultPlaybackRate: accessor('defaultPlaybackRate'),
+  poster: accessor('poster'),
+  autoplay: accessor('autoplay'),
+  loop: accessor('loop'),
+  preload: accessor('preload'),
+  controls: accessor('controls'),
+  playsinline: accessor('playsInline'),
+  crossOrigin: accessor('crossOrigin')
+});
+
+export default NativePlayer;
+export { NativePlayer };
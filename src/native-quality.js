@@ -0,0 +1,366 @@
+/**
+ * Native Quality Levels for IPFS HLS Player
+ * Rendition list, manual switching and a quality menu for native (Safari) HLS
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Native HLS playback exposes no renditions, so the master playlist is
+ * parsed here instead. The level list mirrors the Video.js qualityLevels()
+ * API (indexed access, `enabled` flags, change events). Picking a single
+ * level loads that variant playlist directly; enabling every level goes
+ * back to the master playlist and the browser's own adaptive switching.
+ */
+
+import PlaylistRewriter from './playlist-rewriter.js';
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('quality');
+
+/**
+ * One rendition, shaped like a Video.js QualityLevel
+ */
+class NativeQualityLevel {
+  /**
+   * @param {Object} representation - { id, label, width, height, bitrate, uri }
+   * @param {Function} onToggle - Called when `enabled` changes
+   */
+  constructor(representation, onToggle) {
+    Object.assign(this, representation);
+    this.enabled_ = true;
+    this.onToggle_ = onToggle;
+  }
+
+  get enabled() {
+    return this.enabled_;
+  }
+
+  set enabled(enable) {
+    if (this.enabled_ === !!enable) return;
+    this.enabled_ = !!enable;
+    this.onToggle_();
+  }
+}
+
+/**
+ * Level list, shaped like a Video.js QualityLevelList
+ * Levels are readable as list[index]; events are 'addqualitylevel',
+ * 'removequalitylevel' and 'change'.
+ */
+class NativeQualityLevelList extends EventTarget {
+  constructor() {
+    super();
+    this.levels_ = [];
+    this.selectedIndex_ = -1;
+    this.handlers_ = new Map();
+  }
+
+  get length() {
+    return this.levels_.length;
+  }
+
+  get selectedIndex() {
+    return this.selectedIndex_;
+  }
+
+  /**
+   * Add a rendition
+   * @param {Object} representation - { id, label, width, height, bitrate, uri }
+   * @param {Function} onToggle - Called when the level's `enabled` changes
+   * @returns {NativeQualityLevel} Added level
+   */
+  addQualityLevel(representation, onToggle) {
+    const level = new NativeQualityLevel(representation, onToggle);
+    const index = this.levels_.length;
+    this.levels_.push(level);
+
+    Object.defineProperty(this, index, {
+      get: () => this.levels_[index],
+      configurable: true
+    });
+
+    this.trigger({ type: 'addqualitylevel', qualityLevel: level });
+    return level;
+  }
+
+  /**
+   * Remove every rendition
+   */
+  clear() {
+    this.levels_.forEach((level, index) => {
+      delete this[index];
+      this.trigger({ type: 'removequalitylevel', qualityLevel: level });
+    });
+    this.levels_ = [];
+    this.selectedIndex_ = -1;
+  }
+
+  getQualityLevelById(id) {
+    return this.levels_.find(level => level.id === id) || null;
+  }
+
+  on(type, handler) {
+    this.addEventListener(type, handler);
+  }
+
+  off(type, handler) {
+    this.removeEventListener(type, handler);
+    const wrapped = this.handlers_.get(handler);
+    if (wrapped) {
+      this.removeEventListener(type, wrapped);
+      this.handlers_.delete(handler);
+    }
+  }
+
+  one(type, handler) {
+    const wrapped = event => {
+      this.handlers_.delete(handler);
+      handler(event);
+    };
+    this.handlers_.set(handler, wrapped);
+    this.addEventListener(type, wrapped, { once: true });
+  }
+
+  /**
+   * Dispatch an event
+   * @param {string|Object} event - Event type or { type, ...properties }
+   */
+  trigger(event) {
+    const { type, ...properties } = typeof event === 'string' ? { type: event } : event;
+    this.dispatchEvent(Object.assign(new Event(type), properties));
+  }
+}
+
+/**
+ * Native Quality Controller
+ * Loads renditions for a native video element, switches between them and
+ * draws the quality menu
+ */
+class NativeQualityController {
+  /**
+   * @param {HTMLVideoElement} element - Native video element
+   * @param {string} src - Master playlist URL the element was given
+   * @param {Object} options - { verified, menu: false to skip the menu UI }
+   */
+  constructor(element, src, options = {}) {
+    this.element = element;
+    this.masterSrc = src;
+    this.currentSrc = src;
+    this.options = options;
+    this.levels = new NativeQualityLevelList();
+    this.menu = null;
+    this.switchPending = false;
+  }
+
+  /**
+   * Load renditions from the master playlist
+   * @returns {Promise<NativeQualityLevelList>} Level list (empty for media playlists)
+   */
+  async load() {
+    const playerLog = log.with(PlayerConfig.logContext(this.element));
+
+    try {
+      const main = await PlaylistRewriter.fetchPlaylist(this.masterSrc, { verified: this.options.verified });
+      if (!PlaylistRewriter.isPlaylist(main.text) || !PlaylistRewriter.isMaster(main.text)) {
+        return this.levels;
+      }
+
+      const master = PlaylistRewriter.rewrite(main.text, main.url, main.gateway);
+      PlaylistRewriter.parseVariants(master).forEach((variant, index) => {
+        // Same label rule as hlsQualitySelector: the short side in pixels
+        const pixels = variant.width > variant.height ? variant.height : variant.width;
+        this.levels.addQualityLevel({
+          id: String(index),
+          label: pixels ? `${pixels}p` : `${Math.round(variant.bandwidth / 1000)}k`,
+          width: variant.width,
+          height: variant.height,
+          bitrate: variant.bandwidth,
+          uri: variant.uri
+        }, () => this.scheduleSwitch());
+      });
+
+      playerLog.debug(`Native quality levels loaded: ${this.levels.length}`);
+
+      if (this.options.menu !== false && this.levels.length > 1) {
+        this.createMenu();
+      }
+    } catch (error) {
+      playerLog.warn('Could not load native quality levels:', error);
+    }
+
+    return this.levels;
+  }
+
+  /**
+   * Apply `enabled` changes once the caller has finished toggling levels
+   */
+  scheduleSwitch() {
+    if (this.switchPending) return;
+    this.switchPending = true;
+
+    Promise.resolve().then(() => {
+      this.switchPending = false;
+      this.applySelection();
+    });
+  }
+
+  /**
+   * Load the playlist matching the enabled levels
+   * All enabled: master playlist (adaptive). Otherwise the highest enabled
+   * level, as native playback cannot be limited to a subset.
+   */
+  applySelection() {
+    const levels = this.levels.levels_;
+    const enabled = levels.filter(level => level.enabled);
+    if (enabled.length === 0) return;
+
+    const target = enabled.length === levels.length
+      ? null
+      : enabled.reduce((best, level) => (level.bitrate > best.bitrate ? level : best));
+
+    this.levels.selectedIndex_ = target ? levels.indexOf(target) : -1;
+    this.switchTo(target ? target.uri : this.masterSrc);
+    this.updateMenu();
+    this.levels.trigger({ type: 'change', selectedIndex: this.levels.selectedIndex_ });
+  }
+
+  /**
+   * Select a quality by its short-side pixel count, or 'auto'
+   * @param {number|string} quality - e.g. 720 or 'auto'
+   */
+  setQuality(quality) {
+    this.levels.levels_.forEach(level => {
+      const pixels = level.width > level.height ? level.height : level.width;
+      level.enabled = quality === 'auto' || pixels === quality || level.label === quality;
+    });
+  }
+
+  /**
+   * Swap the element to another playlist, keeping position and playback state
+   * @param {string} uri - Playlist URL
+   */
+  switchTo(uri) {
+    if (uri === this.currentSrc) return;
+
+    const element = this.element;
+    const state = {
+      currentTime: element.currentTime,
+      paused: element.paused,
+      volume: element.volume,
+      muted: element.muted,
+      playbackRate: element.playbackRate
+    };
+
+    this.currentSrc = uri;
+    element.src = uri;
+    element.load();
+
+    element.addEventListener('loadedmetadata', () => {
+      element.currentTime = state.currentTime;
+      element.volume = state.volume;
+      element.muted = state.muted;
+      element.playbackRate = state.playbackRate;
+      if (!state.paused) {
+        element.play().catch(() => {});
+      }
+    }, { once: true });
+
+    log.with(PlayerConfig.logContext(this.element)).debug('Native quality switched to:', uri, 'at', state.currentTime);
+  }
+
+  /**
+   * Build the quality menu next to the element
+   * Uses the same labels, order (lowest first, Auto last) and menu item
+   * classes as the hlsQualitySelector plugin.
+   */
+  createMenu() {
+    const parent = this.element.parentNode;
+    if (!parent) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'ipfs-native-quality vjs-quality-selector';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ipfs-native-quality-button';
+    button.setAttribute('aria-haspopup', 'true');
+    button.setAttribute('aria-expanded', 'false');
+    button.title = 'Quality';
+
+    const list = document.createElement('ul');
+    list.className = 'ipfs-native-quality-menu vjs-menu-content';
+    list.setAttribute('role', 'menu');
+    list.hidden = true;
+
+    const toggle = open => {
+      list.hidden = !open;
+      button.setAttribute('aria-expanded', String(open));
+    };
+    button.addEventListener('click', () => toggle(list.hidden));
+
+    const items = [];
+    const seen = new Set();
+    [...this.levels.levels_]
+      .sort((a, b) => a.bitrate - b.bitrate)
+      .forEach(level => {
+        if (seen.has(level.label)) return;
+        seen.add(level.label);
+        items.push({ label: level.label, value: level.label });
+      });
+    items.push({ label: 'Auto', value: 'auto' });
+
+    items.forEach(item => {
+      const li = document.createElement('li');
+      li.className = 'vjs-menu-item';
+      li.setAttribute('role', 'menuitemradio');
+      li.tabIndex = -1;
+      li.textContent = item.label;
+      li.dataset.value = item.value;
+      li.addEventListener('click', () => {
+        this.setQuality(item.value);
+        toggle(false);
+      });
+      list.appendChild(li);
+    });
+
+    menu.appendChild(button);
+    menu.appendChild(list);
+    parent.classList.add('ipfs-native-quality-host');
+    parent.insertBefore(menu, this.element.nextSibling);
+
+    this.menu = { root: menu, button, list };
+    this.updateMenu();
+  }
+
+  /**
+   * Reflect the current selection in the menu
+   */
+  updateMenu() {
+    if (!this.menu) return;
+
+    const selected = this.levels.levels_[this.levels.selectedIndex_];
+    const value = selected ? selected.label : 'auto';
+
+    this.menu.button.textContent = selected ? selected.label : 'Auto';
+    this.menu.list.querySelectorAll('.vjs-menu-item').forEach(item => {
+      const isSelected = item.dataset.value === value;
+      item.classList.toggle('vjs-selected', isSelected);
+      item.setAttribute('aria-checked', String(isSelected));
+    });
+  }
+
+  /**
+   * Remove the menu and forget the levels
+   */
+  dispose() {
+    if (this.menu) {
+      this.menu.root.remove();
+      this.menu = null;
+    }
+    this.levels.clear();
+  }
+}
+
+export default NativeQualityController;
+export { NativeQualityController, NativeQualityLevelList, NativeQualityLevel };
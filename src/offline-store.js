@@ -0,0 +1,445 @@
+/**
+ * Offline Store for IPFS HLS Player
+ * Downloads one rendition of an HLS stream into IndexedDB for offline viewing
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * A download picks one variant from the master playlist, then stores its
+ * media playlist and every resource it references (segments, init segments,
+ * keys) keyed by the source CID. Playing the stored copy rebuilds the media
+ * playlist with blob: URLs, so no request leaves the browser.
+ */
+
+import GatewayFailover from './gateway-failover.js';
+import IPFSResolver from './ipfs-resolver.js';
+import PlaylistRewriter from './playlist-rewriter.js';
+import VerifiedFetch from './verified-fetch.js';
+import CID from './utils/cid.js';
+import IDBStore from './utils/idb.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('offline');
+
+/**
+ * A running download
+ * Dispatches 'progress', 'pause', 'resume', 'complete', 'cancel' and
+ * 'error' events; event.detail holds the current progress.
+ */
+class OfflineDownload extends EventTarget {
+  /**
+   * @param {string|Object} src - IPFS source of the master (or media) playlist
+   * @param {Object} options - Download options (see OfflineStore.download)
+   */
+  constructor(src, options = {}) {
+    super();
+    this.src = src;
+    this.options = options;
+    this.key = OfflineStore.getKey(src);
+    this.state = 'pending';
+    this.progress = { loaded: 0, total: 0, bytes: 0, percent: 0 };
+    this.controller = null;
+    this.resumeWaiter = null;
+
+    if (typeof options.onProgress === 'function') {
+      this.addEventListener('progress', event => options.onProgress(event.detail));
+    }
+
+    // Settles when the download completes, fails or is cancelled. Started
+    // after the constructor returns, so listeners the caller adds straight
+    // away see every event, including an error for an invalid source
+    this.done = Promise.resolve().then(() => this.run());
+    // Callers that only use events should not see unhandled rejections
+    this.done.catch(() => {});
+  }
+
+  /**
+   * Dispatch an event with the current progress as detail
+   * @param {string} type - Event type
+   * @param {Object} extra - Additional detail fields
+   */
+  emit(type, extra = {}) {
+    this.dispatchEvent(new CustomEvent(type, { detail: { ...this.progress, ...extra } }));
+  }
+
+  /**
+   * Pause after the resource currently downloading
+   */
+  pause() {
+    if (this.state !== 'downloading') return;
+    this.state = 'paused';
+    this.emit('pause');
+  }
+
+  /**
+   * Continue a paused download
+   */
+  resume() {
+    if (this.state !== 'paused') return;
+    this.state = 'downloading';
+    this.emit('resume');
+    if (this.resumeWaiter) this.resumeWaiter();
+  }
+
+  /**
+   * Stop the download and delete everything stored for it
+   */
+  cancel() {
+    if (['complete', 'cancelled', 'error'].includes(this.state)) return;
+    this.state = 'cancelled';
+    if (this.controller) this.controller.abort();
+    if (this.resumeWaiter) this.resumeWaiter();
+  }
+
+  /**
+   * Wait while the download is paused
+   * @returns {Promise<void>}
+   */
+  async waitIfPaused() {
+    while (this.state === 'paused') {
+      await new Promise(resolve => { this.resumeWaiter = resolve; });
+      this.resumeWaiter = null;
+    }
+  }
+
+  /**
+   * Throw if the download was cancelled
+   */
+  checkCancelled() {
+    if (this.state === 'cancelled') {
+      const error = new Error('Offline download cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Download loop
+   * @returns {Promise<Object>} Stored video record (without playlist text)
+   */
+  async run() {
+    try {
+      if (!this.key) {
+        throw new Error(`Only immutable /ipfs/ content can be saved for offline: ${JSON.stringify(this.src)}`);
+      }
+      if (!IDBStore.isSupported()) {
+        throw new Error('IndexedDB is not available, cannot save for offline');
+      }
+
+      this.state = 'downloading';
+      this.controller = new AbortController();
+      await OfflineStore.requestPersistence();
+
+      const record = await OfflineStore.prepare(this.key, this.src, this.options, this.controller.signal);
+      this.progress.total = record.resources.length;
+      this.progress.bytes = record.bytes;
+
+      for (let index = 0; index < record.resources.length; index++) {
+        await this.waitIfPaused();
+        this.checkCancelled();
+
+        const segmentKey = `${this.key}#${index}`;
+        const existing = await OfflineStore.db.get('segments', segmentKey);
+        if (!existing) {
+          const data = await OfflineStore.fetchResource(record.resources[index], this.options, this.controller.signal);
+          this.checkCancelled();
+          await OfflineStore.db.put('segments', { key: segmentKey, video: this.key, data });
+          record.bytes += data.size;
+        }
+
+        record.downloaded = index + 1;
+        await OfflineStore.db.put('videos', record);
+
+        this.progress = {
+          loaded: index + 1,
+          total: record.resources.length,
+          bytes: record.bytes,
+          percent: Math.round(((index + 1) / record.resources.length) * 100)
+        };
+        this.emit('progress');
+      }
+
+      record.complete = true;
+      await OfflineStore.db.put('videos', record);
+      this.state = 'complete';
+
+      log.debug('Saved for offline:', this.key, record.bytes, 'bytes');
+
+      this.emit('complete');
+      return OfflineStore.summarize(record);
+    } catch (error) {
+      if (this.state === 'cancelled') {
+        await OfflineStore.delete(this.key).catch(() => {});
+        this.emit('cancel');
+      } else {
+        this.state = 'error';
+        log.error('Offline download failed:', error);
+        this.emit('error', { error });
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Offline Store Service
+ */
+class OfflineStore {
+  /**
+   * Videos are keyed by CID (+ path), segments by `${videoKey}#${index}`
+   */
+  static db = new IDBStore('ipfs-hls-player-offline', { videos: 'key', segments: 'key' });
+
+  /**
+   * Get the storage key for a source
+   * CIDs are normalized to v1 so v0 and v1 URLs find the same copy.
+   * @param {string|Object} src - IPFS source in any supported form
+   * @returns {string|null} Key, or null for non-IPFS and IPNS sources
+   */
+  static getKey(src) {
+    const resolved = IPFSResolver.resolve(src);
+    if (!resolved || resolved.namespace !== 'ipfs') return null;
+    return CID.toV1(resolved.cid) + resolved.path.split('?')[0];
+  }
+
+  /**
+   * Start downloading a source for offline playback
+   * Calling this again for a partly downloaded source continues where it stopped.
+   * @param {string|Object} src - IPFS source of the master (or media) playlist
+   * @param {Object} options - Download options
+   * @param {number|string} options.quality - 'highest' (default), 'lowest', or a
+   *   target height such as 720 / '720p' (best variant at or below it)
+   * @param {boolean} options.verified - Verify everything against its CID
+   * @param {Function} options.onProgress - Called with { loaded, total, bytes, percent }
+   * @returns {OfflineDownload} Running download
+   */
+  static download(src, options = {}) {
+    return new OfflineDownload(src, options);
+  }
+
+  /**
+   * Ask the browser not to evict stored videos under storage pressure
+   * @returns {Promise<boolean>} True if storage is persistent
+   */
+  static async requestPersistence() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) return false;
+    try {
+      return await navigator.storage.persist();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Pick the variant to download
+   * @param {Array<Object>} variants - Result of PlaylistRewriter.parseVariants()
+   * @param {number|string} quality - 'highest', 'lowest' or a target height
+   * @returns {Object} Chosen variant
+   */
+  static selectVariant(variants, quality = 'highest') {
+    const byBandwidth = [...variants].sort((a, b) => a.bandwidth - b.bandwidth);
+    if (quality === 'lowest') return byBandwidth[0];
+
+    const target = parseInt(quality, 10);
+    if (Number.isNaN(target)) return byBandwidth[byBandwidth.length - 1];
+
+    const fitting = byBandwidth.filter(variant => variant.height && variant.height <= target);
+    return fitting.length > 0 ? fitting[fitting.length - 1] : byBandwidth[0];
+  }
+
+  /**
+   * Fetch one resource with gateway failover (and verification, if enabled)
+   * @param {string} url - Resource URL
+   * @param {Object} options - { verified }
+   * @param {AbortSignal} signal - Cancellation signal
+   * @returns {Promise<Blob>} Resource data
+   */
+  static async fetchResource(url, options, signal) {
+    if (options.verified && VerifiedFetch.getVerifiableSource(url)) {
+      return new Blob([await VerifiedFetch.fetch(url, { signal })]);
+    }
+
+    const { response, url: served } = await GatewayFailover.fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`Download failed with status ${response.status}: ${served}`);
+    }
+    return response.blob();
+  }
+
+  /**
+   * Load or create the record for a download
+   * Fetches the playlists for new downloads; a partial download keeps
+   * the rendition and resource list it started with.
+   * @param {string} key - Storage key
+   * @param {string|Object} src - IPFS source
+   * @param {Object} options - { quality, verified }
+   * @param {AbortSignal} signal - Cancellation signal
+   * @returns {Promise<Object>} Video record
+   */
+  static async prepare(key, src, options, signal) {
+    const existing = await this.db.get('videos', key);
+    if (existing) return existing;
+
+    const playlistOptions = { verified: options.verified };
+    const main = await PlaylistRewriter.fetchPlaylist(IPFSResolver.toURL(src), playlistOptions);
+    if (!PlaylistRewriter.isPlaylist(main.text)) {
+      throw new Error('Source is not an HLS playlist');
+    }
+
+    let quality = null;
+    let media = main;
+    if (PlaylistRewriter.isMaster(main.text)) {
+      const master = PlaylistRewriter.rewrite(main.text, main.url, main.gateway);
+      quality = this.selectVariant(PlaylistRewriter.parseVariants(master), options.quality);
+      media = await PlaylistRewriter.fetchPlaylist(quality.uri, playlistOptions);
+    }
+    if (signal.aborted) throw new Error('Offline download cancelled');
+
+    // Every URI in the media playlist, made absolute on the serving gateway
+    const playlist = PlaylistRewriter.rewrite(media.text, media.url, media.gateway);
+    const resources = [...new Set(PlaylistRewriter.getURIs(playlist).map(({ uri }) => uri))];
+
+    const record = {
+      key,
+      src: typeof src === 'string' ? src : IPFSResolver.toURL(src),
+      quality,
+      playlist,
+      resources,
+      downloaded: 0,
+      bytes: 0,
+      complete: false,
+      createdAt: Date.now()
+    };
+    await this.db.put('videos', record);
+    return record;
+  }
+
+  /**
+   * Strip the bulky fields from a record for listing
+   * @param {Object} record - Video record
+   * @returns {Object} { key, src, quality, downloaded, total, bytes, complete, createdAt }
+   */
+  static summarize(record) {
+    const { key, src, quality, downloaded, bytes, complete, createdAt } = record;
+    return { key, src, quality, downloaded, total: record.resources.length, bytes, complete, createdAt };
+  }
+
+  /**
+   * Check whether anything may be stored, without opening the database
+   * Opening it would create it, on every page that plays IPFS content.
+   * @returns {Promise<boolean>} False only if the database certainly does not exist
+   */
+  static async mayHaveCopies() {
+    if (!IDBStore.isSupported()) return false;
+    if (typeof indexedDB.databases !== 'function') return true;
+
+    try {
+      const databases = await indexedDB.databases();
+      return databases.some(database => database.name === this.db.name);
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * List stored videos (complete and partial)
+   * @returns {Promise<Array<Object>>} Summaries, newest first
+   */
+  static async list() {
+    if (!(await this.mayHaveCopies())) return [];
+    const records = await this.db.getAll('videos');
+    return records.map(record => this.summarize(record)).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Check if a complete offline copy exists
+   * @param {string|Object} src - IPFS source
+   * @returns {Promise<boolean>} True if it can be played offline
+   */
+  static async has(src) {
+    const key = this.getKey(src);
+    if (!key || !(await this.mayHaveCopies())) return false;
+    const record = await this.db.get('videos', key);
+    return !!(record && record.complete);
+  }
+
+  /**
+   * Delete a stored video and its segments
+   * @param {string|Object} src - IPFS source or storage key
+   * @returns {Promise<boolean>} True if something was deleted
+   */
+  static async delete(src) {
+    const key = this.getKey(src) || src;
+    const record = await this.db.get('videos', key);
+    if (!record) return false;
+
+    for (let index = 0; index < record.resources.length; index++) {
+      await this.db.delete('segments', `${key}#${index}`);
+    }
+    await this.db.delete('videos', key);
+    return true;
+  }
+
+  /**
+   * Report storage usage and quota for this origin
+   * @returns {Promise<Object>} { usage, quota, available, videos, bytes }
+   */
+  static async getQuota() {
+    const videos = await this.list();
+    const estimate = typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate
+      ? await navigator.storage.estimate()
+      : {};
+
+    return {
+      usage: estimate.usage ?? null,
+      quota: estimate.quota ?? null,
+      available: estimate.quota != null && estimate.usage != null ? estimate.quota - estimate.usage : null,
+      videos: videos.length,
+      bytes: videos.reduce((sum, video) => sum + video.bytes, 0)
+    };
+  }
+
+  /**
+   * Build a playable source from a complete offline copy
+   * @param {string|Object} src - IPFS source
+   * @returns {Promise<Object|null>} { url, type, revoke } with a blob: playlist
+   *   URL, or null if no complete copy is stored
+   */
+  static async getPlayableSource(src) {
+    const key = this.getKey(src);
+    if (!key || !(await this.mayHaveCopies())) return null;
+
+    const urls = new Map();
+    const revokeSegments = () => urls.forEach(blobURL => URL.revokeObjectURL(blobURL));
+
+    try {
+      const record = await this.db.get('videos', key);
+      if (!record || !record.complete) return null;
+
+      for (let index = 0; index < record.resources.length; index++) {
+        const segment = await this.db.get('segments', `${key}#${index}`);
+        if (!segment) {
+          revokeSegments();
+          return null;
+        }
+        urls.set(record.resources[index], URL.createObjectURL(segment.data));
+      }
+
+      const playlist = PlaylistRewriter.mapURIs(record.playlist, uri => urls.get(uri) || uri);
+      const url = URL.createObjectURL(new Blob([playlist], { type: PlaylistRewriter.MIME_TYPE }));
+
+      return {
+        url,
+        type: PlaylistRewriter.MIME_TYPE,
+        revoke: () => [url, ...urls.values()].forEach(blobURL => URL.revokeObjectURL(blobURL))
+      };
+    } catch (error) {
+      revokeSegments();
+      log.warn('Could not read offline copy:', error);
+      return null;
+    }
+  }
+}
+
+export default OfflineStore;
+export { OfflineStore, OfflineDownload };
@@ -0,0 +1,249 @@
+/**
+ * Player Configuration for IPFS HLS Player
+ * Validated global defaults with per-player overrides
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Settings come from three layers, later ones winning:
+ * 1. Schema defaults
+ * 2. window.ipfsHLSPlayerConfig (still supported) and IPFSHLSPlayer.configure()
+ * 3. Per-player overrides passed to initializePlayer as `options.config`
+ *
+ * Every layer is checked against the schema: unknown keys (usually typos)
+ * and values of the wrong type are reported and ignored instead of silently
+ * doing nothing. Settings that are shared by every player on the page
+ * (gateway list, caches) can only be set globally.
+ */
+
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('config');
+
+/**
+ * Configuration schema
+ * `scope` is 'player' for settings a player can override, 'global' for
+ * settings shared by the whole page.
+ */
+const SCHEMA = {
+  debug: { type: 'boolean', default: false, scope: 'player' },
+  enableStaticEnhancement: { type: 'boolean', default: true, scope: 'global' },
+  observeVideos: { type: 'boolean', default: false, scope: 'global' },
+  lazy: { type: 'boolean', default: false, scope: 'global' },
+  lazyRootMargin: { type: 'string', default: '200px', scope: 'global' },
+  maxPlayers: { type: 'number', default: 0, scope: 'global' },
+  gateways: { type: 'array', default: null, scope: 'global' },
+  gatewayFailover: { type: 'boolean', default: true, scope: 'player' },
+  gatewayRacing: { type: 'boolean', default: true, scope: 'player' },
+  gatewayProbeTimeout: { type: 'number', default: 5000, scope: 'global' },
+  gatewayRetargeting: { type: 'boolean', default: true, scope: 'global' },
+  verified: { type: 'boolean', default: false, scope: 'player' },
+  rewritePlaylists: { type: 'boolean', default: true, scope: 'player' },
+  offlinePlayback: { type: 'boolean', default: true, scope: 'player' },
+  detectionCache: { type: 'boolean', default: true, scope: 'global' },
+  detectionTimeout: { type: 'number', default: 8000, scope: 'player' },
+  qoe: { type: 'boolean', default: true, scope: 'player' },
+  qoeEndpoint: { type: 'string', default: null, scope: 'global' },
+  statsOverlay: { type: 'boolean', default: true, scope: 'player' },
+  statsContextMenu: { type: 'boolean', default: false, scope: 'player' }
+};
+
+/**
+ * Player Configuration Service
+ */
+class PlayerConfig {
+  /**
+   * Configuration schema (read-only)
+   */
+  static SCHEMA = SCHEMA;
+
+  // Settings from configure()
+  static configured = {};
+
+  // Effective config of each initialized player, keyed by element or player
+  static players = new WeakMap();
+
+  // Warnings already shown, so a bad key is reported once
+  static warned = new Set();
+
+  /**
+   * Report a configuration problem once
+   * @param {string} message - Warning text
+   */
+  static warn(message) {
+    if (this.warned.has(message)) return;
+    this.warned.add(message);
+    log.warn(message);
+  }
+
+  /**
+   * Find the schema key closest to a misspelled one
+   * @param {string} key - Unknown key
+   * @returns {string|null} Suggested key (case-insensitive edit distance of 2 or less)
+   */
+  static suggest(key) {
+    const distance = (a, b) => {
+      let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+          current[j] = Math.min(previous[j] + 1, current[j - 1] + 1,
+            previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+      }
+      return previous[b.length];
+    };
+
+    let best = null;
+    let bestDistance = 3;
+    Object.keys(SCHEMA).forEach(name => {
+      const d = distance(key.toLowerCase(), name.toLowerCase());
+      if (d < bestDistance) {
+        best = name;
+        bestDistance = d;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Check if a value matches a schema type
+   * @param {*} value - Value to check
+   * @param {string} type - 'boolean', 'number', 'string' or 'array'
+   * @returns {boolean} True if valid
+   */
+  static isValidType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    return typeof value === type;
+  }
+
+  /**
+   * Validate settings against the schema
+   * Invalid entries are reported and left out of the result.
+   * @param {Object} settings - Settings to check
+   * @param {string} scope - 'global' or 'player'
+   * @returns {Object} Valid settings
+   */
+  static validate(settings, scope = 'global') {
+    const valid = {};
+    if (!settings) return valid;
+
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+      this.warn(`Configuration must be an object, got ${typeof settings}`);
+      return valid;
+    }
+
+    Object.keys(settings).forEach(key => {
+      const value = settings[key];
+      const entry = SCHEMA[key];
+
+      if (!entry) {
+        const suggestion = this.suggest(key);
+        this.warn(`Unknown config key "${key}" ignored` + (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+        return;
+      }
+      if (value === undefined) return;
+      if (!this.isValidType(value, entry.type)) {
+        this.warn(`Config key "${key}" must be ${entry.type === 'number' ? 'a non-negative number' : `a ${entry.type}`}, ignoring ${JSON.stringify(value)}`);
+        return;
+      }
+      if (scope === 'player' && entry.scope === 'global') {
+        this.warn(`Config key "${key}" applies to every player and can only be set globally`);
+        return;
+      }
+
+      valid[key] = value;
+    });
+
+    return valid;
+  }
+
+  /**
+   * Get the schema defaults
+   * @returns {Object} Default settings
+   */
+  static getDefaults() {
+    const defaults = {};
+    Object.keys(SCHEMA).forEach(key => {
+      defaults[key] = SCHEMA[key].default;
+    });
+    return defaults;
+  }
+
+  /**
+   * Set global defaults for every player
+   * Merges into earlier configure() calls.
+   * @param {Object} settings - Settings to apply
+   * @returns {Object} Effective global config
+   */
+  static configure(settings) {
+    this.configured = { ...this.configured, ...this.validate(settings, 'global') };
+    return this.get();
+  }
+
+  /**
+   * Forget settings from configure() (window.ipfsHLSPlayerConfig still applies)
+   */
+  static reset() {
+    this.configured = {};
+  }
+
+  /**
+   * Get the effective global config
+   * @returns {Object} Defaults, window.ipfsHLSPlayerConfig and configure() merged
+   */
+  static get() {
+    const legacy = typeof window !== 'undefined' ? window.ipfsHLSPlayerConfig : null;
+    return {
+      ...this.getDefaults(),
+      ...this.validate(legacy, 'global'),
+      ...this.configured
+    };
+  }
+
+  /**
+   * Build the effective config for one player
+   * @param {Object} overrides - Per-player settings
+   * @returns {Object} Global config with the overrides applied
+   */
+  static resolve(overrides) {
+    return { ...this.get(), ...this.validate(overrides, 'player') };
+  }
+
+  /**
+   * Remember the effective config of a player
+   * @param {Object} target - Video element or player
+   * @param {Object} config - Effective config
+   */
+  static bind(target, config) {
+    if (target) this.players.set(target, config);
+  }
+
+  /**
+   * Get the effective config of a player
+   * @param {Object} target - Video element or player
+   * @returns {Object} Its config, or the global config if it has none
+   */
+  static of(target) {
+    return (target && this.players.get(target)) || this.get();
+  }
+
+  /**
+   * Build the log context of a player
+   * Records logged with it follow the player's own `debug` setting.
+   * @param {Object} target - Video element or player
+   * @returns {Object} { player, debug } for NamespaceLogger.with()
+   */
+  static logContext(target) {
+    const id = target && (typeof target.id === 'function' ? target.id() : target.id);
+    return { player: id || null, debug: this.of(target).debug };
+  }
+}
+
+// Debug output follows the global `debug` setting unless a record carries a player's own
+logger.setDebugSource(() => PlayerConfig.get().debug);
+
+export default PlayerConfig;
+export { PlayerConfig };
@@ -0,0 +1,359 @@
+/**
+ * HLS Playlist Rewriter for IPFS HLS Player
+ * Makes playlists inside IPFS directories playable without re-transcoding
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * A plain HLS folder added to IPFS (/ipfs/<dirCID>/master.m3u8) refers to
+ * its variants and segments with relative URIs. Those only resolve while
+ * the player keeps loading from the exact URL the playlist came from, which
+ * breaks as soon as a request fails over or the source was given as an
+ * ipfs:// URI. The rewriter resolves every relative URI against the
+ * directory CID and turns it into an absolute URL on the gateway that
+ * actually served the playlist.
+ *
+ * Playlists produced by the SPK transcoder have the opposite problem: every
+ * variant and segment is an absolute URL pinned to one gateway host. Those
+ * URLs are retargeted to the serving gateway, so a viewer who starts on a
+ * healthy gateway is not sent back to a slow or dead one for every segment.
+ *
+ * Rewritten playlists are handed to Video.js as blob: URLs and to native
+ * (Safari) playback as data: URLs, which Safari accepts for HLS manifests.
+ */
+
+import GatewayFailover from './gateway-failover.js';
+import GatewayRegistry from './gateway-registry.js';
+import IPFSResolver from './ipfs-resolver.js';
+import VerifiedFetch from './verified-fetch.js';
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('rewrite');
+
+/**
+ * Playlist Rewriter Service
+ */
+class PlaylistRewriter {
+  /**
+   * MIME type used for rewritten playlist blobs
+   */
+  static MIME_TYPE = 'application/x-mpegURL';
+
+  /**
+   * MIME type used for data: manifests (native playback)
+   */
+  static NATIVE_MIME_TYPE = 'application/vnd.apple.mpegurl';
+
+  /**
+   * Tags whose URI points at another playlist rather than media
+   */
+  static PLAYLIST_TAGS = ['EXT-X-STREAM-INF', 'EXT-X-MEDIA'];
+
+  /**
+   * Check if absolute gateway URLs should be moved to the serving gateway
+   * @returns {boolean} True unless disabled via config
+   */
+  static isRetargetingEnabled() {
+    const config = PlayerConfig.get();
+    return config.gatewayRetargeting !== false;
+  }
+
+  /**
+   * Check if text is an HLS playlist
+   * @param {string} text - Response text
+   * @returns {boolean} True if it starts with #EXTM3U
+   */
+  static isPlaylist(text) {
+    return typeof text === 'string' && text.trimStart().startsWith('#EXTM3U');
+  }
+
+  /**
+   * Check if a playlist is a master (multivariant) playlist
+   * @param {string} text - Playlist text
+   * @returns {boolean} True if it lists variant streams
+   */
+  static isMaster(text) {
+    return text.includes('#EXT-X-STREAM-INF');
+  }
+
+  /**
+   * Check if a media playlist is complete (VOD or ended event)
+   * Live and IPNS-published playlists are reloaded by the player, so they
+   * cannot be replaced by a one-time blob: or data: copy.
+   * @param {string} text - Playlist text
+   * @returns {boolean} True if it has #EXT-X-ENDLIST
+   */
+  static isComplete(text) {
+    return /^#EXT-X-ENDLIST\b/m.test(text);
+  }
+
+  /**
+   * Check if a playlist URI is relative
+   * @param {string} uri - URI from a playlist
+   * @returns {boolean} True if it must be resolved against the playlist URL
+   */
+  static isRelative(uri) {
+    return !/^[a-z][a-z0-9+.-]*:/i.test(uri) && !uri.startsWith('//');
+  }
+
+  /**
+   * Check if an absolute URI is IPFS content on a different known gateway
+   * Only registered gateways are retargeted, URLs on other hosts (such as
+   * private or authenticated gateways) are left alone.
+   * @param {string} uri - URI from a playlist
+   * @param {string} gateway - Gateway origin the playlist should use
+   * @returns {boolean} True if the URI should be moved to `gateway`
+   */
+  static isRetargetable(uri, gateway) {
+    if (!gateway || this.isRelative(uri) || !this.isRetargetingEnabled()) return false;
+
+    const resolved = IPFSResolver.resolve(uri);
+    return !!resolved && !!resolved.gateway && resolved.gateway !== gateway &&
+           !!GatewayRegistry.get(resolved.gateway);
+  }
+
+  /**
+   * Run a transform over every URI in a playlist
+   * Covers URI lines (variants after #EXT-X-STREAM-INF, segments after
+   * #EXTINF) and URI="..." attributes (#EXT-X-MEDIA, #EXT-X-KEY,
+   * #EXT-X-MAP, #EXT-X-I-FRAME-STREAM-INF, ...).
+   * @param {string} text - Playlist text
+   * @param {Function} transform - (uri, tag) => new URI, where tag is the
+   *   tag the URI belongs to (e.g. 'EXTINF', 'EXT-X-STREAM-INF', 'EXT-X-MEDIA')
+   * @returns {string} Playlist text with transformed URIs
+   */
+  static mapURIs(text, transform) {
+    let pendingTag = null;
+
+    return text.split(/\r?\n/).map(line => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+
+      if (trimmed.startsWith('#')) {
+        const tag = trimmed.slice(1).split(':')[0];
+        if (tag === 'EXT-X-STREAM-INF' || tag === 'EXTINF') {
+          pendingTag = tag;
+        }
+        return line.replace(/URI="([^"]*)"/g, (match, uri) => `URI="${transform(uri, tag)}"`);
+      }
+
+      const tag = pendingTag || 'EXTINF';
+      pendingTag = null;
+      return transform(trimmed, tag);
+    }).join('\n');
+  }
+
+  /**
+   * List the URIs in a playlist
+   * @param {string} text - Playlist text
+   * @returns {Array<Object>} { uri, tag } entries in playlist order
+   */
+  static getURIs(text) {
+    const uris = [];
+    this.mapURIs(text, (uri, tag) => {
+      uris.push({ uri, tag });
+      return uri;
+    });
+    return uris;
+  }
+
+  /**
+   * Parse an attribute list (BANDWIDTH=...,RESOLUTION=...)
+   * @param {string} list - Attribute list
+   * @returns {Object} Attributes by name (quotes removed)
+   */
+  static parseAttributes(list) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(list)) !== null) {
+      attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attributes;
+  }
+
+  /**
+   * List the variant streams of a master playlist
+   * @param {string} text - Master playlist text
+   * @returns {Array<Object>} { uri, bandwidth, width, height }
+   */
+  static parseVariants(text) {
+    const variants = [];
+    let attributes = null;
+
+    text.split(/\r?\n/).forEach(line => {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('#EXT-X-STREAM-INF:')) {
+        attributes = this.parseAttributes(trimmed.slice('#EXT-X-STREAM-INF:'.length));
+      } else if (attributes && trimmed && !trimmed.startsWith('#')) {
+        const [width, height] = (attributes.RESOLUTION || '').split('x').map(Number);
+        variants.push({
+          uri: trimmed,
+          bandwidth: Number(attributes.BANDWIDTH) || 0,
+          width: width || null,
+          height: height || null
+        });
+        attributes = null;
+      }
+    });
+
+    return variants;
+  }
+
+  /**
+   * Check if a playlist has URIs that need rewriting
+   * @param {string} text - Playlist text
+   * @param {string} gateway - Gateway origin the playlist should use
+   * @returns {boolean} True if any URI is relative, an ipfs:// / ipns:// URI
+   *   or an absolute URL on another gateway
+   */
+  static needsRewrite(text, gateway) {
+    return this.getURIs(text).some(({ uri }) =>
+      this.isRelative(uri) || /^ip[fn]s:/i.test(uri) || this.isRetargetable(uri, gateway));
+  }
+
+  /**
+   * Resolve one playlist URI to an absolute gateway URL
+   * Relative URIs are resolved against the playlist URL, mapped back to
+   * their CID + path and rebuilt on the given gateway. URIs outside any
+   * IPFS content root are only made absolute. Absolute URLs on other
+   * known gateways are retargeted to the given gateway.
+   * @param {string} uri - URI from the playlist
+   * @param {string} baseURL - URL the playlist was served from
+   * @param {string} gateway - Gateway origin to build URLs for
+   * @returns {string} Absolute URL
+   */
+  static resolveURI(uri, baseURL, gateway) {
+    if (/^ip[fn]s:/i.test(uri)) {
+      return IPFSResolver.toURL(uri, gateway);
+    }
+    if (this.isRetargetable(uri, gateway)) {
+      return IPFSResolver.toGatewayURL(IPFSResolver.resolve(uri), gateway);
+    }
+    if (!this.isRelative(uri)) return uri;
+
+    let absolute;
+    try {
+      absolute = new URL(uri, baseURL).href;
+    } catch (error) {
+      // Base cannot hold relative URIs (e.g. a data: manifest)
+      return uri;
+    }
+    const resolved = IPFSResolver.resolve(absolute);
+    return resolved ? IPFSResolver.toGatewayURL(resolved, gateway || resolved.gateway) : absolute;
+  }
+
+  /**
+   * Rewrite every relative, ipfs:// and foreign-gateway URI in a playlist
+   * @param {string} text - Playlist text
+   * @param {string} baseURL - URL the playlist was served from
+   * @param {string} gateway - Gateway origin to build URLs for
+   * @returns {string} Rewritten playlist text
+   */
+  static rewrite(text, baseURL, gateway) {
+    return this.mapURIs(text, uri => this.resolveURI(uri, baseURL, gateway));
+  }
+
+  /**
+   * Fetch a playlist with gateway failover (and verification, if enabled)
+   * @param {string} url - Playlist URL
+   * @param {Object} options - { verified }
+   * @returns {Promise<Object>} { text, url, gateway } for the serving gateway
+   */
+  static async fetchPlaylist(url, options = {}) {
+    if (options.verified && VerifiedFetch.getVerifiableSource(url)) {
+      let lastError = null;
+      for (const candidate of GatewayFailover.getCandidates(url)) {
+        try {
+          const bytes = await VerifiedFetch.fetch(candidate.url);
+          return { text: new TextDecoder().decode(bytes), ...candidate };
+        } catch (error) {
+          lastError = error;
+        }
+      }
+      throw lastError;
+    }
+
+    const { response, url: served, gateway } = await GatewayFailover.fetch(url);
+    if (!response.ok) {
+      throw new Error(`Playlist request failed with status ${response.status}: ${served}`);
+    }
+    return { text: await response.text(), url: served, gateway };
+  }
+
+  /**
+   * Fetch and rewrite an IPFS HLS source
+   * For master playlists every variant and rendition playlist is fetched
+   * and rewritten too. A playlist that cannot be fetched, needs no changes
+   * or is still live (no #EXT-X-ENDLIST) is linked by its absolute gateway
+   * URL instead, so the player reloads the real playlist.
+   * @param {string} src - Playlist URL
+   * @param {Object} options - Rewrite options
+   * @param {boolean} options.verified - Verify playlists against their CIDs
+   * @param {string} options.format - 'blob' (default) or 'data' for native playback
+   * @returns {Promise<Object|null>} { url, original, gateway, revoke } where
+   *   `url` is a blob: or data: URL for the rewritten master and `revoke()`
+   *   releases every blob created. Null if the playlist has nothing to rewrite
+   *   or is a live media playlist.
+   */
+  static async rewriteSource(src, options = {}) {
+    const main = await this.fetchPlaylist(src, options);
+    const gateway = main.gateway || IPFSResolver.getPreferredGateway();
+    if (!this.isPlaylist(main.text) || !this.needsRewrite(main.text, gateway)) return null;
+
+    if (!this.isMaster(main.text) && !this.isComplete(main.text)) {
+      log.debug('Live media playlist, leaving it to be reloaded from the gateway:', src);
+      return null;
+    }
+
+    const blobs = [];
+    const toBlob = text => {
+      if (options.format === 'data') {
+        return `data:${this.NATIVE_MIME_TYPE},${encodeURIComponent(text)}`;
+      }
+      const url = URL.createObjectURL(new Blob([text], { type: this.MIME_TYPE }));
+      blobs.push(url);
+      return url;
+    };
+
+    let text = this.rewrite(main.text, main.url, gateway);
+
+    if (this.isMaster(main.text)) {
+      const playlists = new Map();
+      this.getURIs(text)
+        .filter(({ tag }) => this.PLAYLIST_TAGS.includes(tag))
+        .forEach(({ uri }) => playlists.set(uri, uri));
+
+      await Promise.all([...playlists.keys()].map(async uri => {
+        try {
+          const media = await this.fetchPlaylist(uri, options);
+          const mediaGateway = media.gateway || gateway;
+          if (this.isPlaylist(media.text) && this.needsRewrite(media.text, mediaGateway) &&
+              this.isComplete(media.text)) {
+            playlists.set(uri, toBlob(this.rewrite(media.text, media.url, mediaGateway)));
+          } else if (media.url !== uri) {
+            // Served by a failover gateway, point the player straight at it
+            playlists.set(uri, media.url);
+          }
+        } catch (error) {
+          log.warn('Could not rewrite media playlist, linking it directly:', uri, error.message);
+        }
+      }));
+
+      text = this.mapURIs(text, uri => playlists.get(uri) || uri);
+    }
+
+    log.debug(`Rewrote playlist URIs for ${gateway}:`, src);
+
+    return {
+      url: toBlob(text),
+      original: src,
+      gateway,
+      revoke: () => blobs.forEach(url => URL.revokeObjectURL(url))
+    };
+  }
+}
+
+export default PlaylistRewriter;
+export { PlaylistRewriter };
@@ -0,0 +1,571 @@
+/**
+ * QoE Monitor for IPFS HLS Player
+ * Measures playback quality of experience for real viewers
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * One monitor per player (Video.js or the native wrapper) measures
+ * time-to-first-frame from the start of initialization (so type detection
+ * is included), rebuffers, bitrate switches, dropped frames, errors and
+ * per-gateway request times. Each measurement is fired on the player as an
+ * 'ipfsqoe' event. With a `qoeEndpoint` configured, measurements are also
+ * queued and sent in batches with navigator.sendBeacon when the page is
+ * hidden, together with a summary of every active player.
+ */
+
+import IPFSResolver from './ipfs-resolver.js';
+import CID from './utils/cid.js';
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('qoe');
+
+/**
+ * QoE Monitor
+ */
+class QoEMonitor {
+  /**
+   * How often dropped frames are sampled during playback (10 seconds)
+   */
+  static SAMPLE_INTERVAL = 10 * 1000;
+
+  /**
+   * Queued measurements that trigger an early beacon, keeping each
+   * payload well under the sendBeacon size limit
+   */
+  static MAX_BATCH = 100;
+
+  /**
+   * Errors kept in a player's summary
+   */
+  static MAX_ERRORS = 10;
+
+  // Measurements waiting for the next beacon
+  static queue = [];
+
+  // Monitors of players that have not been disposed
+  static active = new Set();
+
+  // Monitor of each player, keyed by player and video element
+  static monitors = new WeakMap();
+
+  // Identifies this page view in beacons
+  static sessionId = Math.random().toString(36).slice(2, 12);
+
+  // True once the page hide listeners are installed
+  static listening = false;
+
+  /**
+   * Check if QoE measurement is enabled for a player
+   * @param {Object} target - Video element or player
+   * @returns {boolean} True unless disabled via config
+   */
+  static isEnabled(target) {
+    return PlayerConfig.of(target).qoe !== false;
+  }
+
+  /**
+   * Get the monitor of a player
+   * @param {Object} target - Video element or player
+   * @returns {QoEMonitor|null} Monitor, or null if the player is not measured
+   */
+  static of(target) {
+    return (target && this.monitors.get(target)) || null;
+  }
+
+  /**
+   * Queue a measurement for the next beacon
+   * @param {Object} entry - Measurement with player and source fields
+   */
+  static enqueue(entry) {
+    const config = PlayerConfig.get();
+    if (!config.qoeEndpoint) return;
+
+    this.listen();
+    this.queue.push(entry);
+    if (this.queue.length >= this.MAX_BATCH) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send queued measurements when the page is hidden or unloaded
+   */
+  static listen() {
+    if (this.listening || typeof document === 'undefined') return;
+    this.listening = true;
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+    window.addEventListener('pagehide', () => this.flush());
+  }
+
+  /**
+   * Send queued measurements and player summaries to the configured endpoint
+   * @returns {boolean} True if a beacon was queued by the browser
+   */
+  static flush() {
+    const config = PlayerConfig.get();
+    if (!config.qoeEndpoint || (this.queue.length === 0 && this.active.size === 0)) return false;
+
+    const payload = JSON.stringify({
+      sessionId: this.sessionId,
+      page: typeof location !== 'undefined' ? location.href : null,
+      sentAt: Date.now(),
+      events: this.queue.splice(0),
+      players: Array.from(this.active).map(monitor => monitor.getSummary())
+    });
+
+    // A string body is sent as text/plain, which needs no CORS preflight
+    let sent = false;
+    if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+      sent = navigator.sendBeacon(config.qoeEndpoint, payload);
+    }
+    if (!sent && typeof fetch === 'function') {
+      fetch(config.qoeEndpoint, { method: 'POST', body: payload, keepalive: true, mode: 'no-cors' })
+        .catch(error => log.warn('Could not send QoE report:', error.message));
+      sent = true;
+    }
+
+    log.debug('Sent QoE report to', config.qoeEndpoint);
+    return sent;
+  }
+
+  /**
+   * @param {Player|NativePlayer} player - Video.js player or native wrapper
+   * @param {Object} options - Startup details
+   * @param {HTMLVideoElement} options.element - Video element being played
+   * @param {number} options.startTime - performance.now() when initialization began
+   * @param {number} options.detectionTime - Time spent detecting the type in ms
+   * @param {string} options.src - Source as given (before rewriting)
+   * @param {string} options.strategy - 'videojs' or 'native'
+   */
+  constructor(player, options = {}) {
+    this.player = player;
+    this.element = options.element || player.el();
+    this.src = options.src || null;
+    this.strategy = options.strategy || (player.isNativePlayer ? 'native' : 'videojs');
+    this.cid = this.getRootCID(this.src);
+
+    this.startup = null;
+    this.pendingStartup = {
+      startTime: options.startTime || performance.now(),
+      detectionTime: options.detectionTime || 0
+    };
+
+    this.hasPlayed = false;
+    this.seeking = false;
+    this.playingSince = null;
+    this.playTime = 0;
+    this.stallStart = null;
+    this.rebuffers = { count: 0, duration: 0 };
+    this.bitrate = null;
+    this.bitrateSwitches = 0;
+    this.frames = { dropped: 0, total: 0 };
+    this.errors = [];
+    this.errorCount = 0;
+    this.failovers = 0;
+    this.gateways = {};
+    this.sampleTimer = null;
+    this.observer = null;
+
+    this.attach();
+    QoEMonitor.active.add(this);
+    QoEMonitor.monitors.set(player, this);
+    QoEMonitor.monitors.set(this.element, this);
+  }
+
+  /**
+   * Get the CID a source is rooted in (CIDv1, for comparing URLs)
+   * @param {string} src - Source URL
+   * @returns {string|null} CID or null if not IPFS content
+   */
+  getRootCID(src) {
+    const resolved = src ? IPFSResolver.resolve(src) : null;
+    if (!resolved) return null;
+    return CID.isValid(resolved.cid) ? CID.toV1(resolved.cid) : resolved.cid;
+  }
+
+  /**
+   * Report measurements against a new source of the same player
+   * @param {string} src - Source URL
+   */
+  setSource(src) {
+    this.src = src || null;
+    this.cid = this.getRootCID(this.src);
+  }
+
+  /**
+   * Listen to the player
+   */
+  attach() {
+    const player = this.player;
+    this.handlers = {
+      loadstart: () => this.onLoadStart(),
+      ipfsformatdetected: (event) => this.onFormatDetected(event),
+      loadeddata: () => this.onFirstFrame(),
+      playing: () => this.onPlaying(),
+      waiting: () => this.onWaiting(),
+      pause: () => this.onPaused(),
+      ended: () => this.onPaused(),
+      seeking: () => { this.seeking = true; },
+      seeked: () => { this.seeking = false; },
+      error: () => this.onError(player.error()),
+      ipfsintegrityerror: (event) => this.onError({ code: 'IPFS_INTEGRITY', message: event.error && event.error.message }),
+      ipfsgatewayfailover: (event) => this.onFailover(event)
+    };
+    Object.keys(this.handlers).forEach(type => player.on(type, this.handlers[type]));
+    player.one('dispose', () => this.dispose());
+
+    // Renditions selected by VHS or the native quality menu
+    this.levels = typeof player.qualityLevels === 'function' ? player.qualityLevels() : null;
+    this.onLevelChange = () => this.onBitrate(this.getSelectedBitrate());
+    if (this.levels) this.levels.on('change', this.onLevelChange);
+
+    if (player.isNativePlayer) {
+      // Native automatic switching only shows as a new resolution
+      this.onResize = () => this.onBitrate(this.getSelectedBitrate());
+      this.element.addEventListener('resize', this.onResize);
+      this.observeResources();
+    } else {
+      // Per-player VHS response hooks see every attempt, failed ones included
+      player.on('xhr-hooks-ready', () => {
+        const tech = player.tech({ IWillNotUseThisInPlugins: true });
+        if (tech && tech.vhs && tech.vhs.xhr && typeof tech.vhs.xhr.onResponse === 'function') {
+          tech.vhs.xhr.onResponse((request, error) => this.onResponse(request, error));
+        }
+      });
+    }
+  }
+
+  /**
+   * Record a measurement: fire it on the player and queue it for reporting
+   * @param {string} metric - 'startup', 'rebuffer', 'bitrate', 'droppedframes',
+   *   'error', 'failover' or 'request'
+   * @param {Object} data - Measurement fields
+   */
+  record(metric, data) {
+    if (this.disposed) return;
+
+    this.player.trigger({ type: 'ipfsqoe', metric, ...data });
+    QoEMonitor.enqueue({
+      metric,
+      time: Date.now(),
+      player: this.player.id(),
+      src: this.src,
+      strategy: this.strategy,
+      ...data
+    });
+  }
+
+  /**
+   * Startup
+   */
+
+  onLoadStart() {
+    // A later source (player.src()) starts its own startup measurement
+    if (this.startup && !this.pendingStartup) {
+      this.pendingStartup = { startTime: performance.now(), detectionTime: 0 };
+    }
+  }
+
+  onFormatDetected(event) {
+    // Detection in the middleware runs before the source's loadstart
+    if (this.startup && !this.pendingStartup) {
+      this.pendingStartup = { startTime: event.startTime, detectionTime: event.duration || 0 };
+    } else if (this.pendingStartup) {
+      this.pendingStartup.detectionTime += event.duration || 0;
+    }
+  }
+
+  onFirstFrame() {
+    if (!this.pendingStartup) return;
+
+    const { startTime, detectionTime } = this.pendingStartup;
+    this.pendingStartup = null;
+    this.startup = {
+      timeToFirstFrame: Math.round(performance.now() - startTime),
+      detectionTime: Math.round(detectionTime)
+    };
+    this.record('startup', this.startup);
+  }
+
+  /**
+   * Playback and rebuffering
+   */
+
+  onPlaying() {
+    this.hasPlayed = true;
+    this.endStall();
+    if (this.playingSince === null) this.playingSince = performance.now();
+    this.startSampling();
+  }
+
+  onWaiting() {
+    this.stopPlayClock();
+    // Waiting for a seek or before the first frame is not a rebuffer
+    if (!this.hasPlayed || this.seeking || this.stallStart !== null) return;
+    this.stallStart = performance.now();
+  }
+
+  onPaused() {
+    this.stopPlayClock();
+    this.endStall();
+    this.sampleFrames();
+    this.stopSampling();
+  }
+
+  endStall() {
+    if (this.stallStart === null) return;
+
+    const duration = Math.round(performance.now() - this.stallStart);
+    this.stallStart = null;
+    this.rebuffers.count++;
+    this.rebuffers.duration += duration;
+    this.record('rebuffer', {
+      duration,
+      count: this.rebuffers.count,
+      totalDuration: this.rebuffers.duration
+    });
+  }
+
+  stopPlayClock() {
+    if (this.playingSince === null) return;
+    this.playTime += performance.now() - this.playingSince;
+    this.playingSince = null;
+  }
+
+  /**
+   * Renditions
+   */
+
+  /**
+   * Get the bitrate of the rendition being played
+   * @returns {number|null} Bits per second, or null if unknown
+   */
+  getSelectedBitrate() {
+    const levels = this.levels;
+    if (!levels || levels.length === 0) return null;
+
+    if (levels.selectedIndex >= 0 && levels[levels.selectedIndex]) {
+      return levels[levels.selectedIndex].bitrate || null;
+    }
+
+    // Native adaptive playback: match the decoded height to a rendition
+    const height = this.element.videoHeight;
+    for (let i = 0; i < levels.length; i++) {
+      if (levels[i].height === height) return levels[i].bitrate || null;
+    }
+    return null;
+  }
+
+  onBitrate(bitrate) {
+    if (!bitrate || bitrate === this.bitrate) return;
+
+    const previous = this.bitrate;
+    this.bitrate = bitrate;
+    if (previous === null) return;
+
+    this.bitrateSwitches++;
+    this.record('bitrate', {
+      from: previous,
+      to: bitrate,
+      direction: bitrate > previous ? 'up' : 'down',
+      height: this.element.videoHeight || null
+    });
+  }
+
+  /**
+   * Dropped frames
+   */
+
+  startSampling() {
+    if (this.sampleTimer) return;
+    this.sampleTimer = setInterval(() => this.sampleFrames(), QoEMonitor.SAMPLE_INTERVAL);
+  }
+
+  stopSampling() {
+    clearInterval(this.sampleTimer);
+    this.sampleTimer = null;
+  }
+
+  sampleFrames() {
+    const element = this.element;
+    if (!element || typeof element.getVideoPlaybackQuality !== 'function') return;
+
+    const quality = element.getVideoPlaybackQuality();
+    const dropped = quality.droppedVideoFrames - this.frames.dropped;
+    this.frames = { dropped: quality.droppedVideoFrames, total: quality.totalVideoFrames };
+
+    if (dropped > 0) {
+      this.record('droppedframes', {
+        dropped,
+        totalDropped: this.frames.dropped,
+        totalFrames: this.frames.total
+      });
+    }
+  }
+
+  /**
+   * Errors and gateways
+   */
+
+  onError(error) {
+    if (!error) return;
+
+    const entry = { code: error.code, message: error.message || null };
+    this.errorCount++;
+    this.errors.push({ time: Date.now(), ...entry });
+    if (this.errors.length > QoEMonitor.MAX_ERRORS) this.errors.shift();
+    this.record('error', entry);
+  }
+
+  onFailover(event) {
+    this.failovers++;
+    this.record('failover', {
+      failedGateway: event.failedGateway,
+      nextGateway: event.nextGateway,
+      requestType: event.requestType,
+      status: event.status
+    });
+  }
+
+  /**
+   * Add a request to its gateway's totals
+   * @param {Object} request - { url, gateway, requestType, duration, bytes, ok, status }
+   */
+  addRequest(request) {
+    const stats = this.gateways[request.gateway] ||
+      (this.gateways[request.gateway] = { requests: 0, failures: 0, totalTime: 0, bytes: 0 });
+    stats.requests++;
+    if (!request.ok) stats.failures++;
+    stats.totalTime += request.duration;
+    stats.bytes += request.bytes || 0;
+    this.lastRequest = request;
+
+    this.record('request', request);
+  }
+
+  /**
+   * VHS response hook
+   * @param {XMLHttpRequest} request - Completed VHS request (uri, requestType, requestTime)
+   * @param {Error} error - Request error
+   */
+  onResponse(request, error) {
+    if (!request || request.aborted || !request.uri) return;
+    const resolved = IPFSResolver.resolve(request.uri);
+    if (!resolved || !resolved.gateway) return;
+
+    const body = request.response;
+    this.addRequest({
+      url: request.uri,
+      gateway: resolved.gateway,
+      requestType: request.requestType || null,
+      duration: Math.round(Date.now() - request.requestTime),
+      bytes: body ? (body.byteLength || body.length || 0) : 0,
+      ok: !error && request.status >= 200 && request.status < 300,
+      status: request.status
+    });
+  }
+
+  /**
+   * Time native requests with Resource Timing
+   * Native playback has no request hooks; requests for this source's CID
+   * are picked up where the browser reports them.
+   */
+  observeResources() {
+    if (!this.cid || typeof PerformanceObserver === 'undefined') return;
+
+    this.observer = new PerformanceObserver(list => {
+      list.getEntries().forEach(entry => {
+        const resolved = IPFSResolver.resolve(entry.name);
+        if (!resolved || !resolved.gateway || this.getRootCID(entry.name) !== this.cid) return;
+
+        this.addRequest({
+          url: entry.name,
+          gateway: resolved.gateway,
+          requestType: /\.m3u8?($|\?)/i.test(resolved.path) ? 'playlist' : 'segment',
+          duration: Math.round(entry.duration),
+          // Zero without Timing-Allow-Origin on the gateway
+          bytes: entry.encodedBodySize || entry.transferSize || 0,
+          ok: !entry.responseStatus || entry.responseStatus < 400,
+          status: entry.responseStatus || null
+        });
+      });
+    });
+
+    try {
+      this.observer.observe({ type: 'resource' });
+    } catch (error) {
+      this.observer = null;
+    }
+  }
+
+  /**
+   * Summary
+   */
+
+  /**
+   * Get the measurements so far
+   * @returns {Object} Summary of this player's QoE
+   */
+  getSummary() {
+    const playTime = this.playTime + (this.playingSince === null ? 0 : performance.now() - this.playingSince);
+    const gateways = {};
+    Object.keys(this.gateways).forEach(gateway => {
+      const stats = this.gateways[gateway];
+      gateways[gateway] = {
+        requests: stats.requests,
+        failures: stats.failures,
+        averageTime: Math.round(stats.totalTime / stats.requests),
+        bytes: stats.bytes
+      };
+    });
+
+    return {
+      player: this.player.id(),
+      src: this.src,
+      cid: this.cid,
+      strategy: this.strategy,
+      startup: this.startup,
+      playTime: Math.round(playTime),
+      rebuffers: { ...this.rebuffers },
+      rebufferRatio: playTime > 0 ? +(this.rebuffers.duration / (playTime + this.rebuffers.duration)).toFixed(4) : 0,
+      bitrate: this.bitrate,
+      bitrateSwitches: this.bitrateSwitches,
+      droppedFrames: this.frames.dropped,
+      totalFrames: this.frames.total,
+      errors: this.errorCount,
+      recentErrors: this.errors.slice(),
+      failovers: this.failovers,
+      gateways
+    };
+  }
+
+  /**
+   * Stop measuring
+   */
+  dispose() {
+    if (this.disposed) return;
+
+    this.stopPlayClock();
+    this.endStall();
+    this.sampleFrames();
+    this.stopSampling();
+
+    // Still included in the next beacon, then forgotten
+    QoEMonitor.enqueue({ metric: 'summary', time: Date.now(), ...this.getSummary() });
+    this.disposed = true;
+    QoEMonitor.active.delete(this);
+
+    Object.keys(this.handlers).forEach(type => this.player.off(type, this.handlers[type]));
+    if (this.levels) this.levels.off('change', this.onLevelChange);
+    if (this.onResize) this.element.removeEventListener('resize', this.onResize);
+    if (this.observer) this.observer.disconnect();
+  }
+}
+
+export default QoEMonitor;
+export { QoEMonitor };
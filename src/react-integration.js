@@ -0,0 +1,216 @@
+/**
+ * React Integration for IPFS HLS Player
+ * Provides an <IPFSVideo> component and a useIPFSPlayer hook
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Video.js replaces the <video> it is given and removes its own markup on
+ * dispose, which breaks React's ownership of the DOM. The hook therefore
+ * renders only a container and creates the <video> inside it, outside
+ * React's control. The player is created once per mount and disposed on
+ * unmount (StrictMode's extra mount/unmount included, even while type
+ * detection is still running); new sources are played in the same player
+ * with IPFSHLSPlayer.changeSource().
+ */
+
+import { createElement, forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import IPFSHLSPlayerBundle from './ipfs-hls-player.js';
+import logger from './utils/debug-logger.js';
+
+const { IPFSHLSPlayer } = IPFSHLSPlayerBundle;
+const log = logger.namespace('react');
+
+/**
+ * Callback props and the player events they receive
+ * Each callback is called with (event, player).
+ */
+const EVENT_PROPS = {
+  onPlay: 'play',
+  onPause: 'pause',
+  onPlaying: 'playing',
+  onEnded: 'ended',
+  onError: 'error',
+  onWaiting: 'waiting',
+  onSeeking: 'seeking',
+  onSeeked: 'seeked',
+  onTimeUpdate: 'timeupdate',
+  onDurationChange: 'durationchange',
+  onVolumeChange: 'volumechange',
+  onLoadStart: 'loadstart',
+  onLoadedMetadata: 'loadedmetadata',
+  onLoadedData: 'loadeddata',
+  onFormatDetected: 'ipfsformatdetected',
+  onGatewayFailover: 'ipfsgatewayfailover',
+  onIntegrityError: 'ipfsintegrityerror',
+  onQoE: 'ipfsqoe'
+};
+
+/**
+ * Props that are not passed to initializePlayer
+ */
+const OWN_PROPS = ['className', 'style', 'onReady', 'onQualityChange', ...Object.keys(EVENT_PROPS)];
+
+/**
+ * Build initializePlayer options from hook options / component props
+ * @param {Object} props - Hook options
+ * @returns {Object} Player options
+ */
+function toPlayerOptions(props) {
+  const options = {};
+  Object.keys(props).forEach(key => {
+    if (!OWN_PROPS.includes(key) && props[key] !== undefined) {
+      options[key] = props[key];
+    }
+  });
+  return options;
+}
+
+/**
+ * Identify the source so changes can be told apart from re-renders
+ * @param {Object} props - Hook options
+ * @returns {string} Source key
+ */
+function getSourceKey(props) {
+  const src = props.src && typeof props.src === 'object' ? JSON.stringify(props.src) : props.src;
+  return [props.cid, props.path, src, props.type].map(part => part || '').join('|');
+}
+
+/**
+ * Create and own an IPFS HLS player
+ * Options other than the source (src, cid, path, type) are read when the
+ * player is created; callbacks may change on every render.
+ * @param {Object} options - initializePlayer options plus on* callbacks
+ *   (see EVENT_PROPS), onReady(player) and onQualityChange(event, player).
+ *   onError also receives initialization and source change failures, as (error, player).
+ * @returns {Object} { ref, player, error } - attach `ref` to the container element
+ */
+function useIPFSPlayer(options = {}) {
+  const ref = useRef(null);
+  const videoRef = useRef(null);
+  const optionsRef = useRef(options);
+  const sourceRef = useRef(null);
+  const [player, setPlayer] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Callbacks always see the latest props without re-subscribing
+  optionsRef.current = options;
+  const sourceKey = getSourceKey(options);
+
+  // Create the player on mount, dispose it on unmount
+  useEffect(() => {
+    const container = ref.current;
+    if (!container) return undefined;
+
+    const video = document.createElement('video');
+    video.setAttribute('playsinline', '');
+    container.classList.add('ipfs-video-container');
+    container.appendChild(video);
+    videoRef.current = video;
+
+    let cancelled = false;
+    sourceRef.current = getSourceKey(optionsRef.current);
+
+    IPFSHLSPlayer.initializePlayer(video, toPlayerOptions(optionsRef.current))
+      .then(instance => {
+        if (cancelled) {
+          // Unmounted while initializing (StrictMode's first mount)
+          if (instance) instance.dispose();
+          return;
+        }
+        setPlayer(instance);
+      })
+      .catch(initError => {
+        if (cancelled) return;
+        log.error('Player initialization failed:', initError);
+        setError(initError);
+        if (optionsRef.current.onError) optionsRef.current.onError(initError, null);
+      });
+
+    return () => {
+      cancelled = true;
+      videoRef.current = null;
+      IPFSHLSPlayer.destroyPlayer(video);
+
+      // Video.js removes its own markup; a native player leaves the video
+      while (container.firstChild) {
+        container.removeChild(container.firstChild);
+      }
+      setPlayer(null);
+    };
+  }, []);
+
+  // Play new sources in the same player
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!player || !video || sourceRef.current === sourceKey) return;
+    sourceRef.current = sourceKey;
+
+    IPFSHLSPlayer.changeSource(video, toPlayerOptions(optionsRef.current))
+      .then(instance => {
+        // Native players are re-created for a new source
+        if (instance && instance !== player && videoRef.current === video) {
+          setPlayer(instance);
+        }
+      })
+      .catch(changeError => {
+        log.error('Source change failed:', changeError);
+        setError(changeError);
+        if (optionsRef.current.onError) optionsRef.current.onError(changeError, player);
+      });
+  }, [player, sourceKey]);
+
+  // Forward player events to the latest callbacks
+  useEffect(() => {
+    if (!player) return undefined;
+
+    const listeners = Object.keys(EVENT_PROPS).map(prop => {
+      const listener = (event) => {
+        const callback = optionsRef.current[prop];
+        if (callback) callback(event, player);
+      };
+      player.on(EVENT_PROPS[prop], listener);
+      return [EVENT_PROPS[prop], listener];
+    });
+
+    const levels = player.qualityLevels();
+    const onQualityChange = (event) => {
+      const callback = optionsRef.current.onQualityChange;
+      if (callback) callback(event, player);
+    };
+    levels.on('change', onQualityChange);
+
+    player.ready(() => {
+      const callback = optionsRef.current.onReady;
+      if (callback && !player.isDisposed()) callback(player);
+    });
+
+    return () => {
+      if (player.isDisposed()) return;
+      listeners.forEach(([type, listener]) => player.off(type, listener));
+      levels.off('change', onQualityChange);
+    };
+  }, [player]);
+
+  return { ref, player, error };
+}
+
+/**
+ * IPFS video component
+ * Takes the hook's options as props, plus className and style for the
+ * container. The ref receives the player (Video.js or native wrapper).
+ */
+const IPFSVideo = forwardRef(function IPFSVideo(props, forwardedRef) {
+  const { ref, player } = useIPFSPlayer(props);
+
+  useImperativeHandle(forwardedRef, () => player, [player]);
+
+  return createElement('div', {
+    ref,
+    className: ['ipfs-video-container', props.className].filter(Boolean).join(' '),
+    style: props.style
+  });
+});
+
+export default IPFSVideo;
+export { IPFSVideo, useIPFSPlayer };
@@ -0,0 +1,149 @@
+/**
+ * Segment Cache for IPFS HLS Player
+ * Page-side API for the optional caching service worker (ipfs-hls-sw.js)
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * The service worker sees the requests VHS makes through fetch and XHR.
+ * Native (Safari) playback is only cached where the browser routes media
+ * element requests through service workers, which not every version does.
+ * It has to be served from your own origin: copy dist/ipfs-hls-sw.js next
+ * to your app.
+ */
+
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('cache');
+
+/**
+ * Segment Cache Service
+ */
+class SegmentCache {
+  /**
+   * Default service worker script URL
+   */
+  static DEFAULT_URL = '/ipfs-hls-sw.js';
+
+  /**
+   * Time to wait for the worker's reply, in ms
+   */
+  static MESSAGE_TIMEOUT = 5000;
+
+  // Registration created by register()
+  static registration = null;
+
+  /**
+   * Check if service workers and the Cache API are available
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+           typeof caches !== 'undefined';
+  }
+
+  /**
+   * Register the caching service worker
+   * @param {Object} options - Registration options
+   * @param {string} options.url - Service worker script URL (default: /ipfs-hls-sw.js)
+   * @param {string} options.scope - Registration scope (default: the script's directory)
+   * @param {number} options.maxBytes - Cache size budget in bytes (default: 500 MB)
+   * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported
+   */
+  static async register(options = {}) {
+    if (!this.isSupported()) {
+      log.warn('Service workers are not supported, segment caching disabled');
+      return null;
+    }
+
+    // Settings travel in the script URL so they survive worker restarts
+    const scriptURL = new URL(options.url || this.DEFAULT_URL, window.location.href);
+    if (options.maxBytes) scriptURL.searchParams.set('maxBytes', String(options.maxBytes));
+    if (log.isEnabled()) scriptURL.searchParams.set('debug', 'true');
+
+    this.registration = await navigator.serviceWorker.register(
+      scriptURL.href,
+      options.scope ? { scope: options.scope } : undefined
+    );
+
+    log.debug('Segment cache service worker registered:', this.registration.scope);
+
+    return this.registration;
+  }
+
+  /**
+   * Unregister the caching service worker (cached data is kept)
+   * @returns {Promise<boolean>} True if a registration was removed
+   */
+  static async unregister() {
+    const registration = this.registration || await this.findRegistration();
+    if (!registration) return false;
+
+    this.registration = null;
+    return registration.unregister();
+  }
+
+  /**
+   * Find an existing registration of the caching service worker
+   * @returns {Promise<ServiceWorkerRegistration|null>} Registration
+   */
+  static async findRegistration() {
+    if (!this.isSupported()) return null;
+
+    const registrations = await navigator.serviceWorker.getRegistrations();
+    return registrations.find(registration => {
+      const worker = registration.active || registration.waiting || registration.installing;
+      return worker && new URL(worker.scriptURL).pathname.endsWith('ipfs-hls-sw.js');
+    }) || null;
+  }
+
+  /**
+   * Send a message to the service worker and wait for its reply
+   * @param {Object} message - Message ({ type })
+   * @returns {Promise<*>} Reply, or null if no worker is active or it did not reply in time
+   */
+  static async send(message) {
+    const registration = this.registration || await this.findRegistration();
+    const worker = registration && registration.active;
+    if (!worker) return null;
+
+    return new Promise(resolve => {
+      const channel = new MessageChannel();
+
+      // A busy or replaced worker may never answer
+      const finish = value => {
+        clearTimeout(timer);
+        channel.port1.onmessage = null;
+        channel.port1.close();
+        resolve(value);
+      };
+      const timer = setTimeout(() => {
+        log.warn(`Service worker did not reply to ${message.type} within ${this.MESSAGE_TIMEOUT}ms`);
+        finish(null);
+      }, this.MESSAGE_TIMEOUT);
+
+      channel.port1.onmessage = event => finish(event.data);
+      worker.postMessage(message, [channel.port2]);
+    });
+  }
+
+  /**
+   * Get cache usage
+   * @returns {Promise<Object|null>} { entries, bytes, maxBytes } or null if no worker replied
+   */
+  static getStats() {
+    return this.send({ type: 'IPFS_HLS_CACHE_STATS' });
+  }
+
+  /**
+   * Remove every cached playlist and segment
+   * @returns {Promise<boolean>} True if the worker cleared its cache
+   */
+  static async clear() {
+    const result = await this.send({ type: 'IPFS_HLS_CACHE_CLEAR' });
+    return !!(result && result.cleared);
+  }
+}
+
+export default SegmentCache;
+export { SegmentCache };
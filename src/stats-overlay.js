@@ -0,0 +1,651 @@
+/**
+ * Stats Overlay for IPFS HLS Player
+ * "Stats for nerds" diagnostics panel and JSON diagnostics report
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Most playback problems on IPFS come down to which gateway served the
+ * content, what the source was detected as and which player path was
+ * chosen for it. The overlay shows those next to the live playback state
+ * (rendition, bandwidth estimate, buffer) and the latest requests, and
+ * "Copy diagnostics" puts the same information on the clipboard as JSON
+ * for bug reports. It opens with Shift+I while the player has focus, or
+ * from the player's context menu where `statsContextMenu` is enabled.
+ * Request timings come from the player's 'ipfsqoe' events, so they need
+ * QoE measurement enabled.
+ */
+
+import IPFSResolver from './ipfs-resolver.js';
+import DetectionCache from './detection-cache.js';
+import PlayerConfig from './player-config.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('stats');
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. '1.2 MB'
+ */
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a bit rate for display
+ * @param {number} bitsPerSecond - Bit rate
+ * @returns {string} e.g. '4.5 Mbps'
+ */
+function formatBitrate(bitsPerSecond) {
+  if (!bitsPerSecond) return '—';
+  if (bitsPerSecond < 1000 * 1000) return `${Math.round(bitsPerSecond / 1000)} kbps`;
+  return `${(bitsPerSecond / (1000 * 1000)).toFixed(1)} Mbps`;
+}
+
+/**
+ * Stats Overlay
+ */
+class StatsOverlay {
+  /**
+   * How often the panel is redrawn while open (1 second)
+   */
+  static REFRESH_INTERVAL = 1000;
+
+  /**
+   * Requests and errors kept for the panel and the report
+   */
+  static MAX_RECENT = 20;
+
+  /**
+   * Requests listed in the panel (the report has all of them)
+   */
+  static VISIBLE_REQUESTS = 5;
+
+  /**
+   * Key that toggles the panel, with Shift held
+   */
+  static SHORTCUT_KEY = 'I';
+
+  // Overlay of each player, keyed by player and video element
+  static overlays = new WeakMap();
+
+  /**
+   * Check if the overlay's shortcut is enabled
+   * @param {Object} target - Video element or player
+   * @returns {boolean} True unless disabled via config
+   */
+  static isEnabled(target) {
+    return PlayerConfig.of(target).statsOverlay !== false;
+  }
+
+  /**
+   * Check if the overlay also has a context menu entry
+   * @param {Object} target - Video element or player
+   * @returns {boolean} True if enabled via config (and the overlay is enabled)
+   */
+  static hasContextMenu(target) {
+    return this.isEnabled(target) && PlayerConfig.of(target).statsContextMenu === true;
+  }
+
+  /**
+   * Get the overlay of a player
+   * @param {Object} target - Video element or player
+   * @returns {StatsOverlay|null} Overlay, or null if the player has none
+   */
+  static of(target) {
+    return (target && this.overlays.get(target)) || null;
+  }
+
+  /**
+   * @param {Player|NativePlayer} player - Video.js player or native wrapper
+   * @param {Object} options - Source details
+   * @param {HTMLVideoElement} options.element - Video element being played
+   * @param {string} options.src - Source as given (before rewriting)
+   * @param {string} options.type - Source MIME type, if known
+   * @param {string} options.strategy - Result of IPFSHLSPlayer.getPlayerStrategy()
+   * @param {Object} options.capabilities - Result of IPFSHLSPlayer.detectCapabilities()
+   * @param {boolean} options.controls - False to skip the shortcut and context menu entry
+   * @param {boolean} options.contextMenu - True to add the context menu entry
+   */
+  constructor(player, options = {}) {
+    this.player = player;
+    this.element = options.element || player.el();
+    this.src = options.src || null;
+    this.type = options.type || null;
+    this.strategy = options.strategy || null;
+    this.capabilities = options.capabilities || null;
+
+    this.requests = [];
+    this.errors = [];
+    this.panel = null;
+    this.menu = null;
+    this.refreshTimer = null;
+    this.contextMenu = false;
+    this.disposed = false;
+
+    this.onQoE = (event) => this.addMeasurement(event);
+    this.onDispose = () => this.dispose();
+    player.on('ipfsqoe', this.onQoE);
+    player.one('dispose', this.onDispose);
+
+    if (options.controls !== false) {
+      this.attachControls(options.contextMenu === true);
+    }
+
+    StatsOverlay.overlays.set(player, this);
+    StatsOverlay.overlays.set(this.element, this);
+  }
+
+  /**
+   * Describe a new source of the same player
+   * @param {string} src - Source URL
+   * @param {string} type - Source MIME type, if known
+   * @param {string} strategy - Result of IPFSHLSPlayer.getPlayerStrategy()
+   */
+  setSource(src, type, strategy) {
+    this.src = src || null;
+    this.type = type || null;
+    this.strategy = strategy || this.strategy;
+    this.requests = [];
+    this.errors = [];
+  }
+
+  /**
+   * Element the shortcut and context menu listen on
+   * Native playback listens on the video itself, as its parent may be the
+   * page body or a large layout container.
+   * @returns {HTMLElement} Target element
+   */
+  getControlsTarget() {
+    return this.player.isNativePlayer ? this.element : this.player.el();
+  }
+
+  /**
+   * Add the panel or menu to the page
+   * Video.js draws into its player container. Native playback puts it right
+   * after the video and places it over the video (see place()), so the
+   * parent's styles and layout are left alone.
+   * @param {HTMLElement} node - Panel or menu
+   * @returns {boolean} True if added
+   */
+  mount(node) {
+    if (!this.player.isNativePlayer) {
+      const host = this.player.el();
+      host.classList.add('ipfs-stats-host');
+      host.appendChild(node);
+      return true;
+    }
+
+    if (!this.element.parentNode) return false;
+    this.element.parentNode.insertBefore(node, this.element.nextSibling);
+    return true;
+  }
+
+  /**
+   * Position the panel or menu relative to the video's top left corner
+   * @param {HTMLElement} node - Panel or menu
+   * @param {string} left - CSS length from the video's left edge
+   * @param {string} top - CSS length from the video's top edge
+   */
+  place(node, left, top) {
+    // A sibling of the video shares its offsetParent
+    const x = this.player.isNativePlayer ? this.element.offsetLeft : 0;
+    const y = this.player.isNativePlayer ? this.element.offsetTop : 0;
+    node.style.left = `calc(${x}px + ${left})`;
+    node.style.top = `calc(${y}px + ${top})`;
+  }
+
+  /**
+   * Keep request timings and errors from the player's QoE measurements
+   * @param {Event} event - 'ipfsqoe' event
+   */
+  addMeasurement(event) {
+    let list = null;
+    let entry = null;
+
+    if (event.metric === 'request') {
+      list = this.requests;
+      entry = {
+        time: Date.now(),
+        url: event.url,
+        gateway: event.gateway,
+        requestType: event.requestType,
+        duration: event.duration,
+        bytes: event.bytes,
+        ok: event.ok,
+        status: event.status
+      };
+    } else if (event.metric === 'error') {
+      list = this.errors;
+      entry = { time: Date.now(), code: event.code, message: event.message };
+    } else if (event.metric === 'failover') {
+      list = this.errors;
+      entry = {
+        time: Date.now(),
+        message: `Failed over from ${event.failedGateway} to ${event.nextGateway || 'none'}`,
+        requestType: event.requestType,
+        status: event.status
+      };
+    }
+
+    if (!list) return;
+    list.push(entry);
+    if (list.length > StatsOverlay.MAX_RECENT) list.shift();
+  }
+
+  /**
+   * Diagnostics
+   */
+
+  /**
+   * Get the gateway currently serving the player
+   * @returns {string|null} Gateway of the latest successful request, or of the current source
+   */
+  getGateway() {
+    const last = this.requests.filter(request => request.ok).pop();
+    if (last && last.gateway) return last.gateway;
+
+    const current = IPFSResolver.resolve(this.player.currentSrc() || '') || IPFSResolver.resolve(this.src || '');
+    return (current && current.gateway) || null;
+  }
+
+  /**
+   * Get the rendition being played
+   * @returns {Object|null} { label, width, height, bitrate }, or null if unknown
+   */
+  getRendition() {
+    const levels = typeof this.player.qualityLevels === 'function' ? this.player.qualityLevels() : null;
+    const level = levels && levels.selectedIndex >= 0 ? levels[levels.selectedIndex] : null;
+    if (!level) return null;
+
+    const pixels = level.width > level.height ? level.height : level.width;
+    return {
+      label: level.label || (pixels ? `${pixels}p` : null),
+      width: level.width || null,
+      height: level.height || null,
+      bitrate: level.bitrate || null
+    };
+  }
+
+  /**
+   * Get the bandwidth estimate in bits per second
+   * VHS keeps its own estimate; native playback has none, so one is
+   * worked out from recent segment requests that reported a size.
+   * @returns {number|null} Estimate, or null if nothing is known yet
+   */
+  getBandwidth() {
+    if (!this.player.isNativePlayer) {
+      const tech = this.player.tech({ IWillNotUseThisInPlugins: true });
+      const vhs = tech && tech.vhs;
+      if (vhs && (vhs.systemBandwidth || vhs.bandwidth)) {
+        return Math.round(vhs.systemBandwidth || vhs.bandwidth);
+      }
+    }
+
+    const measured = this.requests.filter(request =>
+      request.ok && request.bytes > 0 && request.duration > 0 && request.requestType !== 'playlist');
+    if (measured.length === 0) return null;
+
+    const bytes = measured.reduce((total, request) => total + request.bytes, 0);
+    const duration = measured.reduce((total, request) => total + request.duration, 0);
+    return Math.round((bytes * 8) / (duration / 1000));
+  }
+
+  /**
+   * Get the seconds buffered ahead of the playhead
+   * @returns {number} Buffer ahead in seconds
+   */
+  getBufferAhead() {
+    const buffered = this.player.buffered();
+    const time = this.player.currentTime();
+    if (!buffered) return 0;
+
+    for (let i = 0; i < buffered.length; i++) {
+      if (time >= buffered.start(i) && time <= buffered.end(i)) {
+        return +(buffered.end(i) - time).toFixed(2);
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Build the diagnostics report
+   * @returns {Object} JSON-serializable report
+   */
+  getDiagnostics() {
+    const resolved = this.src ? IPFSResolver.resolve(this.src) : null;
+    const element = this.element;
+    const quality = typeof element.getVideoPlaybackQuality === 'function'
+      ? element.getVideoPlaybackQuality()
+      : null;
+
+    return {
+      generatedAt: new Date().toISOString(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      player: {
+        id: this.player.id(),
+        tech: this.player.isNativePlayer ? 'native' : 'videojs'
+      },
+      source: {
+        src: this.src,
+        currentSrc: this.player.currentSrc() || null,
+        cid: resolved ? resolved.cid : null,
+        path: resolved ? resolved.path || null : null,
+        gateway: this.getGateway(),
+        type: this.player.currentType() || this.type
+      },
+      detection: this.src ? DetectionCache.get(this.src) : null,
+      strategy: this.strategy,
+      capabilities: this.capabilities,
+      playback: {
+        currentTime: +this.player.currentTime().toFixed(2),
+        duration: this.player.duration() || null,
+        paused: this.player.paused(),
+        readyState: element.readyState,
+        networkState: element.networkState,
+        bufferAhead: this.getBufferAhead(),
+        resolution: element.videoWidth ? { width: element.videoWidth, height: element.videoHeight } : null,
+        droppedFrames: quality ? quality.droppedVideoFrames : null,
+        totalFrames: quality ? quality.totalVideoFrames : null
+      },
+      rendition: this.getRendition(),
+      bandwidth: this.getBandwidth(),
+      requests: this.requests.slice(),
+      errors: this.errors.slice(),
+      config: PlayerConfig.of(this.player)
+    };
+  }
+
+  /**
+   * Copy the diagnostics report to the clipboard as JSON
+   * @returns {Promise<boolean>} True if the report was copied
+   */
+  async copyDiagnostics() {
+    const text = JSON.stringify(this.getDiagnostics(), null, 2);
+
+    try {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        await navigator.clipboard.writeText(text);
+        return true;
+      }
+    } catch (error) {
+      // Clipboard API refused (permissions, insecure context) - try the fallback
+    }
+
+    // Older browsers and non-secure contexts
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    let copied = false;
+    try {
+      copied = document.execCommand('copy');
+    } catch (error) {
+      log.with(PlayerConfig.logContext(this.player)).warn('Could not copy diagnostics:', error);
+    }
+    textarea.remove();
+    return copied;
+  }
+
+  /**
+   * Context menu and shortcut
+   */
+
+  /**
+   * @param {boolean} contextMenu - Also add the context menu entry
+   */
+  attachControls(contextMenu) {
+    const target = this.getControlsTarget();
+
+    this.onContextMenu = (event) => {
+      // A second right-click while the menu is open gets the browser's menu
+      if (this.menu && !this.menu.hidden) {
+        this.hideMenu();
+        return;
+      }
+      event.preventDefault();
+      this.showMenu(event);
+    };
+
+    this.onKeyDown = (event) => {
+      if (event.shiftKey && !event.ctrlKey && !event.metaKey && !event.altKey &&
+          event.key && event.key.toUpperCase() === StatsOverlay.SHORTCUT_KEY) {
+        event.preventDefault();
+        this.toggle();
+      } else if (event.key === 'Escape') {
+        this.hideMenu();
+      }
+    };
+
+    this.onDocumentClick = (event) => {
+      if (this.menu && !this.menu.contains(event.target)) this.hideMenu();
+    };
+
+    this.controlsTarget = target;
+    target.addEventListener('keydown', this.onKeyDown);
+    if (contextMenu) {
+      this.contextMenu = true;
+      target.addEventListener('contextmenu', this.onContextMenu);
+      document.addEventListener('click', this.onDocumentClick);
+    }
+  }
+
+  /**
+   * Show the context menu at the pointer
+   * @param {MouseEvent} event - contextmenu event
+   */
+  showMenu(event) {
+    if (!this.menu) {
+      const menu = document.createElement('ul');
+      menu.className = 'ipfs-stats-menu vjs-menu-content';
+      menu.setAttribute('role', 'menu');
+
+      const item = document.createElement('li');
+      item.className = 'vjs-menu-item';
+      item.setAttribute('role', 'menuitem');
+      item.tabIndex = -1;
+      item.addEventListener('click', () => {
+        this.hideMenu();
+        this.toggle();
+      });
+
+      menu.appendChild(item);
+      if (!this.mount(menu)) return;
+      this.menu = menu;
+    }
+
+    const rect = this.getControlsTarget().getBoundingClientRect();
+    this.menu.firstChild.textContent = this.isOpen() ? 'Hide stats for nerds' : 'Stats for nerds';
+    this.place(this.menu, `${event.clientX - rect.left}px`, `${event.clientY - rect.top}px`);
+    this.menu.hidden = false;
+  }
+
+  hideMenu() {
+    if (this.menu) this.menu.hidden = true;
+  }
+
+  /**
+   * Panel
+   */
+
+  /**
+   * Check if the panel is showing
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return !!this.panel && !this.panel.root.hidden;
+  }
+
+  /**
+   * Show or hide the panel
+   * @param {boolean} show - Force open (true) or closed (false); toggles if omitted
+   * @returns {boolean} True if the panel is now open
+   */
+  toggle(show) {
+    const open = typeof show === 'boolean' ? show : !this.isOpen();
+    if (open) {
+      this.show();
+    } else {
+      this.hide();
+    }
+    return this.isOpen();
+  }
+
+  show() {
+    if (this.disposed) return;
+    if (!this.panel) this.createPanel();
+    if (!this.panel) return;
+
+    this.panel.root.hidden = false;
+    if (this.player.isNativePlayer) {
+      // The video may have moved or resized since the panel was last shown
+      this.place(this.panel.root, '0.75em', '0.75em');
+      this.panel.root.style.maxWidth = `calc(${this.element.offsetWidth}px - 1.5em)`;
+      this.panel.root.style.maxHeight = `calc(${this.element.offsetHeight}px - 4.5em)`;
+    }
+    this.render();
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => this.render(), StatsOverlay.REFRESH_INTERVAL);
+    }
+  }
+
+  hide() {
+    if (this.panel) this.panel.root.hidden = true;
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  createPanel() {
+    const root = document.createElement('div');
+    root.className = 'ipfs-stats-overlay';
+    root.setAttribute('role', 'dialog');
+    root.setAttribute('aria-label', 'Stats for nerds');
+    root.hidden = true;
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'ipfs-stats-close';
+    close.title = 'Close';
+    close.setAttribute('aria-label', 'Close');
+    close.textContent = '×';
+    close.addEventListener('click', () => this.hide());
+
+    const table = document.createElement('table');
+    table.className = 'ipfs-stats-table';
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'ipfs-stats-copy';
+    copy.textContent = 'Copy diagnostics';
+    copy.addEventListener('click', async () => {
+      const copied = await this.copyDiagnostics();
+      copy.textContent = copied ? 'Copied' : 'Copy failed';
+      setTimeout(() => { copy.textContent = 'Copy diagnostics'; }, 2000);
+    });
+
+    root.appendChild(close);
+    root.appendChild(table);
+    root.appendChild(copy);
+    if (!this.mount(root)) return;
+
+    this.panel = { root, table };
+  }
+
+  /**
+   * Redraw the panel from a fresh report
+   */
+  render() {
+    if (!this.panel) return;
+
+    const report = this.getDiagnostics();
+    const { source, detection, playback, rendition, capabilities } = report;
+
+    const type = [source.type, detection && detection.container, detection && detection.codecs.join(', ')]
+      .filter(Boolean).join(' · ');
+    const caps = capabilities
+      ? Object.keys(capabilities).filter(key => capabilities[key]).join(', ') || 'none'
+      : '—';
+    const resolution = playback.resolution ? `${playback.resolution.width}×${playback.resolution.height}` : '—';
+    const renditionText = rendition
+      ? `${rendition.label || '—'} @ ${formatBitrate(rendition.bitrate)}`
+      : 'auto';
+
+    const rows = [
+      ['Player', `${report.player.id} (${report.player.tech})`],
+      ['Strategy', report.strategy || '—'],
+      ['CID', source.cid ? `${source.cid}${source.path || ''}` : '—'],
+      ['Gateway', source.gateway || '—'],
+      ['Type', type || '—'],
+      ['Capabilities', caps],
+      ['Resolution', `${resolution} (${renditionText})`],
+      ['Bandwidth', formatBitrate(report.bandwidth)],
+      ['Buffer ahead', `${playback.bufferAhead.toFixed(1)} s`],
+      ['Dropped frames', playback.totalFrames ? `${playback.droppedFrames} / ${playback.totalFrames}` : '—']
+    ];
+
+    report.requests.slice(-StatsOverlay.VISIBLE_REQUESTS).reverse().forEach((request, index) => {
+      const status = request.ok ? '' : ` ✕ ${request.status || 'failed'}`;
+      rows.push([
+        index === 0 ? 'Requests' : '',
+        `${request.requestType || 'request'} ${request.duration} ms ${formatBytes(request.bytes)} ${request.gateway}${status}`
+      ]);
+    });
+    if (report.requests.length === 0) {
+      rows.push(['Requests', '—']);
+    }
+
+    report.errors.slice(-StatsOverlay.VISIBLE_REQUESTS).reverse().forEach((error, index) => {
+      rows.push([index === 0 ? 'Errors' : '', error.message || `Code ${error.code}`]);
+    });
+
+    const table = this.panel.table;
+    table.textContent = '';
+    rows.forEach(([label, value]) => {
+      const row = table.insertRow();
+      const name = row.insertCell();
+      name.className = 'ipfs-stats-label';
+      name.textContent = label;
+      row.insertCell().textContent = value;
+    });
+  }
+
+  /**
+   * Remove the panel, menu and listeners
+   */
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    this.hide();
+    this.player.off('ipfsqoe', this.onQoE);
+    this.player.off('dispose', this.onDispose);
+
+    if (this.controlsTarget) {
+      this.controlsTarget.removeEventListener('keydown', this.onKeyDown);
+      if (this.contextMenu) {
+        this.controlsTarget.removeEventListener('contextmenu', this.onContextMenu);
+        document.removeEventListener('click', this.onDocumentClick);
+      }
+    }
+    if (this.menu) this.menu.remove();
+    if (this.panel) this.panel.root.remove();
+    this.menu = null;
+    this.panel = null;
+
+    StatsOverlay.overlays.delete(this.player);
+    StatsOverlay.overlays.delete(this.element);
+  }
+}
+
+export default StatsOverlay;
+export { StatsOverlay };
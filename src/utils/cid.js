@@ -0,0 +1,423 @@
+/**
+ * CID Utilities for IPFS HLS Player
+ * Parse, validate and convert IPFS Content Identifiers without dependencies
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Supports CIDv0 (base58btc "Qm...") and CIDv1 in the multibase encodings
+ * gateways and apps actually use: base32 ("b"/"B"), base58btc ("z"),
+ * base36 ("k"/"K") and base16 ("f"/"F").
+ */
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE36_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Well-known multicodec codes
+ */
+const CODECS = {
+  0x55: 'raw',
+  0x70: 'dag-pb',
+  0x71: 'dag-cbor',
+  0x72: 'libp2p-key',
+  0x0129: 'dag-json'
+};
+
+/**
+ * Well-known multihash codes
+ */
+const HASHES = {
+  0x00: 'identity',
+  0x12: 'sha2-256',
+  0x13: 'sha2-512',
+  0xb220: 'blake2b-256'
+};
+
+/**
+ * Error thrown for malformed CIDs
+ */
+class CIDError extends Error {
+  constructor(message, value) {
+    super(message);
+    this.name = 'CIDError';
+    this.value = value;
+  }
+}
+
+/**
+ * Decode a base-x string (leading "zero" characters become zero bytes)
+ * @param {string} string - Encoded string
+ * @param {string} alphabet - Base alphabet
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeBaseX(string, alphabet) {
+  const base = alphabet.length;
+  let zeros = 0;
+  while (zeros < string.length && string[zeros] === alphabet[0]) zeros++;
+
+  // Little-endian accumulator
+  const bytes = [];
+  for (const char of string.slice(zeros)) {
+    let carry = alphabet.indexOf(char);
+    if (carry === -1) {
+      throw new CIDError(`Invalid character "${char}" for base${base}`, string);
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * base;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  return new Uint8Array([...new Array(zeros).fill(0), ...bytes.reverse()]);
+}
+
+/**
+ * Encode bytes as a base-x string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @param {string} alphabet - Base alphabet
+ * @returns {string} Encoded string
+ */
+function encodeBaseX(bytes, alphabet) {
+  const base = alphabet.length;
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+
+  // Little-endian digits
+  const digits = [];
+  for (const byte of bytes.slice(zeros)) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] * 256;
+      digits[i] = carry % base;
+      carry = Math.floor(carry / base);
+    }
+    while (carry > 0) {
+      digits.push(carry % base);
+      carry = Math.floor(carry / base);
+    }
+  }
+
+  return alphabet[0].repeat(zeros) + digits.reverse().map(digit => alphabet[digit]).join('');
+}
+
+/**
+ * Decode RFC 4648 base32 (lowercase, unpadded)
+ * @param {string} string - Encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeBase32(string) {
+  const output = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of string) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new CIDError(`Invalid character "${char}" for base32`, string);
+    }
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      output.push((buffer >> bits) & 0xff);
+    }
+  }
+
+  return new Uint8Array(output);
+}
+
+/**
+ * Encode bytes as RFC 4648 base32 (lowercase, unpadded)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Encoded string
+ */
+function encodeBase32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      output += BASE32_ALPHABET[(buffer >> bits) & 31];
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode base16
+ * @param {string} string - Encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeBase16(string) {
+  if (string.length % 2 !== 0 || /[^0-9a-f]/.test(string)) {
+    throw new CIDError('Invalid base16 string', string);
+  }
+  const output = new Uint8Array(string.length / 2);
+  for (let i = 0; i < output.length; i++) {
+    output[i] = parseInt(string.substr(i * 2, 2), 16);
+  }
+  return output;
+}
+
+/**
+ * Read an unsigned varint
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {Array<number>} [value, bytesRead]
+ */
+function readVarint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+
+  for (let i = offset; i < bytes.length && i < offset + 9; i++) {
+    value += (bytes[i] & 0x7f) * Math.pow(2, shift);
+    shift += 7;
+    if ((bytes[i] & 0x80) === 0) {
+      return [value, i - offset + 1];
+    }
+  }
+
+  throw new CIDError('Truncated varint in CID');
+}
+
+/**
+ * Encode an unsigned varint
+ * @param {number} value - Value to encode
+ * @returns {Array<number>} Encoded bytes
+ */
+function writeVarint(value) {
+  const output = [];
+  while (value >= 0x80) {
+    output.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  output.push(value);
+  return output;
+}
+
+/**
+ * Content Identifier
+ */
+class CID {
+  /**
+   * @param {number} version - 0 or 1
+   * @param {number} code - Multicodec code of the content
+   * @param {Object} multihash - { code, size, digest, bytes }
+   */
+  constructor(version, code, multihash) {
+    this.version = version;
+    this.code = code;
+    this.codec = CODECS[code] || `0x${code.toString(16)}`;
+    this.multihash = multihash;
+    this.hashName = HASHES[multihash.code] || `0x${multihash.code.toString(16)}`;
+  }
+
+  /**
+   * Parse a CID string
+   * @param {string} string - CIDv0 or multibase-encoded CIDv1
+   * @returns {CID} Parsed CID
+   * @throws {CIDError} If the string is not a valid CID
+   */
+  static parse(string) {
+    if (typeof string !== 'string' || string.length < 2) {
+      throw new CIDError('CID must be a non-empty string', string);
+    }
+
+    // CIDv0: bare base58btc sha2-256 multihash
+    if (string.length === 46 && string.startsWith('Qm')) {
+      const bytes = decodeBaseX(string, BASE58_ALPHABET);
+      const multihash = this.decodeMultihash(bytes, 0, string);
+      if (multihash.code !== 0x12 || multihash.size !== 32 || multihash.bytes.length !== bytes.length) {
+        throw new CIDError('CIDv0 must be a sha2-256 multihash', string);
+      }
+      return new CID(0, 0x70, multihash);
+    }
+
+    const bytes = this.decodeMultibase(string);
+    return this.decode(bytes, string);
+  }
+
+  /**
+   * Decode multibase-prefixed string to bytes
+   * @param {string} string - Multibase string
+   * @returns {Uint8Array} Decoded bytes
+   */
+  static decodeMultibase(string) {
+    const prefix = string[0];
+    const body = string.slice(1);
+
+    switch (prefix) {
+      case 'b': return decodeBase32(body);
+      case 'B': return decodeBase32(body.toLowerCase());
+      case 'z': return decodeBaseX(body, BASE58_ALPHABET);
+      case 'k': return decodeBaseX(body, BASE36_ALPHABET);
+      case 'K': return decodeBaseX(body.toLowerCase(), BASE36_ALPHABET);
+      case 'f': return decodeBase16(body);
+      case 'F': return decodeBase16(body.toLowerCase());
+      default:
+        throw new CIDError(`Unsupported multibase prefix "${prefix}"`, string);
+    }
+  }
+
+  /**
+   * Decode binary CIDv1
+   * @param {Uint8Array} bytes - CID bytes
+   * @param {string} source - Original string for error messages
+   * @returns {CID} Parsed CID
+   */
+  static decode(bytes, source) {
+    const [cid, length] = this.decodeFirst(bytes, 0, source);
+
+    if (cid.version !== 1) {
+      throw new CIDError('Multibase strings must hold a CIDv1', source);
+    }
+    if (length !== bytes.length) {
+      throw new CIDError('CID has trailing bytes', source);
+    }
+
+    return cid;
+  }
+
+  /**
+   * Decode a binary CID (v0 or v1) at an offset, allowing trailing data
+   * Used for CIDs embedded in CAR files and dag-pb links.
+   * @param {Uint8Array} bytes - Source bytes
+   * @param {number} offset - Start offset
+   * @param {string} source - Original string for error messages
+   * @returns {Array} [cid, bytesRead]
+   */
+  static decodeFirst(bytes, offset = 0, source) {
+    // Binary CIDv0 is a bare sha2-256 multihash
+    if (bytes[offset] === 0x12 && bytes[offset + 1] === 0x20) {
+      const multihash = this.decodeMultihash(bytes, offset, source);
+      return [new CID(0, 0x70, multihash), multihash.bytes.length];
+    }
+
+    const [version, versionLength] = readVarint(bytes, offset);
+    if (version !== 1) {
+      throw new CIDError(`Unsupported CID version ${version}`, source);
+    }
+
+    const [code, codeLength] = readVarint(bytes, offset + versionLength);
+    const start = offset + versionLength + codeLength;
+    const multihash = this.decodeMultihash(bytes, start, source);
+
+    return [new CID(1, code, multihash), start - offset + multihash.bytes.length];
+  }
+
+  /**
+   * Decode a multihash
+   * @param {Uint8Array} bytes - Source bytes
+   * @param {number} offset - Start offset
+   * @param {string} source - Original string for error messages
+   * @returns {Object} { code, size, digest, bytes }
+   */
+  static decodeMultihash(bytes, offset, source) {
+    const [code, codeLength] = readVarint(bytes, offset);
+    const [size, sizeLength] = readVarint(bytes, offset + codeLength);
+    const start = offset + codeLength + sizeLength;
+
+    if (start + size > bytes.length) {
+      throw new CIDError('CID multihash digest is truncated', source);
+    }
+
+    return {
+      code,
+      size,
+      digest: bytes.slice(start, start + size),
+      bytes: bytes.slice(offset, start + size)
+    };
+  }
+
+  /**
+   * Check if a string is a valid CID
+   * @param {string} string - Candidate CID
+   * @returns {boolean} True if valid
+   */
+  static isValid(string) {
+    try {
+      this.parse(string);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Convert any CID string to CIDv1 base32 (required for subdomain gateways)
+   * @param {string} string - CID string
+   * @returns {string} CIDv1 base32 string
+   */
+  static toV1(string) {
+    return this.parse(string).toV1().toString();
+  }
+
+  /**
+   * Binary form of this CID
+   * @returns {Uint8Array} CID bytes
+   */
+  get bytes() {
+    if (this.version === 0) return this.multihash.bytes;
+    return new Uint8Array([...writeVarint(1), ...writeVarint(this.code), ...this.multihash.bytes]);
+  }
+
+  /**
+   * Get the CIDv1 equivalent of this CID
+   * @returns {CID} CIDv1
+   */
+  toV1() {
+    return this.version === 1 ? this : new CID(1, this.code, this.multihash);
+  }
+
+  /**
+   * Check if two CIDs address the same content
+   * @param {CID|string} other - CID to compare
+   * @returns {boolean} True if codec and multihash match
+   */
+  equals(other) {
+    const cid = typeof other === 'string' ? CID.parse(other) : other;
+    const a = this.toV1().bytes;
+    const b = cid.toV1().bytes;
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+  }
+
+  /**
+   * Encode this CID as a string
+   * @param {string} base - 'base32' (default for v1), 'base58btc' or 'base36'
+   * @returns {string} Encoded CID
+   */
+  toString(base) {
+    if (this.version === 0 && (!base || base === 'base58btc')) {
+      return encodeBaseX(this.multihash.bytes, BASE58_ALPHABET);
+    }
+    if (this.version === 0) {
+      throw new CIDError('CIDv0 can only be encoded as base58btc; convert with toV1() first');
+    }
+
+    switch (base || 'base32') {
+      case 'base32': return 'b' + encodeBase32(this.bytes);
+      case 'base58btc': return 'z' + encodeBaseX(this.bytes, BASE58_ALPHABET);
+      case 'base36': return 'k' + encodeBaseX(this.bytes, BASE36_ALPHABET);
+      default:
+        throw new CIDError(`Unsupported base "${base}"`);
+    }
+  }
+}
+
+export default CID;
+export { CID, CIDError };
@@ -1,94 +1,336 @@
 // Debug Logger Utility
-// Provides conditional logging based on debug mode setting
-// Enable via localStorage: localStorage.setItem('dlux_debug', 'true')
-// Or via URL: ?debug=true
+// Namespaced, levelled logging with structured records and pluggable sinks
+//
+// Every message becomes a record { time, level, namespace, message, data, context }
+// that is handed to each registered sink. The built-in console sink always
+// prints info, warnings and errors, and prints debug records only for
+// namespaces with debug output enabled:
+//   logger.enable('detect,vhs')     // '*' for everything, '-native' to exclude one
+//   localStorage.setItem('ipfs_hls_debug', 'detect,vhs')   // 'true' means '*'
+//   ?debug=true or ?debug=detect,vhs
+// Records that carry a per-player `debug` flag in their context follow that
+// player's setting instead of the global one.
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+// Parse 'detect,vhs -native' into include/exclude lists of RegExps
+function parsePatterns(patterns) {
+    const parsed = { include: [], exclude: [] };
+    if (patterns === true) patterns = '*';
+    if (!patterns || typeof patterns !== 'string') return parsed;
+
+    patterns.split(/[\s,]+/).filter(Boolean).forEach(pattern => {
+        const exclude = pattern[0] === '-';
+        const name = exclude ? pattern.slice(1) : pattern;
+        const source = name.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        parsed[exclude ? 'exclude' : 'include'].push(new RegExp(`^${source}$`));
+    });
+    return parsed;
+}
+
+function matchesPatterns(parsed, namespace) {
+    if (parsed.exclude.some(pattern => pattern.test(namespace))) return false;
+    return parsed.include.some(pattern => pattern.test(namespace));
+}
+
+// JSON-safe copy of log data (Errors keep their message, cycles and DOM nodes are dropped)
+function toSerializable(value) {
+    const seen = new WeakSet();
+    return JSON.parse(JSON.stringify(value, (key, item) => {
+        if (item instanceof Error) {
+            return { name: item.name, message: item.message, code: item.code, stack: item.stack };
+        }
+        if (typeof Node !== 'undefined' && item instanceof Node) {
+            return `<${item.nodeName.toLowerCase()}${item.id ? '#' + item.id : ''}>`;
+        }
+        if (item && typeof item === 'object') {
+            if (seen.has(item)) return '[Circular]';
+            seen.add(item);
+        }
+        return item;
+    }) || 'null');
+}
+
+// Logger bound to one namespace (and optionally a player context)
+class NamespaceLogger {
+    constructor(root, namespace, context = {}) {
+        this.root = root;
+        this.namespace = namespace;
+        this.context = context;
+    }
+
+    debug(message, ...data) {
+        this.root.log('debug', this.namespace, message, data, this.context);
+    }
+
+    info(message, ...data) {
+        this.root.log('info', this.namespace, message, data, this.context);
+    }
+
+    warn(message, ...data) {
+        this.root.log('warn', this.namespace, message, data, this.context);
+    }
+
+    error(message, ...data) {
+        this.root.log('error', this.namespace, message, data, this.context);
+    }
+
+    // True if debug output is on for this namespace and context
+    isEnabled() {
+        return this.root.isEnabled(this.namespace, this.context);
+    }
+
+    // Same namespace with extra context, e.g. { player: 'video-1', debug: true }
+    with(context) {
+        return new NamespaceLogger(this.root, this.namespace, { ...this.context, ...context });
+    }
+
+    // Sub-namespace, e.g. 'gateway' -> 'gateway:race'
+    child(name) {
+        return new NamespaceLogger(this.root, `${this.namespace}:${name}`, this.context);
+    }
+}
 
 class DebugLogger {
-    constructor() {
-        this.debugEnabled = this.checkDebugMode();
-        this.prefix = '[DLUX]';
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'IPFSHLSPlayer';
+        this.storageKey = options.storageKey || 'ipfs_hls_debug';
+        this.namespaces = new Map();
+        this.sinks = [];
+        // Console threshold for namespaces without debug output
+        this.level = 'info';
+        // Decides debug output for records without a per-player flag
+        this.debugSource = null;
+
+        this.patterns = parsePatterns(this.checkDebugMode());
+        // Remove with removeSink(logger.consoleSink) when forwarding logs elsewhere
+        this.consoleSink = record => this.writeConsole(record);
+        this.addSink(this.consoleSink, { level: 'debug' });
     }
 
+    // Debug patterns from localStorage or the URL ('' if none)
     checkDebugMode() {
-        // Check localStorage
-        if (typeof localStorage !== 'undefined' && localStorage.getItem('dlux_debug') === 'true') {
-            return true;
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const stored = localStorage.getItem(this.storageKey);
+                if (stored && stored !== 'false') return stored === 'true' ? '*' : stored;
+            }
+        } catch (error) {
+            // Storage disabled
         }
 
-        // Check URL parameter
-        if (typeof window !== 'undefined' && window.location) {
-            const urlParams = new URLSearchParams(window.location.search);
-            if (urlParams.get('debug') === 'true') {
-                return true;
-            }
+        if (typeof window !== 'undefined' && window.location && window.location.search) {
+            const param = new URLSearchParams(window.location.search).get('debug');
+            if (param && param !== 'false') return param === 'true' ? '*' : param;
         }
 
-        return false;
+        return '';
     }
 
+    // Legacy switch: debug output for every namespace, persisted in localStorage
     setDebugMode(enabled) {
-        this.debugEnabled = enabled;
-        if (typeof localStorage !== 'undefined') {
-            localStorage.setItem('dlux_debug', enabled ? 'true' : 'false');
+        this.enable(enabled ? '*' : '', { persist: true });
+    }
+
+    get debugEnabled() {
+        return this.patterns.include.length > 0;
+    }
+
+    // Legacy assignment: debug output for every namespace, for this page only
+    set debugEnabled(value) {
+        this.enable(value ? '*' : '');
+    }
+
+    // Enable debug output for namespaces ('*', 'detect,vhs', 'gateway* -native')
+    enable(patterns, options = {}) {
+        this.patterns = parsePatterns(patterns);
+        if (options.persist) {
+            try {
+                if (typeof localStorage !== 'undefined') {
+                    if (patterns) {
+                        localStorage.setItem(this.storageKey, patterns === true ? 'true' : patterns);
+                    } else {
+                        localStorage.removeItem(this.storageKey);
+                    }
+                }
+            } catch (error) {
+                // Storage disabled - the setting lasts for this page only
+            }
         }
     }
 
-    // Debug level - only shown when debug mode is enabled
-    debug(...args) {
-        if (this.debugEnabled) {
-            console.log(this.prefix + ' [DEBUG]', ...args);
+    disable(options = {}) {
+        this.enable('', options);
+    }
+
+    // Function returning true when debug output is on by default (e.g. a config flag)
+    setDebugSource(source) {
+        this.debugSource = typeof source === 'function' ? source : null;
+    }
+
+    // Minimum level the console prints for namespaces without debug output
+    setLevel(level) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level "${level}" (use ${Object.keys(LEVELS).join(', ')})`);
         }
+        this.level = level;
     }
 
-    // Info level - always shown in production
-    info(...args) {
-        console.log(this.prefix + ' [INFO]', ...args);
+    isEnabled(namespace, context = {}) {
+        if (matchesPatterns(this.patterns, namespace)) return true;
+        if (typeof context.debug === 'boolean') return context.debug;
+        return Boolean(this.debugSource && this.debugSource());
     }
 
-    // Warning level - always shown
-    warn(...args) {
-        console.warn(this.prefix + ' [WARN]', ...args);
+    // Get the (cached) logger for a namespace
+    namespace(name) {
+        if (!this.namespaces.has(name)) {
+            this.namespaces.set(name, new NamespaceLogger(this, name));
+        }
+        return this.namespaces.get(name);
     }
 
-    // Error level - always shown
-    error(...args) {
-        console.error(this.prefix + ' [ERROR]', ...args);
+    // Register a sink: a function or an object with write(record).
+    // Options: level (minimum level, default 'info'), namespaces (patterns, default all).
+    // Returns a function that removes the sink.
+    addSink(sink, options = {}) {
+        const write = typeof sink === 'function' ? sink : sink && sink.write && sink.write.bind(sink);
+        if (!write) throw new Error('Log sink must be a function or have a write(record) method');
+        if (options.level && !(options.level in LEVELS)) {
+            throw new Error(`Unknown log level "${options.level}" (use ${Object.keys(LEVELS).join(', ')})`);
+        }
+
+        const entry = {
+            sink,
+            write,
+            level: options.level || 'info',
+            namespaces: options.namespaces ? parsePatterns(options.namespaces) : null
+        };
+        this.sinks.push(entry);
+
+        return () => this.removeSink(sink);
+    }
+
+    removeSink(sink) {
+        this.sinks = this.sinks.filter(entry => entry.sink !== sink);
+    }
+
+    // In-memory ring buffer sink for bug reports (keeps the last `size` records)
+    createBuffer(options = {}) {
+        const size = options.size || 500;
+        const records = [];
+        const buffer = {
+            write(record) {
+                records.push(record);
+                if (records.length > size) records.splice(0, records.length - size);
+            },
+            records() {
+                return records.slice();
+            },
+            clear() {
+                records.length = 0;
+            },
+            // JSON text of the buffered records, safe for attaching to a report
+            export() {
+                return JSON.stringify(records.map(record => ({
+                    ...record,
+                    time: new Date(record.time).toISOString(),
+                    data: toSerializable(record.data),
+                    context: toSerializable(record.context)
+                })), null, 2);
+            }
+        };
+        buffer.remove = this.addSink(buffer, { level: options.level || 'debug', namespaces: options.namespaces });
+        return buffer;
+    }
+
+    // Build a record and hand it to every interested sink
+    log(level, namespace, message, data = [], context = {}) {
+        const interested = this.sinks.filter(entry =>
+            LEVELS[level] >= LEVELS[entry.level] &&
+            (!entry.namespaces || matchesPatterns(entry.namespaces, namespace))
+        );
+        if (interested.length === 0) return;
+
+        const record = { time: Date.now(), level, namespace, message, data, context };
+        interested.forEach(entry => {
+            try {
+                entry.write(record);
+            } catch (error) {
+                // A failing sink must not break playback
+            }
+        });
+    }
+
+    writeConsole(record) {
+        const { level, namespace, message, data, context } = record;
+        if (LEVELS[level] < LEVELS[this.level] && !this.isEnabled(namespace, context)) return;
+
+        const label = this.prefix + (namespace ? ` [${namespace}]` : '') +
+            (context && context.player ? ` #${context.player}` : '');
+        const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+        console[method](`${label}:`, message, ...data);
+    }
+
+    // Root-level logging (no namespace)
+    debug(message, ...data) {
+        this.log('debug', '', message, data);
+    }
+
+    info(message, ...data) {
+        this.log('info', '', message, data);
+    }
+
+    warn(message, ...data) {
+        this.log('warn', '', message, data);
+    }
+
+    error(message, ...data) {
+        this.log('error', '', message, data);
     }
 
     // Group logging for better organization
     group(label) {
-        if (this.debugEnabled) {
+        if (this.isEnabled('')) {
             console.group(this.prefix + ' ' + label);
         }
     }
 
     groupEnd() {
-        if (this.debugEnabled) {
+        if (this.isEnabled('')) {
             console.groupEnd();
         }
     }
 
     // Table logging for structured data
     table(data, columns) {
-        if (this.debugEnabled) {
+        if (this.isEnabled('')) {
             console.table(data, columns);
         }
     }
 
     // Time tracking
     time(label) {
-        if (this.debugEnabled) {
+        if (this.isEnabled('')) {
             console.time(this.prefix + ' ' + label);
         }
     }
 
     timeEnd(label) {
-        if (this.debugEnabled) {
+        if (this.isEnabled('')) {
             console.timeEnd(this.prefix + ' ' + label);
         }
     }
 }
 
+DebugLogger.LEVELS = LEVELS;
+
 // Create singleton instance
 const debugLogger = new DebugLogger();
 
@@ -99,4 +341,4 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Export for ES6 modules
 export default debugLogger;
-export { debugLogger };
+export { debugLogger, DebugLogger, NamespaceLogger };
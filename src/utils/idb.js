@@ -0,0 +1,112 @@
+/**
+ * IndexedDB helper for IPFS HLS Player
+ * Minimal promise wrapper shared by the page and the service worker
+ *
+ * @author Mark Giles
+ * @license MIT
+ */
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * A database with one or more object stores keyed by `keyPath`
+ */
+class IDBStore {
+  /**
+   * @param {string} name - Database name
+   * @param {Object} stores - Store name -> keyPath, e.g. { entries: 'key' }
+   * @param {number} version - Schema version (bump when stores change)
+   */
+  constructor(name, stores, version = 1) {
+    this.name = name;
+    this.stores = stores;
+    this.version = version;
+    this.db = null;
+  }
+
+  /**
+   * Check if IndexedDB is available in this context
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating missing stores
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    const request = indexedDB.open(this.name, this.version);
+    request.onupgradeneeded = () => {
+      Object.entries(this.stores).forEach(([store, keyPath]) => {
+        if (!request.result.objectStoreNames.contains(store)) {
+          request.result.createObjectStore(store, { keyPath });
+        }
+      });
+    };
+
+    this.db = await promisify(request);
+    // Let other tabs upgrade the schema
+    this.db.onversionchange = () => {
+      this.db.close();
+      this.db = null;
+    };
+    return this.db;
+  }
+
+  /**
+   * Run a single request against a store
+   * @param {string} store - Store name
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} fn - (objectStore) => IDBRequest
+   * @returns {Promise<*>} Request result once the transaction completes
+   */
+  async run(store, mode, fn) {
+    const db = await this.open();
+    const transaction = db.transaction(store, mode);
+    const result = promisify(fn(transaction.objectStore(store)));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return result;
+  }
+
+  get(store, key) {
+    return this.run(store, 'readonly', objectStore => objectStore.get(key));
+  }
+
+  getAll(store) {
+    return this.run(store, 'readonly', objectStore => objectStore.getAll());
+  }
+
+  put(store, value) {
+    return this.run(store, 'readwrite', objectStore => objectStore.put(value));
+  }
+
+  delete(store, key) {
+    return this.run(store, 'readwrite', objectStore => objectStore.delete(key));
+  }
+
+  clear(store) {
+    return this.run(store, 'readwrite', objectStore => objectStore.clear());
+  }
+}
+
+export default IDBStore;
+export { IDBStore };
@@ -0,0 +1,442 @@
+/**
+ * Verified (Trustless) Fetching for IPFS HLS Player
+ * Checks gateway responses against their CID before they are played
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Content addressing means the gateway does not have to be trusted: the
+ * player asks for raw blocks (application/vnd.ipld.raw) or a CAR file
+ * (application/vnd.ipld.car), hashes every block, checks it against the
+ * CID that links to it and only then reassembles the UnixFS file.
+ */
+
+import IPFSResolver from './ipfs-resolver.js';
+import CID from './utils/cid.js';
+import PlayerConfig from './player-config.js';
+
+const RAW_CODEC = 0x55;
+const DAG_PB_CODEC = 0x70;
+
+// UnixFS node types
+const UNIXFS_RAW = 0;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+const UNIXFS_HAMT_SHARD = 5;
+
+/**
+ * Error surfaced when gateway data does not match its CID
+ */
+class IntegrityError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'IPFSIntegrityError';
+    this.code = 'IPFS_INTEGRITY';
+    this.cid = details.cid || null;
+    this.url = details.url || null;
+  }
+}
+
+/**
+ * Minimal protobuf reader for dag-pb and UnixFS messages
+ * @param {Uint8Array} bytes - Encoded message
+ * @returns {Array<Object>} Fields as { field, value } (bytes or numbers)
+ */
+function readProtobuf(bytes) {
+  const fields = [];
+  let offset = 0;
+
+  const readVarint = () => {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (offset >= bytes.length) throw new IntegrityError('Truncated protobuf varint');
+      byte = bytes[offset++];
+      value += (byte & 0x7f) * Math.pow(2, shift);
+      shift += 7;
+    } while (byte & 0x80);
+    return value;
+  };
+
+  while (offset < bytes.length) {
+    const key = readVarint();
+    const field = Math.floor(key / 8);
+    const wireType = key & 7;
+
+    if (wireType === 0) {
+      fields.push({ field, value: readVarint() });
+    } else if (wireType === 2) {
+      const length = readVarint();
+      if (offset + length > bytes.length) throw new IntegrityError('Truncated protobuf field');
+      fields.push({ field, value: bytes.subarray(offset, offset + length) });
+      offset += length;
+    } else if (wireType === 1) {
+      offset += 8;
+    } else if (wireType === 5) {
+      offset += 4;
+    } else {
+      throw new IntegrityError(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array>} parts - Parts in order
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const output = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+}
+
+/**
+ * Map key for a CID's multihash (v0 and v1 of the same block share it)
+ * @param {CID} cid - CID
+ * @returns {string} Hex multihash
+ */
+function blockKey(cid) {
+  return Array.from(cid.multihash.bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Verified Fetch Service
+ */
+class VerifiedFetch {
+  static RAW_TYPE = 'application/vnd.ipld.raw';
+  static CAR_TYPE = 'application/vnd.ipld.car';
+
+  /**
+   * Web Crypto names for supported multihash codes
+   */
+  static DIGESTS = {
+    0x12: 'SHA-256',
+    0x13: 'SHA-512'
+  };
+
+  /**
+   * Check if verified mode is on
+   * @param {Object} options - Player options (per-player `verified` wins)
+   * @returns {boolean} True if responses must be verified
+   */
+  static isEnabled(options = {}) {
+    if (typeof options.verified === 'boolean') return options.verified;
+    const config = PlayerConfig.get();
+    return config.verified === true;
+  }
+
+  /**
+   * Check if a URL can be verified (immutable /ipfs/ content with a CID)
+   * @param {string} url - Request URL
+   * @returns {Object|null} Resolved source or null
+   */
+  static getVerifiableSource(url) {
+    const resolved = IPFSResolver.resolve(url);
+    return resolved && resolved.namespace === 'ipfs' ? resolved : null;
+  }
+
+  /**
+   * Pick the trustless response type for a source
+   * A raw-codec CID without a path is a single block; everything else
+   * needs a CAR with the blocks along the path and the file's DAG.
+   * @param {Object} resolved - Resolved source
+   * @returns {string} Accept header value
+   */
+  static getAcceptType(resolved) {
+    const cid = CID.parse(resolved.cid);
+    const path = resolved.path.split('?')[0];
+    return cid.code === RAW_CODEC && (!path || path === '/') ? this.RAW_TYPE : this.CAR_TYPE;
+  }
+
+  /**
+   * Verify a block against its CID
+   * @param {CID} cid - Expected CID
+   * @param {Uint8Array} bytes - Block data
+   * @returns {Promise<void>} Rejects with IntegrityError on mismatch
+   */
+  static async verifyBlock(cid, bytes) {
+    const { code, digest } = cid.multihash;
+    let actual;
+
+    if (code === 0x00) {
+      actual = bytes;
+    } else if (this.DIGESTS[code]) {
+      actual = new Uint8Array(await crypto.subtle.digest(this.DIGESTS[code], bytes));
+    } else {
+      throw new IntegrityError(`Unsupported hash function ${cid.hashName}`, { cid: cid.toString() });
+    }
+
+    if (actual.length !== digest.length || !actual.every((byte, i) => byte === digest[i])) {
+      throw new IntegrityError(`Block does not match CID ${cid.toString()}`, { cid: cid.toString() });
+    }
+  }
+
+  /**
+   * Parse a CARv1 response into verified blocks
+   * @param {Uint8Array} bytes - CAR bytes
+   * @returns {Promise<Map>} Blocks keyed by multihash
+   */
+  static async readCAR(bytes) {
+    const blocks = new Map();
+    let offset = 0;
+
+    const readVarint = () => {
+      let value = 0;
+      let shift = 0;
+      let byte;
+      do {
+        if (offset >= bytes.length) throw new IntegrityError('Truncated CAR file');
+        byte = bytes[offset++];
+        value += (byte & 0x7f) * Math.pow(2, shift);
+        shift += 7;
+      } while (byte & 0x80);
+      return value;
+    };
+
+    // Skip the dag-cbor header - roots are checked by walking from our own CID
+    const headerLength = readVarint();
+    offset += headerLength;
+
+    while (offset < bytes.length) {
+      const sectionLength = readVarint();
+      const sectionEnd = offset + sectionLength;
+      if (sectionEnd > bytes.length) throw new IntegrityError('Truncated CAR block');
+
+      const [cid, cidLength] = CID.decodeFirst(bytes, offset);
+      const data = bytes.subarray(offset + cidLength, sectionEnd);
+      await this.verifyBlock(cid, data);
+
+      blocks.set(blockKey(cid), data);
+      offset = sectionEnd;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Decode a dag-pb node
+   * @param {Uint8Array} bytes - Block data
+   * @returns {Object} { data, links: [{ cid, name }] }
+   */
+  static decodePBNode(bytes) {
+    const node = { data: null, links: [] };
+
+    readProtobuf(bytes).forEach(({ field, value }) => {
+      if (field === 1) {
+        node.data = value;
+      } else if (field === 2) {
+        const link = { cid: null, name: '' };
+        readProtobuf(value).forEach(linkField => {
+          if (linkField.field === 1) link.cid = CID.decodeFirst(linkField.value, 0)[0];
+          if (linkField.field === 2) link.name = new TextDecoder().decode(linkField.value);
+        });
+        node.links.push(link);
+      }
+    });
+
+    return node;
+  }
+
+  /**
+   * Decode UnixFS metadata from a dag-pb node's data
+   * @param {Uint8Array} bytes - dag-pb Data field
+   * @returns {Object} { type, data }
+   */
+  static decodeUnixFS(bytes) {
+    const unixfs = { type: UNIXFS_RAW, data: new Uint8Array(0) };
+
+    readProtobuf(bytes || new Uint8Array(0)).forEach(({ field, value }) => {
+      if (field === 1) unixfs.type = value;
+      if (field === 2) unixfs.data = value;
+    });
+
+    return unixfs;
+  }
+
+  /**
+   * Get a verified block, failing if the gateway left it out
+   * @param {Map} blocks - Verified blocks
+   * @param {CID} cid - Block CID
+   * @returns {Uint8Array} Block data
+   */
+  static getBlock(blocks, cid) {
+    const block = blocks.get(blockKey(cid));
+    if (!block) {
+      throw new IntegrityError(`Response is missing block ${cid.toString()}`, { cid: cid.toString() });
+    }
+    return block;
+  }
+
+  /**
+   * Reassemble a UnixFS file from verified blocks
+   * @param {Map} blocks - Verified blocks
+   * @param {CID} cid - File root CID
+   * @returns {Uint8Array} File bytes
+   */
+  static readFile(blocks, cid) {
+    const block = this.getBlock(blocks, cid);
+    if (cid.code === RAW_CODEC) return block;
+    if (cid.code !== DAG_PB_CODEC) {
+      throw new IntegrityError(`Unsupported codec ${cid.codec} in file DAG`, { cid: cid.toString() });
+    }
+
+    const node = this.decodePBNode(block);
+    const unixfs = this.decodeUnixFS(node.data);
+    if (unixfs.type !== UNIXFS_FILE && unixfs.type !== UNIXFS_RAW) {
+      throw new IntegrityError(`CID ${cid.toString()} is not a file`, { cid: cid.toString() });
+    }
+
+    return concatBytes([unixfs.data, ...node.links.map(link => this.readFile(blocks, link.cid))]);
+  }
+
+  /**
+   * Follow a path through UnixFS directories
+   * @param {Map} blocks - Verified blocks
+   * @param {CID} root - Root CID
+   * @param {string} path - Path inside the root
+   * @returns {CID} CID of the path's target
+   */
+  static resolvePath(blocks, root, path) {
+    const segments = path.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+    let cid = root;
+
+    for (const segment of segments) {
+      if (cid.code !== DAG_PB_CODEC) {
+        throw new IntegrityError(`Cannot traverse "${segment}" in non-directory ${cid.toString()}`);
+      }
+
+      const node = this.decodePBNode(this.getBlock(blocks, cid));
+      const unixfs = this.decodeUnixFS(node.data);
+      if (unixfs.type === UNIXFS_HAMT_SHARD) {
+        throw new IntegrityError('Sharded (HAMT) directories cannot be verified', { cid: cid.toString() });
+      }
+      if (unixfs.type !== UNIXFS_DIRECTORY) {
+        throw new IntegrityError(`Cannot traverse "${segment}" in non-directory ${cid.toString()}`);
+      }
+
+      const link = node.links.find(entry => entry.name === segment);
+      if (!link) {
+        throw new IntegrityError(`"${segment}" not found in directory ${cid.toString()}`, { cid: cid.toString() });
+      }
+      cid = link.cid;
+    }
+
+    return cid;
+  }
+
+  /**
+   * Verify a trustless gateway response and extract the content bytes
+   * @param {Object} resolved - Resolved source (cid + path)
+   * @param {Uint8Array} bytes - Response body
+   * @param {string} contentType - Response Content-Type
+   * @returns {Promise<Uint8Array>} Verified content bytes
+   */
+  static async verify(resolved, bytes, contentType = '') {
+    const root = CID.parse(resolved.cid);
+    const type = contentType.split(';')[0].trim();
+
+    if (type === this.CAR_TYPE) {
+      const blocks = await this.readCAR(bytes);
+      return this.readFile(blocks, this.resolvePath(blocks, root, resolved.path));
+    }
+
+    // A raw block response (or a gateway ignoring Accept for a raw leaf)
+    // is the content itself and can be hashed directly
+    const path = resolved.path.split('?')[0];
+    if (root.code === RAW_CODEC && (!path || path === '/')) {
+      await this.verifyBlock(root, bytes);
+      return bytes;
+    }
+
+    throw new IntegrityError(`Gateway did not return a verifiable response (got ${type || 'no content type'})`, {
+      cid: resolved.cid
+    });
+  }
+
+  /**
+   * Fetch and verify content with fetch()
+   * @param {string} url - Gateway URL of immutable /ipfs/ content
+   * @param {Object} init - fetch() options
+   * @returns {Promise<Uint8Array>} Verified content bytes
+   */
+  static async fetch(url, init = {}) {
+    const resolved = this.getVerifiableSource(url);
+    if (!resolved) {
+      throw new IntegrityError(`Cannot verify non-IPFS content: ${url}`, { url });
+    }
+
+    const response = await fetch(url, {
+      ...init,
+      headers: { ...(init.headers || {}), 'Accept': this.getAcceptType(resolved) }
+    });
+    if (!response.ok) {
+      throw new Error(`Verified fetch failed with status ${response.status}: ${url}`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    try {
+      return await this.verify(resolved, bytes, response.headers.get('content-type') || '');
+    } catch (error) {
+      error.url = error.url || url;
+      throw error;
+    }
+  }
+
+  /**
+   * Turn VHS xhr options into a trustless request
+   * Byte ranges are dropped and applied after verification.
+   * @param {Object} options - VHS xhr options
+   * @param {Object} resolved - Resolved source
+   * @returns {Object} New xhr options
+   */
+  static prepareXhrOptions(options, resolved) {
+    const headers = { ...(options.headers || {}) };
+    delete headers.Range;
+    headers.Accept = this.getAcceptType(resolved);
+
+    return { ...options, headers, responseType: 'arraybuffer' };
+  }
+
+  /**
+   * Verify a completed VHS xhr and replace its body with the verified content
+   * The original responseType is restored so VHS reads the data as usual.
+   * @param {XMLHttpRequest} request - Completed request
+   * @param {Object} options - Original VHS xhr options
+   * @param {Object} resolved - Resolved source
+   * @returns {Promise<void>} Rejects with IntegrityError on mismatch
+   */
+  static async applyToXhr(request, options, resolved) {
+    const contentType = request.getResponseHeader ? request.getResponseHeader('content-type') : '';
+    let bytes = await this.verify(resolved, new Uint8Array(request.response), contentType || '');
+
+    const range = options.headers && options.headers.Range && options.headers.Range.match(/bytes=(\d+)-(\d+)?/);
+    if (range) {
+      const end = range[2] !== undefined ? Number(range[2]) + 1 : bytes.length;
+      bytes = bytes.slice(Number(range[1]), end);
+    }
+
+    const responseType = options.responseType || '';
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+    Object.defineProperty(request, 'responseType', { value: responseType, configurable: true });
+    if (responseType === 'arraybuffer') {
+      Object.defineProperty(request, 'response', { value: buffer, configurable: true });
+    } else {
+      const text = new TextDecoder().decode(bytes);
+      Object.defineProperty(request, 'response', { value: text, configurable: true });
+      Object.defineProperty(request, 'responseText', { value: text, configurable: true });
+    }
+  }
+}
+
+export default VerifiedFetch;
+export { VerifiedFetch, IntegrityError };
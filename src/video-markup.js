@@ -0,0 +1,207 @@
+/**
+ * Video Markup for IPFS HLS Player
+ * Reads player options from a <video> element's markup
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Server-rendered pages configure players through markup alone, so
+ * enhancement reads more than the video's src: every <source> child (in
+ * document order, as fallbacks), every <track> child, and data-ipfs-*
+ * attributes for IPFS content:
+ *
+ *   <video data-ipfs-cid="bafy..." data-ipfs-path="/master.m3u8"
+ *          data-ipfs-gateways="https://dweb.link, https://ipfs.io"
+ *          data-ipfs-type="application/x-mpegURL"
+ *          data-ipfs-poster-cid="bafy.../poster.jpg"
+ *          data-ipfs-options='{"config": {"verified": true}}'>
+ *     <source src="/fallback/master.m3u8" type="application/x-mpegURL">
+ *     <track kind="subtitles" srclang="en" label="English" data-ipfs-cid="bafy.../en.vtt">
+ *   </video>
+ *
+ * <source> and <track> elements take data-ipfs-cid too. With
+ * data-ipfs-gateways, IPFS sources, tracks and the poster are built on
+ * the first gateway, and the list becomes the player's `gateways` option:
+ * that player's requests fail over to them before the page's gateways,
+ * which they are never added to.
+ */
+
+import IPFSResolver from './ipfs-resolver.js';
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('markup');
+
+/**
+ * Track attributes passed to the player
+ */
+const TRACK_ATTRIBUTES = ['kind', 'srclang', 'label'];
+
+/**
+ * Video Markup Reader
+ */
+class VideoMarkup {
+  /**
+   * Read everything the markup says about the player
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {Object} { sources, tracks, poster, gateways, options } - sources
+   *   in fallback order as { src } or { cid, path } with an optional type,
+   *   tracks as addRemoteTextTrack options, and options from data-ipfs-options
+   */
+  static read(video) {
+    const gateways = this.getGateways(video);
+
+    return {
+      sources: this.getSources(video, gateways[0]),
+      tracks: this.getTracks(video, gateways[0]),
+      poster: this.getPoster(video, gateways[0]),
+      gateways,
+      options: this.getOptions(video)
+    };
+  }
+
+  /**
+   * Parse data-ipfs-gateways (comma or space separated origins)
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {Array<string>} Gateway origins, in preference order
+   */
+  static getGateways(video) {
+    const value = video.getAttribute('data-ipfs-gateways') || '';
+
+    return value.split(/[\s,]+/).filter(Boolean).map(gateway => {
+      try {
+        return new URL(gateway).origin;
+      } catch (error) {
+        log.warn('Ignoring invalid gateway in data-ipfs-gateways:', gateway);
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * Read a source from an element's data-ipfs-cid or src
+   * @param {HTMLElement} element - <video>, <source> or <track> element
+   * @param {string} gateway - Gateway to pin IPFS sources to (optional)
+   * @returns {Object|null} { src } or { cid, path }, or null if there is none
+   */
+  static getSource(element, gateway) {
+    const cid = element.getAttribute('data-ipfs-cid');
+    const path = element.getAttribute('data-ipfs-path');
+    // The property is the resolved URL for relative paths
+    const src = element.hasAttribute('src') ? element.src : null;
+    // A CID with its path in the same attribute is a bare CID source
+    const source = cid ? (path ? { cid, path } : cid) : src;
+    if (!source) return null;
+
+    const pinned = gateway ? IPFSResolver.toURL(source, gateway) : null;
+    if (pinned) return { src: pinned };
+    return typeof source === 'object' ? source : { src: source };
+  }
+
+  /**
+   * Collect the video's sources in fallback order
+   * data-ipfs-cid comes first, then the src attribute, then <source>
+   * children whose media query matches. The element's currentSrc is the
+   * last resort, for a source the browser already picked.
+   * @param {HTMLVideoElement} video - Video element
+   * @param {string} gateway - Gateway to pin IPFS sources to (optional)
+   * @returns {Array<Object>} { src } or { cid, path } entries, with type if known
+   */
+  static getSources(video, gateway) {
+    const sources = [];
+
+    const primary = this.getSource(video, gateway);
+    if (primary) {
+      const type = video.getAttribute('data-ipfs-type') || video.getAttribute('type');
+      sources.push(type ? { ...primary, type } : primary);
+    }
+
+    Array.from(video.children)
+      .filter(child => child.tagName === 'SOURCE' && this.matchesMedia(child))
+      .forEach(child => {
+        const source = this.getSource(child, gateway);
+        if (!source) return;
+
+        const type = child.getAttribute('data-ipfs-type') || child.getAttribute('type');
+        sources.push(type ? { ...source, type } : source);
+      });
+
+    if (sources.length === 0 && video.currentSrc) {
+      sources.push({ src: video.currentSrc });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Check a <source> element's media query
+   * @param {HTMLSourceElement} source - Source element
+   * @returns {boolean} True if it has no media query or the query matches
+   */
+  static matchesMedia(source) {
+    const media = source.getAttribute('media');
+    if (!media || typeof window === 'undefined' || !window.matchMedia) return true;
+    return window.matchMedia(media).matches;
+  }
+
+  /**
+   * Collect the video's <track> children
+   * @param {HTMLVideoElement} video - Video element
+   * @param {string} gateway - Gateway to pin IPFS tracks to (optional)
+   * @returns {Array<Object>} { kind, src, srclang, label, default } track options
+   */
+  static getTracks(video, gateway) {
+    return Array.from(video.children)
+      .filter(child => child.tagName === 'TRACK')
+      .map(child => {
+        const source = this.getSource(child, gateway);
+        if (!source) return null;
+
+        // Text tracks are fetched by the browser, so they need a gateway URL
+        const value = source.cid ? source : source.src;
+        const src = IPFSResolver.needsResolution(value) ? IPFSResolver.toURL(value, gateway) : value;
+
+        const track = { src, default: child.hasAttribute('default') };
+        TRACK_ATTRIBUTES.forEach(name => {
+          if (child.hasAttribute(name)) track[name] = child.getAttribute(name);
+        });
+        return track;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the poster URL from the poster attribute or data-ipfs-poster-cid
+   * @param {HTMLVideoElement} video - Video element
+   * @param {string} gateway - Gateway for the poster CID (optional)
+   * @returns {string|null} Poster URL
+   */
+  static getPoster(video, gateway) {
+    if (video.hasAttribute('poster')) return video.poster;
+
+    const posterCid = video.getAttribute('data-ipfs-poster-cid');
+    return posterCid ? IPFSResolver.toURL(posterCid, gateway) : null;
+  }
+
+  /**
+   * Parse data-ipfs-options
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {Object} initializePlayer options ({} if absent or not valid JSON)
+   */
+  static getOptions(video) {
+    const value = video.getAttribute('data-ipfs-options');
+    if (!value) return {};
+
+    try {
+      const options = JSON.parse(value);
+      if (options && typeof options === 'object' && !Array.isArray(options)) return options;
+    } catch (error) {
+      // Reported below
+    }
+
+    log.warn('Ignoring data-ipfs-options that is not a JSON object:', value);
+    return {};
+  }
+}
+
+export default VideoMarkup;
+export { VideoMarkup };
@@ -0,0 +1,151 @@
+/**
+ * Video Observer for IPFS HLS Player
+ * Enhances videos added to the page and disposes players of removed ones
+ *
+ * @author Mark Giles
+ * @license MIT
+ *
+ * Static enhancement only sees the videos present on DOMContentLoaded.
+ * Pages that insert videos later (AJAX, infinite scroll, modals) would
+ * have to call enhanceStaticVideos() again, and players of videos they
+ * remove were never disposed. The observer watches a root element with a
+ * MutationObserver instead. Videos that already have a player, or are
+ * being initialized by an integration (React, Vue, <ipfs-video>), are left
+ * alone, as is anything marked with data-ipfs-ignore. A video only counts
+ * as removed if it is still detached once the mutations are handled, so
+ * moving a video (as Video.js does when it builds its markup) keeps its
+ * player.
+ */
+
+import logger from './utils/debug-logger.js';
+
+const log = logger.namespace('observer');
+
+/**
+ * Video Observer
+ */
+class VideoObserver {
+  /**
+   * Attribute that keeps a video (or every video inside an element) from
+   * being enhanced or disposed automatically
+   */
+  static IGNORE_ATTRIBUTE = 'data-ipfs-ignore';
+
+  /**
+   * Check if a video opted out of automatic enhancement
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {boolean} True if the video or an ancestor has data-ipfs-ignore
+   */
+  static isIgnored(video) {
+    return !!video.closest(`[${this.IGNORE_ATTRIBUTE}]`);
+  }
+
+  /**
+   * Check if a video has a player, or one is being created for it
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {boolean} True if the video is managed
+   */
+  static hasPlayer(video) {
+    return !!(video._ipfsHLSPlayer || video._ipfsStartup || video.dataset.ipfsEnhanced === 'true');
+  }
+
+  /**
+   * Find the videos in an added or removed node
+   * @param {Node} node - DOM node
+   * @returns {Array<HTMLVideoElement>} The node itself if it is a video, or the videos inside it
+   */
+  static findVideos(node) {
+    if (node.tagName === 'VIDEO') return [node];
+    // Text and comment nodes have no querySelectorAll
+    return typeof node.querySelectorAll === 'function' ? Array.from(node.querySelectorAll('video')) : [];
+  }
+
+  /**
+   * @param {HTMLElement|Document} root - Element to watch (including its descendants)
+   * @param {Object} handlers - What to do with videos
+   * @param {Function} handlers.enhance - Called with each video to enhance
+   * @param {Function} handlers.destroy - Called with each removed video that has a player
+   */
+  constructor(root, handlers) {
+    this.root = root;
+    this.enhance = handlers.enhance;
+    this.destroy = handlers.destroy;
+    this.observer = null;
+  }
+
+  /**
+   * Enhance the videos already under the root, then watch for changes
+   */
+  start() {
+    if (this.observer) return;
+
+    this.observer = new MutationObserver(records => this.onMutations(records));
+    this.observer.observe(this.root, { childList: true, subtree: true });
+    VideoObserver.findVideos(this.root).forEach(video => this.add(video));
+
+    log.debug('Watching for videos in', this.root.id || this.root.nodeName);
+  }
+
+  /**
+   * Stop watching (players already created are kept)
+   */
+  disconnect() {
+    if (!this.observer) return;
+
+    this.observer.disconnect();
+    this.observer = null;
+  }
+
+  /**
+   * Handle a batch of mutations
+   * @param {Array<MutationRecord>} records - Mutation records
+   */
+  onMutations(records) {
+    const added = new Set();
+    const removed = new Set();
+
+    records.forEach(record => {
+      record.removedNodes.forEach(node => VideoObserver.findVideos(node).forEach(video => removed.add(video)));
+      record.addedNodes.forEach(node => VideoObserver.findVideos(node).forEach(video => added.add(video)));
+    });
+
+    // Moved videos show up in both lists and are still connected
+    removed.forEach(video => {
+      if (!video.isConnected) this.remove(video);
+    });
+    added.forEach(video => {
+      if (video.isConnected) this.add(video);
+    });
+  }
+
+  /**
+   * Enhance an added video
+   * @param {HTMLVideoElement} video - Video element
+   */
+  add(video) {
+    if (VideoObserver.isIgnored(video) || VideoObserver.hasPlayer(video)) return;
+
+    log.debug('Enhancing added video:', video.id || 'no-id');
+    Promise.resolve(this.enhance(video)).catch(error => {
+      log.error('Failed to enhance added video:', video.id || 'no-id', error);
+    });
+  }
+
+  /**
+   * Dispose the player of a removed video
+   * @param {HTMLVideoElement} video - Video element
+   */
+  remove(video) {
+    if (VideoObserver.isIgnored(video) || !VideoObserver.hasPlayer(video)) return;
+
+    log.debug('Disposing player of removed video:', video.id || 'no-id');
+    try {
+      this.destroy(video);
+    } catch (error) {
+      log.error('Failed to dispose removed video:', video.id || 'no-id', error);
+    }
+  }
+}
+
+export default VideoObserver;
+export { VideoObserver };
@@ -1,83 +1,298 @@
 /**
  * Vue Integration for IPFS HLS Player
- * Provides a Vue mixin for automatic video enhancement
- * 
+ * Provides an <IPFSVideo> Vue 3 component, a useIPFSPlayer composable and
+ * the older mixin
+ *
  * @author Mark Giles
  * @license MIT
+ *
+ * The component and composable each own exactly one player: they create
+ * its <video> inside their own container (Video.js replaces the element it
+ * is given, which Vue must not own), play new sources in the same player
+ * and dispose it on unmount. The mixin is kept for existing components; it
+ * now only enhances videos inside its own component and only disposes the
+ * players it created.
  */
 
-export default {
+import { defineComponent, h, onBeforeUnmount, onMounted, shallowRef, unref, watch } from 'vue';
+import IPFSHLSPlayerBundle from './ipfs-hls-player.js';
+import logger from './utils/debug-logger.js';
+
+const { IPFSHLSPlayer } = IPFSHLSPlayerBundle;
+const log = logger.namespace('vue');
+
+/**
+ * Player events and the component events they are emitted as
+ * Each is emitted with (event, player).
+ */
+const EVENTS = {
+  play: 'play',
+  pause: 'pause',
+  playing: 'playing',
+  ended: 'ended',
+  error: 'error',
+  waiting: 'waiting',
+  seeking: 'seeking',
+  seeked: 'seeked',
+  timeupdate: 'timeupdate',
+  durationchange: 'durationchange',
+  volumechange: 'volumechange',
+  loadstart: 'loadstart',
+  loadedmetadata: 'loadedmetadata',
+  loadeddata: 'loadeddata',
+  ipfsformatdetected: 'format-detected',
+  ipfsgatewayfailover: 'gateway-failover',
+  ipfsintegrityerror: 'integrity-error',
+  ipfsqoe: 'qoe'
+};
+
+/**
+ * Identify the source so changes can be told apart from other updates
+ * @param {Object} options - Player options
+ * @returns {string} Source key
+ */
+function getSourceKey(options) {
+  const src = options.src && typeof options.src === 'object' ? JSON.stringify(options.src) : options.src;
+  return [options.cid, options.path, src, options.type].map(part => part || '').join('|');
+}
+
+/**
+ * Create and own an IPFS HLS player
+ * Options other than the source (src, cid, path, type) are read when the
+ * player is created.
+ * @param {Object|Function} options - initializePlayer options, as a getter,
+ *   ref or reactive object so source changes are seen
+ * @param {Function} emit - Optional (name, ...args) callback receiving player
+ *   events (see EVENTS), 'ready' and 'quality-change'
+ * @returns {Object} { container, player, error } - bind `container` as the
+ *   template ref of the element the video is created in
+ */
+function useIPFSPlayer(options = {}, emit = null) {
+  const container = shallowRef(null);
+  const player = shallowRef(null);
+  const error = shallowRef(null);
+  const read = () => ({ ...(typeof options === 'function' ? options() : unref(options)) });
+
+  let video = null;
+  let cancelled = false;
+  let unbind = null;
+  let sourceKey = null;
+
+  const fail = (failure) => {
+    error.value = failure;
+    if (emit) emit('error', failure, player.value);
+  };
+
+  // Forward player events to emit
+  const bind = (instance) => {
+    if (unbind) unbind();
+    if (!emit) return;
+
+    const listeners = Object.keys(EVENTS).map(type => {
+      const listener = (event) => emit(EVENTS[type], event, instance);
+      instance.on(type, listener);
+      return [type, listener];
+    });
+
+    const levels = instance.qualityLevels();
+    const onQualityChange = (event) => emit('quality-change', event, instance);
+    levels.on('change', onQualityChange);
+
+    instance.ready(() => {
+      if (!instance.isDisposed()) emit('ready', instance);
+    });
+
+    unbind = () => {
+      unbind = null;
+      if (instance.isDisposed()) return;
+      listeners.forEach(([type, listener]) => instance.off(type, listener));
+      levels.off('change', onQualityChange);
+    };
+  };
+
+  const use = (instance) => {
+    if (!instance || instance === player.value) return;
+    bind(instance);
+    player.value = instance;
+  };
+
+  // Play new sources in the same player
+  const change = () => {
+    const key = getSourceKey(read());
+    if (!player.value || !video || key === sourceKey) return;
+    sourceKey = key;
+
+    IPFSHLSPlayer.changeSource(video, read())
+      .then(instance => {
+        // Native players are re-created for a new source
+        if (!cancelled) use(instance);
+      })
+      .catch(changeError => {
+        log.error('Source change failed:', changeError);
+        fail(changeError);
+      });
+  };
+
+  onMounted(() => {
+    if (!container.value) return;
+
+    video = document.createElement('video');
+    video.setAttribute('playsinline', '');
+    container.value.classList.add('ipfs-video-container');
+    container.value.appendChild(video);
+
+    sourceKey = getSourceKey(read());
+    IPFSHLSPlayer.initializePlayer(video, read())
+      .then(instance => {
+        if (cancelled) {
+          if (instance) instance.dispose();
+          return;
+        }
+        use(instance);
+        // The source may have changed while the player was being created
+        change();
+      })
+      .catch(initError => {
+        if (cancelled) return;
+        log.error('Player initialization failed:', initError);
+        fail(initError);
+      });
+  });
+
+  watch(() => getSourceKey(read()), change);
+
+  onBeforeUnmount(() => {
+    cancelled = true;
+    if (unbind) unbind();
+    if (video) IPFSHLSPlayer.destroyPlayer(video);
+
+    // Video.js removes its own markup; a native player leaves the video
+    const element = container.value;
+    while (element && element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+    video = null;
+    player.value = null;
+  });
+
+  return { container, player, error };
+}
+
+/**
+ * IPFS video component
+ * Attributes such as class and style go on the container. The player is
+ * exposed as `player` on the component's template ref.
+ */
+const IPFSVideo = defineComponent({
+  name: 'IPFSVideo',
+
+  props: {
+    src: { type: [String, Object], default: null },
+    cid: { type: String, default: null },
+    path: { type: String, default: null },
+    type: { type: String, default: null },
+    poster: { type: String, default: null },
+    autoplay: { type: Boolean, default: false },
+    muted: { type: Boolean, default: false },
+    loop: { type: Boolean, default: false },
+    preload: { type: String, default: null },
+    // Per-player configuration (see IPFSHLSPlayer.configure)
+    config: { type: Object, default: null },
+    // Any other initializePlayer options
+    options: { type: Object, default: null }
+  },
+
+  emits: [...Object.values(EVENTS), 'ready', 'quality-change'],
+
+  setup(props, { emit, expose }) {
+    const { container, player, error } = useIPFSPlayer(() => {
+      const options = { ...(props.options || {}) };
+      ['src', 'cid', 'path', 'type', 'poster', 'preload', 'config'].forEach(key => {
+        if (props[key] !== null) options[key] = props[key];
+      });
+      ['autoplay', 'muted', 'loop'].forEach(key => {
+        if (props[key]) options[key] = true;
+      });
+      return options;
+    }, emit);
+
+    expose({ player, error });
+
+    return () => h('div', { ref: container, class: 'ipfs-video-container' });
+  }
+});
+
+/**
+ * Mixin for components with their own <video> elements (compatibility)
+ * Enhances unenhanced videos inside the component and disposes the
+ * players it created when the component unmounts.
+ */
+const IPFSHLSPlayerMixin = {
   mounted() {
     this.enhanceVideos();
   },
-  
+
   updated() {
     // Re-enhance videos when component content changes
     this.enhanceVideos();
   },
-  
+
   beforeUnmount() {
     // Clean up video players when component is destroyed
     this.cleanupVideos();
   },
-  
+
   methods: {
-    enhanceVideos() {
+    /**
+     * Enhance the component's unenhanced videos
+     * @param {HTMLElement} root - Element to search (default: the component's
+     *   element; pass a teleported modal's element to enhance its videos)
+     */
+    enhanceVideos(root) {
       // Wait for DOM to update
       this.$nextTick(() => {
-        if (!window.IPFSHLSPlayer) {
-          console.warn('🚨 Vue Integration: IPFSHLSPlayer not available - video enhancement skipped');
+        const container = root || this.$el;
+        if (!container || typeof container.querySelectorAll !== 'function') {
           return;
         }
-        
-        // Universal approach: Search entire document for unenhanced videos
-        // This handles component content, teleported modals, and any future video contexts
-        const videos = document.querySelectorAll('video:not([data-ipfs-enhanced])');
-        
+
+        const videos = container.tagName === 'VIDEO'
+          ? [container]
+          : Array.from(container.querySelectorAll('video'));
+
+        this.ipfsVideos = this.ipfsVideos || new Set();
         videos.forEach((video) => {
-          // Skip videos that are not in the DOM
-          if (!document.contains(video)) {
+          if (video.dataset.ipfsEnhanced === 'true' || this.ipfsVideos.has(video) || !document.contains(video)) {
             return;
           }
-          
-          try {
-            // Enhance the video with IPFS HLS Player
-            window.IPFSHLSPlayer.enhanceVideoElement(video).catch(error => {
-              console.error('🚨 Vue Integration: Failed to enhance video:', video.id || 'no-id', error);
-            });
-          } catch (error) {
-            console.error('🚨 Vue Integration: Video enhancement error:', video.id || 'no-id', error);
-          }
+
+          this.ipfsVideos.add(video);
+          IPFSHLSPlayer.enhanceVideoElement(video).catch(error => {
+            this.ipfsVideos.delete(video);
+            log.error('Failed to enhance video:', video.id || 'no-id', error);
+          });
         });
       });
     },
-    
+
     cleanupVideos() {
-      // Clean up video players when component is destroyed
-      if (!window.IPFSHLSPlayer) {
-        return;
-      }
-      
-      // Note: Global cleanup could be aggressive, but components are responsible for their own videos
-      // For now, only clean up videos that were enhanced by this component instance
-      // This is a conservative approach to avoid interfering with other components
-      
-      const componentVideos = document.querySelectorAll('video[data-ipfs-enhanced="true"]');
-      componentVideos.forEach(video => {
-        // Only cleanup if this video doesn't have an active component managing it
-        if (!video.closest('[data-vue-app]')) {
-          try {
-            window.IPFSHLSPlayer.destroyPlayer(video);
-          } catch (error) {
-            console.error('🚨 Vue Integration: Failed to cleanup video:', video.id || 'no-id', error);
-          }
+      // Only the players this component created
+      (this.ipfsVideos || []).forEach(video => {
+        try {
+          IPFSHLSPlayer.destroyPlayer(video);
+        } catch (error) {
+          log.error('Failed to cleanup video:', video.id || 'no-id', error);
         }
       });
+      this.ipfsVideos = new Set();
     },
-    
+
     // Manual method for dynamic content (modals, etc.)
-    enhanceVideosManually() {
-      this.enhanceVideos();
+    enhanceVideosManually(root) {
+      this.enhanceVideos(root);
     }
   }
-};
\ No newline at end of file
+};
+
+export default IPFSHLSPlayerMixin;
+export { IPFSHLSPlayerMixin, IPFSVideo, useIPFSPlayer };
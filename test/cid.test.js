@@ -0,0 +1,54 @@
+/**
+ * CID utility tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CID, CIDError } from '../src/utils/cid.js';
+
+const V0 = 'QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n';
+const V1 = 'bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+
+describe('CID.parse', () => {
+  it('parses a CIDv0', () => {
+    const cid = CID.parse(V0);
+    assert.equal(cid.version, 0);
+    assert.equal(cid.codec, 'dag-pb');
+    assert.equal(cid.hashName, 'sha2-256');
+    assert.equal(cid.toString(), V0);
+  });
+
+  it('parses a base32 CIDv1', () => {
+    const cid = CID.parse(V1);
+    assert.equal(cid.version, 1);
+    assert.equal(cid.codec, 'dag-pb');
+    assert.equal(cid.toString(), V1);
+  });
+
+  it('round-trips base58btc and base36 encodings', () => {
+    const cid = CID.parse(V1);
+    assert.ok(CID.parse(cid.toString('base58btc')).equals(cid));
+    assert.ok(CID.parse(cid.toString('base36')).equals(cid));
+  });
+
+  it('rejects malformed CIDs', () => {
+    assert.throws(() => CID.parse(''), CIDError);
+    assert.throws(() => CID.parse('Qmnotacid'), CIDError);
+    assert.throws(() => CID.parse(V1.slice(0, -4)), CIDError);
+    assert.equal(CID.isValid('not-a-cid'), false);
+  });
+});
+
+describe('CID.toV1', () => {
+  it('converts a CIDv0 to base32 CIDv1', () => {
+    assert.equal(CID.toV1(V0), V1);
+  });
+
+  it('leaves a CIDv1 unchanged', () => {
+    assert.equal(CID.toV1(V1), V1);
+  });
+
+  it('addresses the same content as the CIDv0', () => {
+    assert.ok(CID.parse(V0).equals(V1));
+  });
+});
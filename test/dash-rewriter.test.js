@@ -0,0 +1,102 @@
+/**
+ * DASH manifest rewriting tests
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveObjectURL } from 'node:buffer';
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import DashRewriter from '../src/dash-rewriter.js';
+
+// Gateway lists are read from window.ipfsHLSPlayerConfig
+globalThis.window = globalThis.window || {};
+
+const CID = 'bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const GATEWAY = 'https://ipfs.io';
+const MANIFEST = `${GATEWAY}/ipfs/${CID}/dash/manifest.mpd`;
+const NS = 'urn:mpeg:dash:schema:mpd:2011';
+
+const parse = text => new DOMParser().parseFromString(text, 'application/xml');
+const mpd = body => parse(`<MPD xmlns="${NS}" type="static">${body}</MPD>`);
+const baseURLs = doc => Array.from(doc.getElementsByTagName('BaseURL'), element => element.textContent);
+
+describe('DashRewriter.rewriteDocument', () => {
+  it('adds a top-level BaseURL for the manifest directory', () => {
+    const doc = mpd('<Period><AdaptationSet><Representation id="1"><BaseURL>720p.mp4</BaseURL>'
+      + '</Representation></AdaptationSet></Period>');
+
+    assert.equal(DashRewriter.rewriteDocument(doc, MANIFEST, GATEWAY), true);
+    const first = doc.documentElement.firstChild;
+    assert.equal(first.nodeName, 'BaseURL');
+    assert.equal(first.namespaceURI, NS);
+    // Nested relative BaseURLs stay relative to the new top-level one
+    assert.deepEqual(baseURLs(doc), [`${GATEWAY}/ipfs/${CID}/dash/`, '720p.mp4']);
+  });
+
+  it('resolves a relative top-level BaseURL against the manifest URL', () => {
+    const doc = mpd('<BaseURL>../media/</BaseURL><Period/>');
+    DashRewriter.rewriteDocument(doc, MANIFEST, GATEWAY);
+    assert.deepEqual(baseURLs(doc), [`${GATEWAY}/ipfs/${CID}/media/`]);
+  });
+
+  it('retargets ipfs:// and foreign-gateway references, keeping templates', () => {
+    const doc = mpd(`<BaseURL>ipfs://${CID}/dash/</BaseURL><Period><AdaptationSet>`
+      + `<SegmentTemplate media="https://gateway.pinata.cloud/ipfs/${CID}/v/seg-$Number%05d$.m4s"`
+      + ` initialization="https://gateway.pinata.cloud/ipfs/${CID}/v/init.mp4" startNumber="1"/>`
+      + '</AdaptationSet></Period>');
+
+    assert.equal(DashRewriter.rewriteDocument(doc, MANIFEST, GATEWAY), true);
+    assert.deepEqual(baseURLs(doc), [`${GATEWAY}/ipfs/${CID}/dash/`]);
+
+    const template = doc.getElementsByTagName('SegmentTemplate')[0];
+    assert.equal(template.getAttribute('media'), `${GATEWAY}/ipfs/${CID}/v/seg-$Number%05d$.m4s`);
+    assert.equal(template.getAttribute('initialization'), `${GATEWAY}/ipfs/${CID}/v/init.mp4`);
+    assert.equal(template.getAttribute('startNumber'), '1');
+  });
+
+  it('leaves relative templates and URLs off IPFS alone', () => {
+    const doc = mpd(`<BaseURL>${GATEWAY}/ipfs/${CID}/dash/</BaseURL><Period><AdaptationSet>`
+      + '<SegmentTemplate media="seg-$Number$.m4s" initialization="https://cdn.example.com/init.mp4"/>'
+      + '</AdaptationSet></Period>');
+
+    assert.equal(DashRewriter.rewriteDocument(doc, MANIFEST, GATEWAY), false);
+    const template = doc.getElementsByTagName('SegmentTemplate')[0];
+    assert.equal(template.getAttribute('media'), 'seg-$Number$.m4s');
+    assert.equal(template.getAttribute('initialization'), 'https://cdn.example.com/init.mp4');
+  });
+});
+
+describe('DashRewriter.rewriteSource', () => {
+  before(() => {
+    globalThis.DOMParser = DOMParser;
+    globalThis.XMLSerializer = XMLSerializer;
+  });
+
+  after(() => {
+    delete globalThis.DOMParser;
+    delete globalThis.XMLSerializer;
+  });
+
+  it('serves the rewritten manifest from a blob', async t => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(
+      `<MPD xmlns="${NS}"><Period><AdaptationSet><SegmentTemplate media="seg-$Number$.m4s"/>`
+        + '</AdaptationSet></Period></MPD>',
+      { status: 200, headers: { 'Content-Type': DashRewriter.MIME_TYPE } }
+    ));
+
+    const result = await DashRewriter.rewriteSource(MANIFEST);
+    const blob = resolveObjectURL(result.url);
+    assert.equal(result.original, MANIFEST);
+    assert.equal(blob.type, DashRewriter.MIME_TYPE);
+
+    const doc = parse(await blob.text());
+    assert.deepEqual(baseURLs(doc), [`${GATEWAY}/ipfs/${CID}/dash/`]);
+    assert.equal(doc.getElementsByTagName('SegmentTemplate')[0].getAttribute('media'), 'seg-$Number$.m4s');
+    result.revoke();
+  });
+
+  it('returns null for responses that are not manifests', async t => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('#EXTM3U\n', { status: 200 }));
+    assert.equal(await DashRewriter.rewriteSource(MANIFEST), null);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Debug logger tests
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DebugLogger } from '../src/utils/debug-logger.js';
+
+describe('DebugLogger', () => {
+  let logger;
+  let printed;
+
+  beforeEach(t => {
+    logger = new DebugLogger();
+    printed = [];
+    ['log', 'warn', 'error'].forEach(method => {
+      t.mock.method(console, method, (label, message) => printed.push(message));
+    });
+  });
+
+  it('prints info, warnings and errors by default, but not debug', () => {
+    const log = logger.namespace('detect');
+    log.debug('debug');
+    log.info('info');
+    log.warn('warn');
+    log.error('error');
+    assert.deepEqual(printed, ['info', 'warn', 'error']);
+  });
+
+  it('hides info messages below a raised level', () => {
+    logger.setLevel('warn');
+    logger.namespace('detect').info('info');
+    assert.deepEqual(printed, []);
+  });
+
+  it('turns debug output for every namespace on and off through debugEnabled', () => {
+    logger.debugEnabled = true;
+    assert.equal(logger.debugEnabled, true);
+    logger.namespace('vhs').debug('on');
+
+    logger.debugEnabled = false;
+    assert.equal(logger.debugEnabled, false);
+    logger.namespace('vhs').debug('off');
+
+    assert.deepEqual(printed, ['on']);
+  });
+
+  it('enables debug output by namespace pattern', () => {
+    logger.enable('gateway*,-gateway:race');
+    logger.namespace('gateway').debug('gateway');
+    logger.namespace('gateway:race').debug('race');
+    logger.namespace('detect').debug('detect');
+    assert.deepEqual(printed, ['gateway']);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Detection cache tests
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import DetectionCache from '../src/detection-cache.js';
+import FormatDetector, { DetectionError } from '../src/format-detector.js';
+import PlayerConfig from '../src/player-config.js';
+
+// Gateway lists are read from window.ipfsHLSPlayerConfig
+globalThis.window = globalThis.window || {};
+
+const V0 = 'QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n';
+const V1 = 'bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const MP4 = FormatDetector.result({ mimeType: 'video/mp4', container: 'mp4' });
+
+/**
+ * Detection that counts its calls and settles when told to
+ * @returns {Object} { detect, calls, signals, resolve, reject }
+ */
+function deferredDetection() {
+  const state = { calls: 0, signals: [] };
+  const promise = new Promise((resolve, reject) => {
+    state.resolve = resolve;
+    state.reject = reject;
+  });
+  state.detect = signal => {
+    state.calls++;
+    state.signals.push(signal);
+    return promise;
+  };
+  return state;
+}
+
+describe('DetectionCache keys', () => {
+  it('shares one key between gateways, URL styles and CID versions', () => {
+    const key = DetectionCache.getKey(`https://ipfs.io/ipfs/${V0}/video.mp4`).key;
+    assert.equal(key, `${V1}/video.mp4`);
+    assert.equal(DetectionCache.getKey(`https://${V1}.ipfs.dweb.link/video.mp4?filename=a.mp4`).key, key);
+    assert.equal(DetectionCache.getKey(`ipfs://${V1}/video.mp4`).key, key);
+  });
+
+  it('keeps different paths apart', () => {
+    assert.notEqual(DetectionCache.getKey(`ipfs://${V1}/a.mp4`).key, DetectionCache.getKey(`ipfs://${V1}/b.mp4`).key);
+  });
+
+  it('marks IPNS names as mutable and ignores URLs off IPFS', () => {
+    assert.deepEqual(DetectionCache.getKey('ipns://example.com/video.mp4'),
+      { key: 'ipns/example.com/video.mp4', immutable: false });
+    assert.equal(DetectionCache.getKey('https://cdn.example.com/video.mp4'), null);
+  });
+});
+
+describe('DetectionCache.detect', () => {
+  beforeEach(() => {
+    PlayerConfig.reset();
+    DetectionCache.clear();
+    DetectionCache.pending.clear();
+  });
+
+  it('answers the same content on another gateway from the cache', async () => {
+    let calls = 0;
+    const detect = async () => { calls++; return MP4; };
+
+    await DetectionCache.detect(`https://ipfs.io/ipfs/${V0}/video.mp4`, detect);
+    const format = await DetectionCache.detect(`https://${V1}.ipfs.dweb.link/video.mp4`, detect);
+    assert.equal(format.mimeType, 'video/mp4');
+    assert.equal(calls, 1);
+  });
+
+  it('shares one detection between concurrent callers', async () => {
+    const detection = deferredDetection();
+    const first = DetectionCache.detect(`https://ipfs.io/ipfs/${V0}/video.mp4`, detection.detect);
+    const second = DetectionCache.detect(`ipfs://${V1}/video.mp4`, detection.detect);
+
+    detection.resolve(MP4);
+    assert.equal(await first, MP4);
+    assert.equal(await second, MP4);
+    assert.equal(detection.calls, 1);
+    assert.equal(DetectionCache.pending.size, 0);
+  });
+
+  it('shares IPNS detections only while they are in flight', async () => {
+    const detection = deferredDetection();
+    const src = 'ipns://example.com/video.mp4';
+    const concurrent = [DetectionCache.detect(src, detection.detect), DetectionCache.detect(src, detection.detect)];
+    detection.resolve(MP4);
+    await Promise.all(concurrent);
+    assert.equal(detection.calls, 1);
+
+    await DetectionCache.detect(src, detection.detect);
+    assert.equal(detection.calls, 2);
+  });
+
+  it('cancels the shared request only when every caller has aborted', async () => {
+    const detection = deferredDetection();
+    const src = `ipfs://${V1}/video.mp4`;
+    const one = new AbortController();
+    const two = new AbortController();
+    const first = DetectionCache.detect(src, detection.detect, { signal: one.signal });
+    const second = DetectionCache.detect(src, detection.detect, { signal: two.signal });
+
+    one.abort();
+    await assert.rejects(first, DetectionError);
+    assert.equal(detection.signals[0].aborted, false);
+
+    two.abort();
+    await assert.rejects(second, error => error.reason === 'aborted');
+    assert.equal(detection.signals[0].aborted, true);
+    assert.equal(DetectionCache.pending.size, 0);
+  });
+
+  it('remembers a timeout for the same content for FAILURE_TTL', async t => {
+    const timeout = new DetectionError('timeout', { url: 'test' });
+    let calls = 0;
+    const detect = async () => { calls++; throw timeout; };
+
+    await assert.rejects(DetectionCache.detect(`ipfs://${V1}/video.mp4`, detect), timeout);
+    await assert.rejects(DetectionCache.detect(`https://ipfs.io/ipfs/${V0}/video.mp4`, detect), timeout);
+    assert.equal(calls, 1);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + DetectionCache.FAILURE_TTL + 1 });
+    await assert.rejects(DetectionCache.detect(`ipfs://${V1}/video.mp4`, detect), timeout);
+    assert.equal(calls, 2);
+  });
+});
+
+describe('DetectionCache persistence', () => {
+  const storage = new Map();
+
+  beforeEach(() => {
+    storage.clear();
+    globalThis.localStorage = {
+      getItem: key => storage.has(key) ? storage.get(key) : null,
+      setItem: (key, value) => storage.set(key, value),
+      removeItem: key => storage.delete(key)
+    };
+    PlayerConfig.reset();
+    DetectionCache.clear();
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  it('stores results by CIDv1 without browser-specific playability', () => {
+    DetectionCache.set(`https://ipfs.io/ipfs/${V0}/video.mp4`, MP4);
+    const stored = JSON.parse(storage.get(DetectionCache.STORAGE_KEY));
+    assert.deepEqual(Object.keys(stored), [`${V1}/video.mp4`]);
+    assert.equal('playable' in stored[`${V1}/video.mp4`].format, false);
+
+    // A new page load reads it back
+    DetectionCache.memory.clear();
+    DetectionCache.entries = null;
+    assert.equal(DetectionCache.get(`ipfs://${V1}/video.mp4`).mimeType, 'video/mp4');
+  });
+
+  it('keeps low-confidence results in memory only', () => {
+    DetectionCache.set(`ipfs://${V1}/video.mp4`, { ...MP4, confidence: 'low' });
+    assert.equal(storage.has(DetectionCache.STORAGE_KEY), false);
+    assert.equal(DetectionCache.get(`ipfs://${V1}/video.mp4`).confidence, 'low');
+  });
+
+  it('does not persist when detectionCache is disabled', () => {
+    PlayerConfig.configure({ detectionCache: false });
+    DetectionCache.entries = null;
+    DetectionCache.set(`ipfs://${V1}/video.mp4`, MP4);
+    assert.equal(storage.has(DetectionCache.STORAGE_KEY), false);
+  });
+});
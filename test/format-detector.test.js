@@ -0,0 +1,151 @@
+/**
+ * Format detection tests
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import FormatDetector from '../src/format-detector.js';
+
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+const utf8 = text => new TextEncoder().encode(text);
+
+/**
+ * Build an ISO BMFF box
+ */
+function box(type, ...payload) {
+  const body = payload.flat();
+  const size = 8 + body.length;
+  return [size >>> 24, (size >>> 16) & 0xFF, (size >>> 8) & 0xFF, size & 0xFF, ...ascii(type), ...body];
+}
+
+const ftyp = (brand, ...compatible) => box('ftyp', ascii(brand), [0, 0, 0, 1], ...compatible.map(ascii));
+
+describe('FormatDetector.detect', () => {
+  it('reads MP4 brands and sample entry codecs', () => {
+    const bytes = Uint8Array.from([
+      ...ftyp('isom', 'isom', 'iso2', 'mp41'),
+      ...box('moov', box('trak', box('avc1', [0, 0]), box('mp4a', [0, 0])))
+    ]);
+    const format = FormatDetector.detect(bytes);
+
+    assert.equal(format.mimeType, 'video/mp4');
+    assert.equal(format.container, 'mp4');
+    assert.equal(format.brand, 'isom');
+    assert.deepEqual(format.compatibleBrands, ['isom', 'iso2', 'mp41']);
+    assert.deepEqual(format.codecs, ['avc1', 'mp4a']);
+    assert.equal(format.fragmented, false);
+    assert.equal(format.confidence, 'high');
+  });
+
+  it('marks an init segment with mvex as fragmented', () => {
+    const bytes = Uint8Array.from([...ftyp('iso6', 'iso6', 'cmfc'), ...box('moov', box('mvex', []))]);
+    const format = FormatDetector.detect(bytes);
+    assert.equal(format.fragmented, true);
+    assert.equal(format.confidence, 'high');
+  });
+
+  it('treats CMAF brands without mvex as probably fragmented', () => {
+    const format = FormatDetector.detect(Uint8Array.from(ftyp('cmfc', 'iso6')));
+    assert.equal(format.fragmented, true);
+    assert.equal(format.confidence, 'medium');
+  });
+
+  it('recognizes fragmented MP4 media segments', () => {
+    const format = FormatDetector.detect(Uint8Array.from(box('moof', box('mfhd', [0, 0, 0, 0]))));
+    assert.equal(format.container, 'mp4');
+    assert.equal(format.fragmented, true);
+  });
+
+  it('tells QuickTime, 3GP and M4A apart by major brand', () => {
+    assert.equal(FormatDetector.detect(Uint8Array.from(ftyp('qt  '))).container, 'quicktime');
+    assert.equal(FormatDetector.detect(Uint8Array.from(ftyp('3gp5'))).container, '3gp');
+    assert.equal(FormatDetector.detect(Uint8Array.from(ftyp('M4A '))).mimeType, 'audio/mp4');
+  });
+
+  it('tells WebM and Matroska apart by DocType', () => {
+    const ebml = docType => Uint8Array.from([
+      0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x82, 0x80 | docType.length, ...ascii(docType),
+      ...ascii('V_VP9'), ...ascii('A_OPUS')
+    ]);
+
+    const webm = FormatDetector.detect(ebml('webm'));
+    assert.equal(webm.mimeType, 'video/webm');
+    assert.equal(webm.brand, 'webm');
+    assert.deepEqual(webm.codecs, ['vp9', 'opus']);
+
+    const matroska = FormatDetector.detect(ebml('matroska'));
+    assert.equal(matroska.mimeType, 'video/x-matroska');
+    assert.equal(matroska.container, 'matroska');
+  });
+
+  it('reads HLS codecs without profiles, after a byte order mark', () => {
+    const playlist = '\uFEFF#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.64001f,mp4a.40.2"\n720p.m3u8\n';
+    const format = FormatDetector.detect(utf8(playlist));
+    assert.equal(format.container, 'hls');
+    assert.equal(format.mimeType, 'application/x-mpegURL');
+    assert.deepEqual(format.codecs, ['avc1', 'mp4a']);
+  });
+
+  it('recognizes DASH manifests and their profiles', () => {
+    const manifest = '<?xml version="1.0"?>\n<!-- packager -->\n<MPD profiles="urn:mpeg:dash:profile:isoff-live:2011">';
+    const format = FormatDetector.detect(utf8(manifest));
+    assert.equal(format.container, 'dash');
+    assert.equal(format.brand, 'urn:mpeg:dash:profile:isoff-live:2011');
+  });
+
+  it('confirms MPEG-TS by repeated sync bytes', () => {
+    const packets = new Uint8Array(400);
+    packets[0] = packets[188] = packets[376] = 0x47;
+    assert.equal(FormatDetector.detect(packets).confidence, 'high');
+
+    const single = new Uint8Array(400);
+    single[0] = 0x47;
+    assert.equal(FormatDetector.detect(single).confidence, 'low');
+  });
+
+  it('recognizes elementary audio', () => {
+    assert.equal(FormatDetector.detect(Uint8Array.from([0xFF, 0xF1, 0x50, 0x80])).container, 'aac');
+    assert.equal(FormatDetector.detect(Uint8Array.from([0xFF, 0xFB, 0x90, 0x64])).container, 'mp3');
+    assert.equal(FormatDetector.detect(Uint8Array.from([...ascii('ID3'), 4, 0, 0, 0, 0, 0, 0])).container, 'mp3');
+    assert.equal(FormatDetector.detect(Uint8Array.from(ascii('fLaC\0\0\0\x22'))).container, 'flac');
+  });
+
+  it('returns null for unknown or too short content', () => {
+    assert.equal(FormatDetector.detect(utf8('hello world')), null);
+    assert.equal(FormatDetector.detect(Uint8Array.from([0x47])), null);
+  });
+});
+
+describe('FormatDetector.canPlay', () => {
+  const supported = new Set(['video/mp4', 'video/webm', 'video/webm; codecs="vp9,opus"']);
+
+  const shimBrowser = () => {
+    globalThis.window = { MediaSource: { isTypeSupported: type => supported.has(type) } };
+    globalThis.document = { createElement: () => ({ canPlayType: type => supported.has(type) ? 'maybe' : '' }) };
+  };
+
+  afterEach(() => {
+    delete globalThis.window;
+    delete globalThis.document;
+  });
+
+  it('cannot tell outside a browser', () => {
+    assert.equal(FormatDetector.canPlay({ mimeType: 'video/mp4', codecs: [] }), null);
+  });
+
+  it('confirms supported containers and codecs', () => {
+    shimBrowser();
+    assert.equal(FormatDetector.canPlay({ mimeType: 'video/mp4', codecs: [] }), true);
+    assert.equal(FormatDetector.canPlay({ mimeType: 'video/webm', codecs: ['vp9', 'opus'] }), true);
+  });
+
+  it('reports an unsupported container as unplayable', () => {
+    shimBrowser();
+    assert.equal(FormatDetector.canPlay({ mimeType: 'video/x-matroska', codecs: ['avc1'] }), false);
+  });
+
+  it('treats rejected bare codec names as unknown', () => {
+    shimBrowser();
+    assert.equal(FormatDetector.canPlay({ mimeType: 'video/mp4', codecs: ['avc1', 'mp4a'] }), null);
+  });
+});
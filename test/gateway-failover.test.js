@@ -0,0 +1,157 @@
+/**
+ * Gateway failover tests
+ */
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import GatewayFailover from '../src/gateway-failover.js';
+import GatewaySelector from '../src/gateway-selector.js';
+import PlayerConfig from '../src/player-config.js';
+
+// Gateway lists are read from window.ipfsHLSPlayerConfig
+globalThis.window = globalThis.window || {};
+
+const CID = 'bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const SEGMENT = `https://ipfs.io/ipfs/${CID}/720p/seg0.ts`;
+
+mock.method(GatewaySelector, 'recordResult', () => {});
+
+/**
+ * Attach failover to a fake Video.js player whose VHS answers every
+ * request with `status`, then send one segment request through it
+ * @returns {Promise<Array<string>>} URIs VHS was asked for
+ */
+function requestThroughPlayer(options, status) {
+  const uris = [];
+  const handlers = {};
+  const tech = {
+    vhs: {
+      xhr: (request, callback) => {
+        uris.push(request.uri);
+        const xhr = { status, aborted: false, addEventListener() {}, removeEventListener() {} };
+        queueMicrotask(() => callback(null, xhr));
+        return xhr;
+      }
+    }
+  };
+  const player = {
+    id: () => 'player',
+    on: (type, handler) => { handlers[type] = handler; },
+    trigger() {},
+    tech: () => tech
+  };
+
+  GatewayFailover.attachToPlayer(player, options);
+  if (handlers['xhr-hooks-ready']) handlers['xhr-hooks-ready']();
+
+  return new Promise(resolve => {
+    tech.vhs.xhr({ uri: SEGMENT, requestType: 'segment' }, () => resolve(uris));
+  });
+}
+
+describe('GatewayFailover per-player setting', () => {
+  beforeEach(() => PlayerConfig.reset());
+
+  it('fails over for a player that enables it when it is globally off', async () => {
+    PlayerConfig.configure({ gatewayFailover: false });
+    const uris = await requestThroughPlayer({ gatewayFailover: true }, 502);
+    assert.ok(uris.length > 1);
+    assert.notEqual(new URL(uris[1]).host, 'ipfs.io');
+  });
+
+  it('does not fail over for a player that disables it', async () => {
+    const uris = await requestThroughPlayer({ gatewayFailover: false, verified: true }, 502);
+    assert.deepEqual(uris, [SEGMENT]);
+  });
+
+  it('returns a single candidate when failover is off', () => {
+    assert.equal(GatewayFailover.getCandidates(SEGMENT, null, [], false).length, 1);
+    assert.ok(GatewayFailover.getCandidates(SEGMENT, null, [], true).length > 1);
+  });
+});
+
+describe('GatewayFailover.getCandidates', () => {
+  beforeEach(t => {
+    PlayerConfig.reset();
+    GatewaySelector.selectedGateway = null;
+    t.mock.method(GatewaySelector, 'getScores', () => ({
+      'https://dweb.link': { health: 1, latency: 50 },
+      'https://ipfs.dlux.io': { health: 0.1, latency: 10 }
+    }));
+  });
+
+  it('keeps the original URL for its own gateway', () => {
+    const [first, ...rest] = GatewayFailover.getCandidates(SEGMENT);
+    assert.deepEqual(first, { gateway: 'https://ipfs.io', url: SEGMENT });
+    assert.ok(rest.every(candidate => candidate.url !== SEGMENT && candidate.url.endsWith('/720p/seg0.ts')));
+  });
+
+  it('orders preferred, player, session and original gateways before ranked ones', () => {
+    GatewaySelector.selectedGateway = 'https://gateway.pinata.cloud';
+    const gateways = GatewayFailover.getCandidates(SEGMENT, 'https://dweb.link', ['https://gw.example.com'])
+      .map(candidate => candidate.gateway);
+
+    assert.deepEqual(gateways.slice(0, 4), [
+      'https://dweb.link',
+      'https://gw.example.com',
+      'https://gateway.pinata.cloud',
+      'https://ipfs.io'
+    ]);
+    assert.equal(new Set(gateways).size, gateways.length);
+    // Unhealthy gateways are tried last, however fast they were
+    assert.equal(gateways[gateways.length - 1], 'https://ipfs.dlux.io');
+  });
+
+  it('builds every URL for ipfs:// sources, fastest gateway first', () => {
+    const candidates = GatewayFailover.getCandidates(`ipfs://${CID}/master.m3u8`);
+    assert.equal(candidates[0].url, `https://${CID}.ipfs.dweb.link/master.m3u8`);
+    assert.ok(candidates.every(candidate => candidate.url.endsWith('/master.m3u8')));
+  });
+
+  it('never offers retired gateways, even for URLs on them', () => {
+    const retired = `https://cloudflare-ipfs.com/ipfs/${CID}/720p/seg0.ts`;
+    const gateways = GatewayFailover.getCandidates(retired).map(candidate => candidate.gateway);
+    assert.equal(gateways[0], 'https://dweb.link');
+    assert.ok(!gateways.includes('https://cloudflare-ipfs.com'));
+    assert.ok(!gateways.includes('https://cf-ipfs.com'));
+
+    const [single] = GatewayFailover.getCandidates(retired, null, [], false);
+    assert.notEqual(single.gateway, 'https://cloudflare-ipfs.com');
+    assert.ok(single.url.endsWith('/720p/seg0.ts'));
+  });
+
+  it('returns URLs that are not IPFS as the only candidate', () => {
+    assert.deepEqual(GatewayFailover.getCandidates('https://cdn.example.com/video.mp4'), [
+      { gateway: null, url: 'https://cdn.example.com/video.mp4' }
+    ]);
+  });
+});
+
+describe('GatewayFailover.fetch', () => {
+  beforeEach(() => {
+    PlayerConfig.reset();
+    GatewaySelector.selectedGateway = null;
+  });
+
+  it('fails over to the next gateway on a gateway error', async t => {
+    const statuses = [502, 200];
+    const fetched = [];
+    t.mock.method(globalThis, 'fetch', async url => {
+      fetched.push(url);
+      return new Response('ok', { status: statuses.shift() });
+    });
+
+    const result = await GatewayFailover.fetch(SEGMENT);
+    assert.equal(result.response.status, 200);
+    assert.equal(fetched.length, 2);
+    assert.equal(fetched[0], SEGMENT);
+    assert.equal(result.url, fetched[1]);
+  });
+
+  it('returns the last failed response when every gateway fails', async t => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('gone', { status: 404 }));
+
+    const result = await GatewayFailover.fetch(SEGMENT);
+    assert.equal(result.response.status, 404);
+  });
+});
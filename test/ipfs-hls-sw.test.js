@@ -0,0 +1,107 @@
+/**
+ * Caching service worker tests
+ */
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import IDBStore from '../src/utils/idb.js';
+
+const CID = 'bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const URL_ = `https://ipfs.io/ipfs/${CID}/video.mp4`;
+const FILE = Uint8Array.from({ length: 1000 }, (value, i) => i % 256);
+
+// Service worker globals: listeners, Cache API and the entry index
+const listeners = {};
+globalThis.self = {
+  location: new URL('https://app.example/ipfs-hls-sw.js'),
+  addEventListener: (type, listener) => { listeners[type] = listener; }
+};
+
+const cached = new Map();
+globalThis.caches = {
+  open: async () => ({
+    match: async key => cached.has(key) ? cached.get(key).clone() : undefined,
+    put: async (key, response) => { cached.set(key, response); },
+    delete: async key => cached.delete(key)
+  }),
+  delete: async () => cached.clear()
+};
+
+const entries = new Map();
+mock.method(IDBStore.prototype, 'get', async (store, key) => entries.get(key));
+mock.method(IDBStore.prototype, 'getAll', async () => [...entries.values()]);
+mock.method(IDBStore.prototype, 'put', async (store, value) => { entries.set(value.key, value); });
+mock.method(IDBStore.prototype, 'delete', async (store, key) => { entries.delete(key); });
+
+let requests;
+globalThis.fetch = async request => {
+  requests.push(request);
+  return new Response(FILE, { status: 200, headers: { 'Content-Length': String(FILE.length) } });
+};
+
+await import('../src/ipfs-hls-sw.js');
+
+/**
+ * Dispatch a fetch event to the worker
+ * @returns {Promise<Object>} { response, settled } - `settled` waits for waitUntil() work
+ */
+function dispatch(range) {
+  const waits = [];
+  let response = null;
+  listeners.fetch({
+    request: new Request(URL_, { headers: range ? { Range: range } : {} }),
+    respondWith: promise => { response = promise; },
+    waitUntil: promise => waits.push(promise)
+  });
+  return { response, settled: () => Promise.all(waits) };
+}
+
+describe('Service worker Range requests', () => {
+  beforeEach(() => {
+    requests = [];
+    cached.clear();
+    entries.clear();
+  });
+
+  it('fills the cache from a Range-only request sequence', async () => {
+    const first = dispatch('bytes=0-1');
+    const second = dispatch('bytes=100-199');
+
+    const a = await first.response;
+    const b = await second.response;
+    assert.equal(a.status, 206);
+    assert.equal(a.headers.get('content-range'), 'bytes 0-1/1000');
+    assert.deepEqual(new Uint8Array(await a.arrayBuffer()), FILE.slice(0, 2));
+    assert.equal(b.headers.get('content-range'), 'bytes 100-199/1000');
+    assert.deepEqual(new Uint8Array(await b.arrayBuffer()), FILE.slice(100, 200));
+
+    // Both ranges shared one whole-file download
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].headers.get('range'), null);
+
+    await first.settled();
+    await second.settled();
+    assert.equal(cached.size, 1);
+    assert.equal([...entries.values()][0].size, FILE.length);
+
+    // Seeks and repeat plays are served from the cache
+    const seek = await dispatch('bytes=900-').response;
+    assert.equal(seek.headers.get('content-range'), 'bytes 900-999/1000');
+    assert.deepEqual(new Uint8Array(await seek.arrayBuffer()), FILE.slice(900));
+    assert.equal(requests.length, 1);
+  });
+
+  it('passes ranges of files over the size budget to the network', async () => {
+    globalThis.fetch = async request => {
+      requests.push(request);
+      const status = request.headers.get('range') ? 206 : 200;
+      return new Response(null, { status, headers: { 'Content-Length': String(1e12) } });
+    };
+
+    const response = await dispatch('bytes=0-1').response;
+    assert.equal(response.status, 206);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].headers.get('range'), 'bytes=0-1');
+    assert.equal(cached.size, 0);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * IPFS resolver tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import IPFSResolver from '../src/ipfs-resolver.js';
+
+// Gateway lists are read from window.ipfsHLSPlayerConfig
+globalThis.window = globalThis.window || {};
+
+const V0 = 'QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n';
+const V1 = 'bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+
+describe('IPFSResolver.resolve', () => {
+  it('resolves ipfs:// URIs', () => {
+    assert.deepEqual(IPFSResolver.resolve(`ipfs://${V1}/master.m3u8`), {
+      namespace: 'ipfs', cid: V1, path: '/master.m3u8', gateway: null
+    });
+  });
+
+  it('resolves bare CIDs with and without a path', () => {
+    assert.deepEqual(IPFSResolver.resolve(V0), {
+      namespace: 'ipfs', cid: V0, path: '', gateway: null
+    });
+    assert.equal(IPFSResolver.resolve(`${V0}/video.mp4`).path, '/video.mp4');
+  });
+
+  it('resolves { cid, path } objects', () => {
+    assert.deepEqual(IPFSResolver.resolve({ cid: V1, path: 'master.m3u8' }), {
+      namespace: 'ipfs', cid: V1, path: '/master.m3u8', gateway: null
+    });
+  });
+
+  it('resolves path gateway URLs, keeping the query string', () => {
+    assert.deepEqual(IPFSResolver.resolve(`https://ipfs.io/ipfs/${V1}/a/b.ts?x=1`), {
+      namespace: 'ipfs', cid: V1, path: '/a/b.ts?x=1', gateway: 'https://ipfs.io'
+    });
+  });
+
+  it('resolves subdomain gateway URLs', () => {
+    assert.deepEqual(IPFSResolver.resolve(`https://${V1}.ipfs.dweb.link/master.m3u8`), {
+      namespace: 'ipfs', cid: V1, path: '/master.m3u8', gateway: 'https://dweb.link'
+    });
+  });
+
+  it('still recognizes URLs on retired gateways', () => {
+    assert.equal(IPFSResolver.resolve(`https://cloudflare-ipfs.com/ipfs/${V0}/video.mp4`).gateway,
+      'https://cloudflare-ipfs.com');
+    assert.equal(IPFSResolver.resolve(`https://${V1}.ipfs.cf-ipfs.com/video.mp4`).gateway, 'https://cf-ipfs.com');
+  });
+
+  it('returns null for sources that are not IPFS', () => {
+    assert.equal(IPFSResolver.resolve(null), null);
+    assert.equal(IPFSResolver.resolve('https://example.com/video.mp4'), null);
+    assert.equal(IPFSResolver.resolve('https://example.com/ipfs/not-a-cid/video.mp4'), null);
+    assert.equal(IPFSResolver.resolve('ipfs://not-a-cid'), null);
+  });
+
+  it('returns null for malformed percent-encoding instead of throwing', () => {
+    assert.equal(IPFSResolver.resolve('ipfs://%E0%A4%A'), null);
+    assert.equal(IPFSResolver.resolve('/ipfs/%zz/video.mp4'), null);
+  });
+});
+
+describe('IPFSResolver.validate', () => {
+  it('reports invalid CIDs in IPFS-shaped sources', () => {
+    const result = IPFSResolver.validate('ipfs://Qmnotacid/master.m3u8');
+    assert.equal(result.valid, false);
+    assert.match(result.error, /^Invalid CID "Qmnotacid"/);
+  });
+
+  it('reports malformed percent-encoding', () => {
+    const result = IPFSResolver.validate('ipfs://%E0%A4%A');
+    assert.equal(result.valid, false);
+    assert.match(result.error, /malformed percent-encoding/);
+  });
+
+  it('does not report sources that are not IPFS', () => {
+    assert.deepEqual(IPFSResolver.validate('https://example.com/video.mp4'), {
+      valid: false, error: null, resolved: null
+    });
+  });
+});
+
+describe('IPFSResolver.toURL', () => {
+  it('builds path gateway URLs', () => {
+    assert.equal(IPFSResolver.toURL(`ipfs://${V0}/video.mp4`, 'https://ipfs.io'),
+      `https://ipfs.io/ipfs/${V0}/video.mp4`);
+  });
+
+  it('builds subdomain gateway URLs with a CIDv1 root', () => {
+    assert.equal(IPFSResolver.toURL(`ipfs://${V0}/video.mp4`, 'https://dweb.link'),
+      `https://${V1}.ipfs.dweb.link/video.mp4`);
+  });
+
+  it('returns URLs that are not IPFS unchanged', () => {
+    assert.equal(IPFSResolver.toURL('https://example.com/video.mp4'), 'https://example.com/video.mp4');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Player configuration tests
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import PlayerConfig from '../src/player-config.js';
+
+describe('PlayerConfig.validate', () => {
+  let warnings;
+
+  beforeEach(t => {
+    warnings = [];
+    t.mock.method(PlayerConfig, 'warn', message => warnings.push(message));
+  });
+
+  it('keeps valid settings', () => {
+    assert.deepEqual(PlayerConfig.validate({ debug: true, detectionTimeout: 3000, gateways: [] }), {
+      debug: true, detectionTimeout: 3000, gateways: []
+    });
+    assert.deepEqual(warnings, []);
+  });
+
+  it('accepts 0 for number keys', () => {
+    assert.deepEqual(PlayerConfig.validate({ maxPlayers: 0 }), { maxPlayers: 0 });
+    assert.deepEqual(warnings, []);
+  });
+
+  it('drops values of the wrong type', () => {
+    assert.deepEqual(PlayerConfig.validate({ debug: 'yes', detectionTimeout: -1, gatewayProbeTimeout: NaN }), {});
+    assert.equal(warnings.length, 3);
+    assert.match(warnings[0], /"debug" must be a boolean/);
+    assert.match(warnings[1], /"detectionTimeout" must be a non-negative number/);
+  });
+
+  it('drops unknown keys and suggests a close match', () => {
+    assert.deepEqual(PlayerConfig.validate({ debg: true }), {});
+    assert.match(warnings[0], /did you mean "debug"/);
+  });
+
+  it('drops global keys set for one player', () => {
+    assert.deepEqual(PlayerConfig.validate({ gatewayProbeTimeout: 2000, debug: true }, 'player'), { debug: true });
+    assert.match(warnings[0], /"gatewayProbeTimeout" applies to every player/);
+  });
+
+  it('rejects settings that are not an object', () => {
+    assert.deepEqual(PlayerConfig.validate([]), {});
+    assert.deepEqual(PlayerConfig.validate(null), {});
+    assert.equal(warnings.length, 1);
+  });
+});
+
+describe('PlayerConfig.resolve', () => {
+  it('applies per-player overrides over the defaults', () => {
+    const config = PlayerConfig.resolve({ detectionTimeout: 3000 });
+    assert.equal(config.detectionTimeout, 3000);
+    assert.equal(config.gatewayProbeTimeout, PlayerConfig.getDefaults().gatewayProbeTimeout);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Playlist rewriter tests
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveObjectURL } from 'node:buffer';
+import PlaylistRewriter from '../src/playlist-rewriter.js';
+import GatewaySelector from '../src/gateway-selector.js';
+
+// Gateway lists are read from window.ipfsHLSPlayerConfig
+globalThis.window = globalThis.window || {};
+
+const CID = 'bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const BASE = `https://ipfs.io/ipfs/${CID}/master.m3u8`;
+
+const MASTER = [
+  '#EXTM3U',
+  '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="en",URI="audio/en.m3u8"',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2000000,RESOLUTION=1280x720,AUDIO="aac"',
+  '720p/index.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,AUDIO="aac"',
+  '360p/index.m3u8'
+].join('\n');
+
+describe('PlaylistRewriter.rewrite', () => {
+  it('resolves relative URIs against the directory CID', () => {
+    const lines = PlaylistRewriter.rewrite(MASTER, BASE, 'https://ipfs.io').split('\n');
+    assert.equal(lines[3], `https://ipfs.io/ipfs/${CID}/720p/index.m3u8`);
+    assert.equal(lines[5], `https://ipfs.io/ipfs/${CID}/360p/index.m3u8`);
+  });
+
+  it('rewrites URI attributes of tags', () => {
+    const lines = PlaylistRewriter.rewrite(MASTER, BASE, 'https://ipfs.io').split('\n');
+    assert.equal(lines[1],
+      `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="en",URI="https://ipfs.io/ipfs/${CID}/audio/en.m3u8"`);
+  });
+
+  it('retargets URLs pinned to another gateway', () => {
+    const pinned = `#EXTM3U\n#EXTINF:6.0,\nhttps://gateway.pinata.cloud/ipfs/${CID}/360p/seg0.ts`;
+    const lines = PlaylistRewriter.rewrite(pinned, BASE, 'https://ipfs.io').split('\n');
+    assert.equal(lines[2], `https://ipfs.io/ipfs/${CID}/360p/seg0.ts`);
+  });
+
+  it('moves URLs off retired gateways', () => {
+    const pinned = `#EXTM3U\n#EXTINF:6.0,\nhttps://cloudflare-ipfs.com/ipfs/${CID}/360p/seg0.ts`;
+    const lines = PlaylistRewriter.rewrite(pinned, BASE, 'https://ipfs.io').split('\n');
+    assert.equal(lines[2], `https://ipfs.io/ipfs/${CID}/360p/seg0.ts`);
+  });
+
+  it('builds URLs on the gateway it is given', () => {
+    const lines = PlaylistRewriter.rewrite(MASTER, BASE, 'https://dweb.link').split('\n');
+    assert.equal(lines[3], `https://${CID}.ipfs.dweb.link/720p/index.m3u8`);
+  });
+
+  it('resolves ipfs:// URIs and leaves tags and other URLs alone', () => {
+    const media = [
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:6',
+      '#EXTINF:6.0,',
+      `ipfs://${CID}/seg0.ts`,
+      '#EXTINF:6.0,',
+      'https://cdn.example.com/seg1.ts',
+      '#EXT-X-ENDLIST'
+    ].join('\n');
+
+    assert.deepEqual(PlaylistRewriter.rewrite(media, BASE, 'https://ipfs.io').split('\n'), [
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:6',
+      '#EXTINF:6.0,',
+      `https://ipfs.io/ipfs/${CID}/seg0.ts`,
+      '#EXTINF:6.0,',
+      'https://cdn.example.com/seg1.ts',
+      '#EXT-X-ENDLIST'
+    ]);
+  });
+});
+
+describe('PlaylistRewriter.parseVariants', () => {
+  it('lists variants with bandwidth and resolution', () => {
+    assert.deepEqual(PlaylistRewriter.parseVariants(MASTER), [
+      { uri: '720p/index.m3u8', bandwidth: 2000000, width: 1280, height: 720 },
+      { uri: '360p/index.m3u8', bandwidth: 800000, width: 640, height: 360 }
+    ]);
+  });
+});
+
+describe('PlaylistRewriter.rewriteSource', () => {
+  const VOD = '#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6.0,\nseg0.ts\n#EXT-X-ENDLIST\n';
+  const LIVE = '#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXT-X-MEDIA-SEQUENCE:42\n#EXTINF:6.0,\nseg42.ts\n';
+  const files = {
+    'master.m3u8': '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=2000000\nvod/index.m3u8\n' +
+      '#EXT-X-STREAM-INF:BANDWIDTH=800000\nlive/index.m3u8\n',
+    'vod/index.m3u8': VOD,
+    'live/index.m3u8': LIVE
+  };
+
+  mock.method(GatewaySelector, 'recordResult', () => {});
+  globalThis.fetch = async url => {
+    const path = new URL(url).pathname.split(`/ipfs/${CID}/`)[1];
+    return new Response(files[path] || '', { status: files[path] ? 200 : 404 });
+  };
+
+  const read = url => resolveObjectURL(url).text();
+
+  it('replaces complete media playlists and links live ones by gateway URL', async () => {
+    const result = await PlaylistRewriter.rewriteSource(BASE);
+    const [vod, live] = PlaylistRewriter.parseVariants(await read(result.url)).map(variant => variant.uri);
+
+    assert.match(vod, /^blob:/);
+    assert.equal(await read(vod),
+      `#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6.0,\n${result.gateway}/ipfs/${CID}/vod/seg0.ts\n#EXT-X-ENDLIST\n`);
+    assert.equal(live, `${result.gateway}/ipfs/${CID}/live/index.m3u8`);
+    result.revoke();
+  });
+
+  it('leaves a live media playlist source to be reloaded', async () => {
+    assert.equal(await PlaylistRewriter.rewriteSource(`https://ipfs.io/ipfs/${CID}/live/index.m3u8`), null);
+  });
+});
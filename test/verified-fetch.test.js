@@ -0,0 +1,124 @@
+/**
+ * Verified fetching tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { VerifiedFetch, IntegrityError } from '../src/verified-fetch.js';
+import CID from '../src/utils/cid.js';
+
+// Gateway lists are read from window.ipfsHLSPlayerConfig
+globalThis.window = globalThis.window || {};
+
+const RAW = 0x55;
+const DAG_PB = 0x70;
+
+const bytes = text => new TextEncoder().encode(text);
+const concat = (...parts) => Uint8Array.from(parts.flatMap(part => [...part]));
+
+const varint = value => {
+  const out = [];
+  while (value >= 0x80) {
+    out.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  out.push(value);
+  return Uint8Array.from(out);
+};
+
+// Protobuf fields: length-delimited (wire type 2) and varint (wire type 0)
+const field = (number, value) => concat(varint(number * 8 + 2), varint(value.length), value);
+const number = (num, value) => concat(varint(num * 8), varint(value));
+
+/**
+ * Build a block and its sha2-256 CIDv1
+ * @returns {Object} { cid, data }
+ */
+function block(code, data) {
+  const digest = createHash('sha256').update(data).digest();
+  const cid = CID.decode(concat(varint(1), varint(code), [0x12, 0x20], digest));
+  return { cid, data };
+}
+
+/**
+ * Build a UnixFS dag-pb node
+ * @param {number} type - UnixFS type (1 directory, 2 file)
+ * @param {Array<Array>} links - [name, cid] pairs
+ * @param {Uint8Array} data - Inline file data (optional)
+ */
+function pbNode(type, links, data = new Uint8Array(0)) {
+  const unixfs = concat(number(1, type), data.length ? field(2, data) : []);
+  const encoded = links.map(([name, cid]) => field(2, concat(field(1, cid.bytes), field(2, bytes(name)))));
+  return block(DAG_PB, concat(...encoded, field(1, unixfs)));
+}
+
+/**
+ * Build a CARv1 file (the header is not read, only skipped)
+ */
+function car(blocks) {
+  const header = bytes('header');
+  const sections = blocks.map(({ cid, data }) => {
+    const section = concat(cid.bytes, data);
+    return concat(varint(section.length), section);
+  });
+  return concat(varint(header.length), header, ...sections);
+}
+
+// /ipfs/<dir>/seg0.ts, a file of two raw leaves
+const leaf1 = block(RAW, bytes('first half,'));
+const leaf2 = block(RAW, bytes(' second half'));
+const file = pbNode(2, [['', leaf1.cid], ['', leaf2.cid]]);
+const dir = pbNode(1, [['seg0.ts', file.cid]]);
+const SEGMENT = { cid: dir.cid.toString(), path: '/seg0.ts' };
+
+describe('VerifiedFetch.verify', () => {
+  it('returns a raw block that matches its CID', async () => {
+    const result = await VerifiedFetch.verify({ cid: leaf1.cid.toString(), path: '' }, leaf1.data,
+      VerifiedFetch.RAW_TYPE);
+    assert.deepEqual(result, leaf1.data);
+  });
+
+  it('rejects a raw block that does not match its CID', async () => {
+    await assert.rejects(
+      VerifiedFetch.verify({ cid: leaf1.cid.toString(), path: '' }, bytes('tampered'), VerifiedFetch.RAW_TYPE),
+      IntegrityError
+    );
+  });
+
+  it('follows a path through a CAR and reassembles the file', async () => {
+    const result = await VerifiedFetch.verify(SEGMENT, car([dir, file, leaf1, leaf2]),
+      `${VerifiedFetch.CAR_TYPE}; version=1`);
+    assert.equal(new TextDecoder().decode(result), 'first half, second half');
+  });
+
+  it('rejects a CAR with a block that does not match its CID', async () => {
+    const tampered = { cid: leaf2.cid, data: bytes(' other half!') };
+    await assert.rejects(VerifiedFetch.verify(SEGMENT, car([dir, file, leaf1, tampered]), VerifiedFetch.CAR_TYPE),
+      /does not match CID/);
+  });
+
+  it('rejects a CAR that leaves out a block', async () => {
+    await assert.rejects(VerifiedFetch.verify(SEGMENT, car([dir, file, leaf1]), VerifiedFetch.CAR_TYPE),
+      /missing block/);
+  });
+
+  it('rejects a path that is not in the directory', async () => {
+    await assert.rejects(
+      VerifiedFetch.verify({ ...SEGMENT, path: '/seg1.ts' }, car([dir, file, leaf1, leaf2]), VerifiedFetch.CAR_TYPE),
+      /"seg1.ts" not found/
+    );
+  });
+
+  it('rejects responses that are not trustless', async () => {
+    await assert.rejects(VerifiedFetch.verify(SEGMENT, bytes('plain file'), 'video/mp2t'),
+      /did not return a verifiable response/);
+  });
+});
+
+describe('VerifiedFetch.getAcceptType', () => {
+  it('asks for a raw block only for a raw CID without a path', () => {
+    assert.equal(VerifiedFetch.getAcceptType({ cid: leaf1.cid.toString(), path: '' }), VerifiedFetch.RAW_TYPE);
+    assert.equal(VerifiedFetch.getAcceptType(SEGMENT), VerifiedFetch.CAR_TYPE);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Video markup tests
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import VideoMarkup from '../src/video-markup.js';
+import IPFSResolver from '../src/ipfs-resolver.js';
+
+// Gateway lists are read from window.ipfsHLSPlayerConfig
+globalThis.window = globalThis.window || {};
+
+const CID = 'bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const PAGE = 'https://app.example/watch/';
+
+/**
+ * Build a fake element with the DOM members VideoMarkup reads
+ * src and poster resolve against the page like the real properties
+ */
+function element(tagName, attributes = {}, children = [], properties = {}) {
+  const resolve = name => name in attributes ? new URL(attributes[name], PAGE).href : '';
+  return {
+    tagName: tagName.toUpperCase(),
+    children,
+    getAttribute: name => name in attributes ? attributes[name] : null,
+    hasAttribute: name => name in attributes,
+    get src() { return resolve('src'); },
+    get poster() { return resolve('poster'); },
+    currentSrc: '',
+    ...properties
+  };
+}
+
+describe('VideoMarkup', () => {
+  const matchMedia = window.matchMedia;
+
+  afterEach(() => {
+    window.matchMedia = matchMedia;
+  });
+
+  it('reads a plain src with its type', () => {
+    const markup = VideoMarkup.read(element('video', { src: 'media/master.m3u8', type: 'application/x-mpegURL' }));
+    assert.deepEqual(markup.sources, [{ src: `${PAGE}media/master.m3u8`, type: 'application/x-mpegURL' }]);
+    assert.deepEqual(markup.tracks, []);
+    assert.equal(markup.poster, null);
+    assert.deepEqual(markup.gateways, []);
+    assert.deepEqual(markup.options, {});
+  });
+
+  it('reads data-ipfs-cid with and without a separate path', () => {
+    assert.deepEqual(VideoMarkup.getSources(element('video', { 'data-ipfs-cid': CID, 'data-ipfs-path': '/master.m3u8' })),
+      [{ cid: CID, path: '/master.m3u8' }]);
+    assert.deepEqual(VideoMarkup.getSources(element('video', { 'data-ipfs-cid': `${CID}/master.m3u8` })),
+      [{ src: `${CID}/master.m3u8` }]);
+  });
+
+  it('lists <source> children after the video source, in document order', () => {
+    const video = element('video', { 'data-ipfs-cid': CID, 'data-ipfs-type': 'video/mp4' }, [
+      element('source', { src: '/fallback/master.m3u8', type: 'application/x-mpegURL' }),
+      element('track', { src: 'en.vtt' }),
+      element('source', { 'data-ipfs-cid': `${CID}/low.mp4` })
+    ]);
+
+    assert.deepEqual(VideoMarkup.getSources(video), [
+      { src: CID, type: 'video/mp4' },
+      { src: 'https://app.example/fallback/master.m3u8', type: 'application/x-mpegURL' },
+      { src: `${CID}/low.mp4` }
+    ]);
+  });
+
+  it('skips <source> children whose media query does not match', () => {
+    window.matchMedia = query => ({ matches: query === '(min-width: 800px)' });
+    const video = element('video', {}, [
+      element('source', { src: 'small.mp4', media: '(max-width: 799px)' }),
+      element('source', { src: 'large.mp4', media: '(min-width: 800px)' })
+    ]);
+    assert.deepEqual(VideoMarkup.getSources(video), [{ src: `${PAGE}large.mp4` }]);
+  });
+
+  it('falls back to the source the browser picked', () => {
+    const video = element('video', {}, [], { currentSrc: 'https://cdn.example.com/video.mp4' });
+    assert.deepEqual(VideoMarkup.getSources(video), [{ src: 'https://cdn.example.com/video.mp4' }]);
+  });
+
+  it('builds sources, tracks and the poster on the first data-ipfs-gateways entry', () => {
+    const video = element('video', {
+      'data-ipfs-cid': CID,
+      'data-ipfs-path': '/master.m3u8',
+      'data-ipfs-gateways': 'https://ipfs.io/ipfs/, not a url,https://gateway.pinata.cloud',
+      'data-ipfs-poster-cid': `${CID}/poster.jpg`
+    }, [
+      element('track', { kind: 'subtitles', srclang: 'en', label: 'English', default: '',
+        'data-ipfs-cid': `${CID}/en.vtt` })
+    ]);
+    const markup = VideoMarkup.read(video);
+
+    assert.deepEqual(markup.gateways, ['https://ipfs.io', 'https://gateway.pinata.cloud']);
+    assert.deepEqual(markup.sources, [{ src: `https://ipfs.io/ipfs/${CID}/master.m3u8` }]);
+    assert.equal(markup.poster, `https://ipfs.io/ipfs/${CID}/poster.jpg`);
+    assert.deepEqual(markup.tracks, [{
+      src: `https://ipfs.io/ipfs/${CID}/en.vtt`,
+      default: true,
+      kind: 'subtitles',
+      srclang: 'en',
+      label: 'English'
+    }]);
+  });
+
+  it('gives IPFS tracks a gateway URL without data-ipfs-gateways', () => {
+    const video = element('video', {}, [
+      element('track', { 'data-ipfs-cid': `${CID}/en.vtt` }),
+      element('track', { src: 'de.vtt', kind: 'captions' }),
+      element('track', { kind: 'chapters' })
+    ]);
+
+    assert.deepEqual(VideoMarkup.getTracks(video), [
+      { src: IPFSResolver.toURL(`${CID}/en.vtt`), default: false },
+      { src: `${PAGE}de.vtt`, default: false, kind: 'captions' }
+    ]);
+  });
+
+  it('prefers the poster attribute to data-ipfs-poster-cid', () => {
+    const video = element('video', { poster: 'poster.jpg', 'data-ipfs-poster-cid': CID });
+    assert.equal(VideoMarkup.getPoster(video), `${PAGE}poster.jpg`);
+  });
+
+  it('reads data-ipfs-options only when it is a JSON object', () => {
+    const options = value => VideoMarkup.getOptions(element('video', { 'data-ipfs-options': value }));
+    assert.deepEqual(options('{"config": {"verified": true}}'), { config: { verified: true } });
+    assert.deepEqual(options('[1, 2]'), {});
+    assert.deepEqual(options('{verified: true}'), {});
+  });
+});
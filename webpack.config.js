@@ -92,5 +92,20 @@ module.exports = [
     optimization: {
       minimize: false
     }
+  },
+  
+  // Segment cache service worker (served from the app's own origin)
+  {
+    ...baseConfig,
+    mode: 'production',
+    target: 'webworker',
+    entry: './src/ipfs-hls-sw.js',
+    output: {
+      filename: 'ipfs-hls-sw.js',
+      path: path.resolve(__dirname, 'dist')
+    },
+    optimization: {
+      minimize: true
+    }
   }
 ];
\ No newline at end of file